@@ -144,6 +144,12 @@ class ElectronStorage {
     this.saveData()
   }
 
+  // Remove várias chaves com uma única escrita em disco
+  removeItems(keys) {
+    keys.forEach(key => delete this.data[key])
+    this.saveData()
+  }
+
   encrypt(text) {
     // Gera IV aleatório para cada encriptação (12 bytes para GCM)
     const iv = crypto.randomBytes(12);
@@ -1,11 +1,18 @@
 // Frontend API cache module with hash-based validation
 const ElectronStorage = require('../../js/storage');
-const { API_CONFIG, DEBUG } = require('./config');
+const cacheStore = require('./cacheStore');
+const environment = require('./environment');
+const connectivity = require('./connectivity');
+const log = require('electron-log');
+const { API_CONFIG, MANIFEST_KEYS, MANIFEST_CONFIG, DEBUG } = require('./config');
 const crypto = require('crypto');
 
-const STORAGE_PREFIX = API_CONFIG.STORAGE_PREFIX;
 const HASHES_CACHE_KEY = 'api-hashes-cache';
+const FILE_LIST_CACHE_KEY = 'api-file-list';
+const FILE_LIST_TTL = 60 * 1000; // Lista partilhada entre pedidos seguidos (arranque)
 const HASHES_TTL = 5 * 60 * 1000; // Cache hashes por 5 minutos
+const HASHES_FORCE_MIN_INTERVAL = 30 * 1000; // Intervalo mínimo entre refreshes forçados
+const CONTENT_UPDATED_DELAY = 1000; // Agrupa ficheiros da mesma rota num único evento
 
 // Exponential backoff configuration
 const RETRY_CONFIG = {
@@ -14,75 +21,526 @@ const RETRY_CONFIG = {
   maxDelay: 10000  // 10s
 };
 
+// Request scheduler: limite global de pedidos em paralelo e pausa em 429
+const SCHEDULER_CONFIG = {
+  maxConcurrent: 4,
+  maxRateLimitRequeues: 3,
+  defaultRetryAfter: 10000, // 10s quando o servidor não envia Retry-After
+  maxRetryAfter: 5 * 60 * 1000 // 5min
+};
+
+// Prioridades (menor = primeiro): navegação no renderer > background > preload
+const PRIORITY = {
+  NAVIGATION: 0,
+  BACKGROUND: 1,
+  PRELOAD: 2
+};
+
+// Preload preditivo (rotas mais usadas e hover na sidebar)
+const PRELOAD_CONFIG = {
+  maxRoutes: 4,
+  quotaHeadroom: 0.8, // Não pré-carregar acima de 80% da quota (evita expulsar páginas visitadas)
+  routeFiles: ['index.html', 'styles.css', 'index.js'],
+  defaultRoutes: ['dashboard', 'rules', 'withdraw'] // Sem histórico (primeira utilização)
+};
+
 // Offline request queue
 let offlineQueue = [];
 let isOnline = true;
 let apiHashes = null;
 let hashesLastFetched = 0;
+let manifestStatus = { verified: false, version: null, keyId: null, warning: null };
+
+// Scheduler: fila de pedidos, pedidos ativos e pedidos idênticos em curso (partilham a promise)
+let requestQueue = [];
+let activeRequests = 0;
+let requestSeq = 0;
+let queuePausedUntil = 0;
+let queueResumeTimer = null;
+const inFlightFetches = new Map();
+let hashesRequest = null;
+let fileList = null;
+let fileListRequest = null;
+let bundleSupported = true;
+let stagingTask = null;
+// Trabalho do ambiente da API ativo (staging, fila, revalidações): abortado na troca de ambiente
+let environmentController = new AbortController();
+// Ligação reportada pelo renderer (navigator.connection): preloads desligados se for limitada
+let connectionInfo = { metered: false, saveData: false, effectiveType: null };
+// Ficheiros pré-carregados ainda não pedidos pelo renderer: caminho -> { route, source }
+const preloadedPaths = new Map();
+const preloadStats = { preloaded: 0, hits: 0, bySource: {}, hitRoutes: {} };
+
+// Políticas de cache do manifesto compiladas (recalculadas quando o manifesto muda)
+let compiledPolicies = { source: null, rules: [] };
+let storedManifestPolicies;
+
+// Stale-while-revalidate: revalidações em curso e notificações pendentes por rota
+const revalidations = new Map();
+const pendingContentUpdates = new Map();
+
+/**
+ * Converte o header Retry-After (segundos ou data HTTP) em milissegundos.
+ * "0" ou uma data já passada = repetir já; o valor por omissão só sem header ou com um inválido.
+ */
+function parseRetryAfter(value) {
+  const text = value == null ? '' : String(value).trim();
+  if (!text) return SCHEDULER_CONFIG.defaultRetryAfter;
+  const numeric = /^-?\d+(\.\d+)?$/.test(text);
+  const ms = numeric ? Number(text) * 1000 : Date.parse(text) - Date.now();
+  if (!Number.isFinite(ms) || (numeric && ms < 0)) return SCHEDULER_CONFIG.defaultRetryAfter;
+  return Math.min(Math.max(ms, 0), SCHEDULER_CONFIG.maxRetryAfter);
+}
+
+function createRequestError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Motivo de um AbortSignal como erro com code (TIMEOUT / CANCELLED)
+function abortReason(signal) {
+  return signal.reason instanceof Error ? signal.reason : createRequestError('CANCELLED', 'Pedido cancelado');
+}
+
+/**
+ * Lança CANCELLED se o ambiente em que o trabalho começou já não é o ativo
+ * (chamado antes de escrever no store do ambiente)
+ */
+function assertEnvironment(signal) {
+  if (signal.aborted) throw abortReason(signal);
+}
+
+/**
+ * Lê o corpo da resposta e devolve-a já em memória (text/json sem mais I/O)
+ */
+async function readResponse(resp) {
+  const body = await resp.text();
+  return {
+    ok: resp.ok,
+    status: resp.status,
+    statusText: resp.statusText,
+    headers: resp.headers,
+    text: async () => body,
+    json: async () => JSON.parse(body)
+  };
+}
+
+/**
+ * Arranca os próximos pedidos da fila, respeitando o limite global e pausas por 429
+ */
+function pumpRequestQueue() {
+  const now = Date.now();
+  if (now < queuePausedUntil) {
+    if (!queueResumeTimer) {
+      queueResumeTimer = setTimeout(() => {
+        queueResumeTimer = null;
+        pumpRequestQueue();
+      }, queuePausedUntil - now);
+    }
+    return;
+  }
+
+  while (activeRequests < SCHEDULER_CONFIG.maxConcurrent && requestQueue.length > 0) {
+    // Maior prioridade primeiro; FIFO dentro da mesma prioridade
+    requestQueue.sort((a, b) => (a.priorityRef.value - b.priorityRef.value) || (a.seq - b.seq));
+    const job = requestQueue.shift();
+    activeRequests++;
+    const started = Date.now();
+
+    // Timeout por pedido (até o corpo estar lido) e cancelamento pelo chamador
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeoutTimer = setTimeout(() => {
+      timedOut = true;
+      controller.abort(createRequestError('TIMEOUT', `Sem resposta do servidor em ${API_CONFIG.REQUEST_TIMEOUT / 1000}s`));
+    }, API_CONFIG.REQUEST_TIMEOUT);
+    job.controller = controller;
+
+    fetch(job.url, { ...job.options, signal: controller.signal })
+      .then(async resp => {
+        const latency = Date.now() - started;
+        if (resp.status !== 429) {
+          // O corpo é lido ainda dentro do timeout: um corpo parado falha com TIMEOUT
+          // em vez de deixar o chamador (e quem partilha o pedido) à espera
+          const buffered = await readResponse(resp);
+          // Latência e erros alimentam o monitor de ligação
+          connectivity.recordRequest(true, { latency, status: resp.status });
+          job.resolve(buffered);
+          return;
+        }
+        connectivity.recordRequest(true, { latency, status: resp.status });
+        await resp.body?.cancel().catch(() => {});
+
+        // 429: pausar a fila inteira e voltar a pôr o pedido à frente
+        const delay = parseRetryAfter(resp.headers.get('retry-after'));
+        queuePausedUntil = Math.max(queuePausedUntil, Date.now() + delay);
+        console.warn(`[SCHEDULER] 429 recebido, fila pausada durante ${Math.round(delay / 1000)}s`);
+
+        if (job.rateLimitRequeues >= SCHEDULER_CONFIG.maxRateLimitRequeues) {
+          const err = new Error('Rate limit exceeded. Please try again later.');
+          err.code = 'RATE_LIMITED';
+          job.reject(err);
+          return;
+        }
+        job.rateLimitRequeues++;
+        requestQueue.push(job);
+      })
+      .catch(err => {
+        // Só falhas de rede e o timeout deste pedido contam para a ligação;
+        // cancelamentos e prazos do chamador não dizem nada sobre a rede
+        const cancelledByCaller = controller.signal.aborted && !timedOut;
+        if (controller.signal.aborted) err = abortReason(controller.signal);
+        if (!cancelledByCaller) connectivity.recordRequest(false);
+        job.reject(err);
+      })
+      .finally(() => {
+        clearTimeout(timeoutTimer);
+        job.controller = null;
+        activeRequests--;
+        pumpRequestQueue();
+      });
+  }
+}
+
+/**
+ * fetch() através do scheduler da cache
+ * @param {Object} options - opções do fetch; options.signal cancela o pedido (também enquanto está na fila)
+ * @param {Object} priorityRef - { value } partilhado, para um pedido coalescido poder subir de prioridade
+ * @returns {Promise<Object>} resposta com o corpo já lido ({ ok, status, statusText, headers, text(), json() })
+ */
+function scheduledFetch(url, options = {}, priorityRef = { value: PRIORITY.NAVIGATION }) {
+  const { signal, ...fetchOptions } = options;
+  const environmentSignal = environmentController.signal;
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortReason(signal));
+      return;
+    }
+    // Um único listener por pedido (também entre reenvios após 429), removido quando termina
+    const cancel = (source) => {
+      const index = requestQueue.indexOf(job);
+      if (index !== -1) {
+        requestQueue.splice(index, 1);
+        job.reject(abortReason(source));
+      } else if (job.controller) {
+        job.controller.abort(abortReason(source));
+      }
+    };
+    const onAbort = () => cancel(signal);
+    // Troca de ambiente: o pedido (na fila ou em curso) é do ambiente anterior
+    const onEnvironmentChange = () => cancel(environmentSignal);
+    const settle = (fn) => (value) => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      environmentSignal.removeEventListener('abort', onEnvironmentChange);
+      fn(value);
+    };
+    const job = {
+      url,
+      options: fetchOptions,
+      priorityRef,
+      resolve: settle(resolve),
+      reject: settle(reject),
+      controller: null,
+      seq: ++requestSeq,
+      rateLimitRequeues: 0
+    };
+    requestQueue.push(job);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    environmentSignal.addEventListener('abort', onEnvironmentChange, { once: true });
+    pumpRequestQueue();
+  });
+}
+
+/**
+ * Espera `ms`, terminando mais cedo (com erro) se o signal for abortado
+ */
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(abortReason(signal));
+      return;
+    }
+    // Listener removido quando o timer termina: não se acumulam entre retries
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortReason(signal));
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Serialização JSON canónica (chaves ordenadas, sem espaços) - o formato que o servidor assina
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
 
 /**
- * Busca hashes dos ficheiros da API
+ * Verifica a assinatura Ed25519 do manifesto contra as chaves públicas incluídas na app
+ * @returns {string|null} keyId da chave que validou a assinatura, ou null
  */
-async function fetchHashesFromAPI() {
+function verifyManifestSignature(data, signature, keyId) {
+  if (!data || typeof signature !== 'string' || !signature) return null;
+
+  const now = Date.now();
+  const candidates = MANIFEST_KEYS.filter(k =>
+    (!keyId || k.keyId === keyId) && !(k.expiresAt && Date.parse(k.expiresAt) < now)
+  );
+  const message = Buffer.from(canonicalJSON(data), 'utf8');
+  const sig = Buffer.from(signature, 'base64');
+
+  for (const key of candidates) {
+    try {
+      const publicKey = crypto.createPublicKey({
+        key: Buffer.from(key.publicKey, 'base64'),
+        format: 'der',
+        type: 'spki'
+      });
+      if (crypto.verify(null, message, publicKey, sig)) {
+        return key.keyId;
+      }
+    } catch (e) {
+      DEBUG && console.warn(`[HASHES] Chave ${key.keyId} inválida:`, e.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Devolve o último manifesto verificado guardado localmente (assinatura re-verificada)
+ */
+function loadVerifiedManifest() {
+  const cachedHashes = ElectronStorage.getItem(environment.namespaced(HASHES_CACHE_KEY));
+  if (!cachedHashes || !cachedHashes.data) return null;
+  // Sem chave pública na app a assinatura ainda não é exigida (ver MANIFEST_CONFIG)
+  if (!MANIFEST_CONFIG.REQUIRE_SIGNATURE) return { ...cachedHashes, keyId: null };
+  const keyId = verifyManifestSignature(cachedHashes.data, cachedHashes.signature, cachedHashes.keyId);
+  return keyId ? { ...cachedHashes, keyId } : null;
+}
+
+function createManifestSignatureError(message) {
+  const err = new Error(message);
+  err.code = 'MANIFEST_SIGNATURE';
+  return err;
+}
+
+/**
+ * Atualiza o aviso de segurança do manifesto e notifica o renderer (null limpa o aviso)
+ */
+function setManifestWarning(warning) {
+  if (manifestStatus.warning === warning) return;
+  manifestStatus.warning = warning;
+  if (warning) {
+    console.warn('[HASHES] ⚠ Aviso de segurança:', warning);
+    try {
+      require('./errorHandler').logError(new Error(warning), 'manifest');
+    } catch (e) {}
+  }
+
+  const { BrowserWindow } = require('electron');
+  BrowserWindow.getAllWindows().forEach(win => {
+    if (!win.isDestroyed()) {
+      win.webContents.send('cache:security-warning', warning ? { message: warning } : null);
+    }
+  });
+}
+
+/**
+ * Estado atual do manifesto (para o renderer mostrar avisos já ativos no arranque)
+ */
+function getManifestStatus() {
+  return { ...manifestStatus };
+}
+
+/**
+ * Busca hashes dos ficheiros da API. Com chaves em MANIFEST_KEYS só aceita manifestos com
+ * assinatura Ed25519 válida; caso contrário usa o último manifesto verificado e ativa o aviso de segurança.
+ * @param {boolean} force - ignora o cache de hashes (ex: após mismatch, pode ter havido deploy)
+ */
+function fetchHashesFromAPI(force = false) {
+  // Chamadas simultâneas partilham o mesmo pedido
+  if (!hashesRequest) {
+    const signal = environmentController.signal;
+    const request = requestHashes(force, signal).then(hashes => {
+      // Manifesto de um ambiente que entretanto deixou de estar ativo
+      assertEnvironment(signal);
+      onManifest(hashes);
+      return hashes;
+    }).finally(() => {
+      if (hashesRequest === request) hashesRequest = null;
+    });
+    hashesRequest = request;
+  }
+  return hashesRequest;
+}
+
+async function requestHashes(force, signal) {
+  const verified = loadVerifiedManifest();
+  
+  // Offline: usar o último manifesto verificado sem tentar a rede
+  if (!isOnline) {
+    return verified?.data || null;
+  }
+  
   try {
     const now = Date.now();
-    const cachedHashes = ElectronStorage.getItem(HASHES_CACHE_KEY);
+    
+    // Evita martelar a API com refreshes forçados seguidos
+    if (force && now - hashesLastFetched < HASHES_FORCE_MIN_INTERVAL) {
+      force = false;
+    }
     
     // Se tem cache de hashes e é recente, usa
-    if (cachedHashes && cachedHashes.fetchedAt && (now - cachedHashes.fetchedAt < HASHES_TTL)) {
+    if (!force && verified && verified.fetchedAt && (now - verified.fetchedAt < HASHES_TTL)) {
       DEBUG && console.log('[HASHES] Usando cache de hashes');
-      return cachedHashes.data;
+      return verified.data;
     }
     
     const url = `${API_CONFIG.BASE_URL}/api/hashes`;
     DEBUG && console.log('[HASHES] Buscando hashes da API...');
     
-    const resp = await fetch(url);
+    hashesLastFetched = now;
+    // Todos os pedidos de ficheiros esperam pelo manifesto: prioridade máxima
+    const resp = await scheduledFetch(url);
     if (!resp.ok) {
       throw new Error(`HTTP ${resp.status}`);
     }
     
     const result = await resp.json();
     if (result.success && result.data) {
-      const hashData = {
+      let keyId = null;
+      if (MANIFEST_CONFIG.REQUIRE_SIGNATURE) {
+        if (!result.signature) {
+          throw createManifestSignatureError('O manifesto de ficheiros do servidor não está assinado');
+        }
+        keyId = verifyManifestSignature(result.data, result.signature, result.keyId);
+        if (!keyId) {
+          throw createManifestSignatureError('A assinatura do manifesto de ficheiros do servidor é inválida');
+        }
+      } else {
+        // Sem chave na app: só os hashes protegem os ficheiros (ver MANIFEST_KEYS)
+        log.warn(`[HASHES] Manifesto ${result.data.version || '?'} aceite sem verificação de assinatura: nenhuma chave de manifesto configurada`);
+      }
+      
+      assertEnvironment(signal);
+      ElectronStorage.setItem(environment.namespaced(HASHES_CACHE_KEY), {
         data: result.data,
+        signature: result.signature || null,
+        keyId,
         fetchedAt: now
-      };
-      ElectronStorage.setItem(HASHES_CACHE_KEY, hashData);
-      DEBUG && console.log('[HASHES] ✓ Hashes carregados:', result.data.version);
+      });
+      Object.assign(manifestStatus, { verified: true, version: result.data.version || null, keyId });
+      setManifestWarning(null);
+      DEBUG && console.log(`[HASHES] ✓ Hashes carregados: ${result.data.version} (chave: ${keyId || 'assinatura não exigida'})`);
       return result.data;
     }
     
-    return null;
+    return verified?.data || null;
   } catch (e) {
-    DEBUG && console.error('[HASHES] Erro ao buscar hashes:', e.message);
-    // Retorna hashes em cache mesmo se antigos
-    const cachedHashes = ElectronStorage.getItem(HASHES_CACHE_KEY);
-    return cachedHashes?.data || null;
+    assertEnvironment(signal);
+    if (e.code === 'MANIFEST_SIGNATURE') {
+      setManifestWarning(`${e.message}. A usar a última versão verificada dos ficheiros.`);
+    } else {
+      DEBUG && console.error('[HASHES] Erro ao buscar hashes:', e.message);
+    }
+    // Retorna o último manifesto verificado mesmo se antigo
+    Object.assign(manifestStatus, {
+      verified: !!verified,
+      version: verified?.data?.version || null,
+      keyId: verified?.keyId || null
+    });
+    return verified?.data || null;
   }
 }
 
 /**
- * Calcula hash SHA-256 de um conteúdo (primeiros 16 chars)
+ * Converte o valor de uma política do manifesto:
+ * 'immutable' | 'revalidate-on-open' | 'no-store' | 'max-age=<segundos>'
+ */
+function parseCachePolicy(value) {
+  if (typeof value !== 'string') return null;
+  const policy = value.trim().toLowerCase();
+  if (['immutable', 'revalidate-on-open', 'no-store'].includes(policy)) return { type: policy };
+  const match = policy.match(/^max-age=(\d+)$/);
+  if (match) return { type: 'max-age', maxAge: Number(match[1]) * 1000 };
+  DEBUG && console.warn('[POLICY] Política desconhecida ignorada:', value);
+  return null;
+}
+
+// Padrão do manifesto -> RegExp: '*' dentro de uma pasta, '**' atravessa pastas
+function policyPatternToRegExp(pattern) {
+  const source = pattern
+    .split('**')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+function compilePolicies(policies) {
+  return Object.entries(policies || {})
+    .map(([pattern, value]) => ({ pattern, policy: parseCachePolicy(value), regex: policyPatternToRegExp(pattern) }))
+    .filter(rule => rule.policy)
+    // Caminho exato primeiro, depois o padrão mais específico (mais longo)
+    .sort((a, b) => (a.pattern.includes('*') - b.pattern.includes('*')) || (b.pattern.length - a.pattern.length));
+}
+
+/**
+ * Política de cache de um ficheiro segundo o manifesto assinado (data.policies).
+ * Sem política: validação por hash com stale-while-revalidate.
+ */
+function cachePolicyFor(filePath) {
+  let policies = apiHashes && apiHashes.policies;
+  if (!apiHashes) {
+    // Antes do primeiro manifesto da sessão: políticas do último manifesto verificado
+    if (storedManifestPolicies === undefined) {
+      storedManifestPolicies = loadVerifiedManifest()?.data?.policies || null;
+    }
+    policies = storedManifestPolicies;
+  }
+  if (!policies) return null;
+
+  if (compiledPolicies.source !== policies) {
+    compiledPolicies = { source: policies, rules: compilePolicies(policies) };
+  }
+  const rule = compiledPolicies.rules.find(r => r.regex.test(filePath));
+  return rule ? rule.policy : null;
+}
+
+/**
+ * Calcula hash SHA-256 completo (hex) de um conteúdo
  */
 function calculateHash(content) {
   if (!content) return null;
-  const hash = crypto.createHash('sha256').update(content).digest('hex');
-  return hash.substring(0, 16); // Primeiros 16 caracteres para maior segurança
+  return crypto.createHash('sha256').update(content).digest('hex');
 }
 
 /**
- * Valida se o ficheiro mudou comparando hashes
+ * Valida o conteúdo contra o manifesto assinado. Sem manifesto verificado, ou para um
+ * ficheiro que o manifesto não lista, o conteúdo não é de confiança (falha fechada).
  */
 function validateFileHash(filePath, content) {
   if (!apiHashes || !apiHashes.assets) {
-    return true; // Se não tem hashes, assume que é válido
+    DEBUG && console.log('[HASH] Sem manifesto verificado, conteúdo rejeitado:', filePath);
+    return false;
   }
   
   const expectedHash = apiHashes.assets[filePath];
   if (!expectedHash) {
     DEBUG && console.log('[HASH] Ficheiro não encontrado na lista de hashes:', filePath);
-    return true; // Ficheiro novo ou não mapeado
+    return false;
   }
   
   const actualHash = calculateHash(content);
@@ -97,15 +555,607 @@ function validateFileHash(filePath, content) {
   return isValid;
 }
 
+/**
+ * Verifica conteúdo acabado de descarregar contra o manifesto de hashes.
+ * Num mismatch, força refresh do manifesto antes de rejeitar (pode ter havido deploy).
+ */
+async function verifyDownloadedContent(filePath, content) {
+  if (validateFileHash(filePath, content)) return true;
+  apiHashes = await fetchHashesFromAPI(true);
+  return validateFileHash(filePath, content);
+}
+
+/**
+ * Cria o erro de integridade devolvido ao renderer
+ */
+function createIntegrityError(filePath, expected, actual) {
+  const err = new Error(`Falha de integridade em ${filePath}: o ficheiro recebido não corresponde ao manifesto`);
+  err.code = 'INTEGRITY_ERROR';
+  err.filePath = filePath;
+  err.expected = expected;
+  err.actual = actual;
+  return err;
+}
+
+/**
+ * Erro para conteúdo sem hash no manifesto verificado (sem manifesto ou caminho não listado)
+ */
+function createUntrustedContentError(filePath) {
+  const reason = apiHashes && apiHashes.assets
+    ? 'o ficheiro não consta do manifesto assinado'
+    : 'não há um manifesto de ficheiros com assinatura válida';
+  const err = new Error(`Falha de integridade em ${filePath}: ${reason}`);
+  err.code = 'INTEGRITY_ERROR';
+  err.filePath = filePath;
+  err.expected = null;
+  err.actual = null;
+  return err;
+}
+
+/**
+ * Regista e notifica o renderer de um ficheiro rejeitado por falha de integridade
+ */
+function reportIntegrityError(err) {
+  console.error(err.expected
+    ? `[INTEGRITY] ❌ ${err.filePath}: esperado ${err.expected}, obtido ${err.actual}`
+    : `[INTEGRITY] ❌ ${err.message}`);
+
+  try {
+    require('./metrics').trackError(err, 'integrity');
+    require('./errorHandler').logError(err, 'integrity');
+  } catch (e) {}
+
+  const { BrowserWindow } = require('electron');
+  BrowserWindow.getAllWindows().forEach(win => {
+    if (!win.isDestroyed()) {
+      win.webContents.send('cache:integrity-error', {
+        path: err.filePath,
+        expected: err.expected,
+        actual: err.actual,
+        message: err.message
+      });
+    }
+  });
+}
+
+/**
+ * Põe de parte um ficheiro que falhou a verificação e tenta de novo sem caches intermédios.
+ * Lança INTEGRITY_ERROR se a nova cópia também não corresponder ao manifesto.
+ */
+async function quarantineAndRefetch(url, filePath, content, priorityRef, signal) {
+  const expected = apiHashes?.assets?.[filePath] || null;
+  // Sem hash esperado não há cópia que possa ser aceite: não vale a pena descarregar de novo
+  if (!expected) {
+    const err = createUntrustedContentError(filePath);
+    reportIntegrityError(err);
+    throw err;
+  }
+  assertEnvironment(signal);
+  cacheStore.quarantine(filePath, content, { expected, actual: calculateHash(content) });
+
+  const bustedUrl = `${url}${url.includes('?') ? '&' : '?'}_cb=${Date.now()}`;
+  DEBUG && console.log(`[INTEGRITY] A descarregar de novo ${filePath} (cache-busting)`);
+
+  const resp = await scheduledFetch(bustedUrl, { headers: { 'Cache-Control': 'no-cache', 'Pragma': 'no-cache' } }, priorityRef);
+  if (!resp.ok) {
+    throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+  }
+
+  const text = await resp.text();
+  if (!(await verifyDownloadedContent(filePath, text))) {
+    const actual = calculateHash(text);
+    assertEnvironment(signal);
+    cacheStore.quarantine(filePath, text, { expected, actual });
+    const err = createIntegrityError(filePath, apiHashes?.assets?.[filePath] || expected, actual);
+    reportIntegrityError(err);
+    throw err;
+  }
+
+  return { text, etag: resp.headers.get('etag') };
+}
+
+// Track cache hit/miss in session metrics (and preloads that turned into hits)
+function trackCacheResult(hit, filePath = null) {
+  try {
+    require('./metrics').trackCacheHit(hit);
+  } catch (e) {}
+
+  const preload = hit && filePath && preloadedPaths.get(filePath);
+  if (preload) {
+    preloadedPaths.delete(filePath);
+    preloadStats.hits++;
+    preloadStats.bySource[preload.source].hits++;
+    preloadStats.hitRoutes[preload.route] = (preloadStats.hitRoutes[preload.route] || 0) + 1;
+    DEBUG && console.log(`[PRELOAD] ✓ ${filePath} servido do cache (${preload.source})`);
+  }
+}
+
+// Rotas e assets críticos nunca são removidos pela quota
+function isCriticalPath(filePath) {
+  return API_CONFIG.CRITICAL_CACHE_PATHS.some(prefix => filePath.startsWith(prefix));
+}
+
+// Apply the size quota (LRU eviction, critical paths and rolled back files protected)
+function enforceCacheQuota() {
+  return cacheStore.enforceQuota(API_CONFIG.CACHE_QUOTA, filePath => isCriticalPath(filePath) || !!cacheStore.getPin(filePath));
+}
+
+/**
+ * Hash que deve ser servido: o da release ativa (o manifesto só enquanto não há release),
+ * exceto se essa versão foi rejeitada por falhar no renderer — aí serve-se a versão boa anterior
+ */
+function expectedHashFor(filePath) {
+  const release = cacheStore.getRelease('active');
+  const expected = release
+    ? release.files[filePath] || null
+    : (apiHashes && apiHashes.assets && apiHashes.assets[filePath]) || null;
+  const pin = cacheStore.getPin(filePath);
+  return pin && pin.rejected === expected ? pin.hash : expected;
+}
+
+/**
+ * A cópia em cache pode ser servida: só a versão da release ativa (nunca misturar versões)
+ */
+function isCachedHashCurrent(filePath, hash) {
+  const expected = expectedHashFor(filePath);
+  return !!expected && hash === expected;
+}
+
+/**
+ * O manifesto verificado traz este ficheiro alterado (ou novo) face à release ativa:
+ * a versão nova só pode ser servida depois de a release ser preparada e ativada
+ */
+function isReleasePendingFor(filePath) {
+  const active = cacheStore.getRelease('active');
+  const hash = apiHashes && apiHashes.assets && apiHashes.assets[filePath];
+  return !!(active && hash && active.files[filePath] !== hash);
+}
+
+/**
+ * Prepara a release do manifesto (se ainda não estiver em staging) e lança RELEASE_PENDING:
+ * o renderer ativa a release e pede de novo, já com a versão nova do frontend inteira
+ */
+async function requireReleaseActivation(filePath, signal) {
+  const manifest = apiHashes;
+  if (!isSameRelease(cacheStore.getRelease('staged'), manifest)) {
+    const staging = stageRelease(manifest);
+    if (signal) {
+      let onAbort;
+      const aborted = new Promise((resolve, reject) => {
+        onAbort = () => reject(abortReason(signal));
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+      });
+      await Promise.race([staging, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+    } else {
+      await staging;
+    }
+  }
+
+  const ready = isSameRelease(cacheStore.getRelease('staged'), manifest);
+  throw createRequestError('RELEASE_PENDING', ready
+    ? `${filePath} pertence à versão ${manifest.version || 'nova'} do frontend, ainda por ativar`
+    : `${filePath} pertence à versão ${manifest.version || 'nova'} do frontend, que ainda não foi possível preparar`);
+}
+
+// Ficheiros que falham/funcionam em conjunto: os de uma rota ou os módulos globais
+function scriptGroup(route) {
+  const prefix = route ? `pages/${route}/` : 'assets/js/';
+  return cacheStore.entries().filter(entry => entry.path.startsWith(prefix));
+}
+
+/**
+ * O renderer importou e inicializou os scripts sem erros: estas versões passam a ser
+ * as "boas" para onde se volta se uma versão futura falhar
+ */
+function markScriptsKnownGood(route) {
+  cacheStore.markKnownGood(scriptGroup(route).map(entry => entry.path));
+}
+
+/**
+ * Um script remoto falhou no import ou no init(): volta à última versão boa de cada
+ * ficheiro da rota (ou dos módulos globais) que mudou desde então e rejeita a atual
+ * @returns {{rolledBack: boolean, paths: string[]}}
+ */
+function rollbackFailedScripts({ route = null, path: failedPath = null, message = '' } = {}) {
+  const paths = [];
+  scriptGroup(route).forEach(entry => {
+    const good = cacheStore.getKnownGood(entry.path);
+    if (good && good !== entry.hash && cacheStore.pin(entry.path, good, entry.hash)) {
+      paths.push(entry.path);
+    }
+  });
+
+  const target = route ? `rota ${route}` : 'módulos globais';
+  if (paths.length === 0) {
+    console.warn(`[ROLLBACK] ${failedPath || target} falhou mas não há versão anterior boa: ${message}`);
+    return { rolledBack: false, paths };
+  }
+
+  const err = new Error(`Script ${failedPath || target} falhou (${message}); revertido para a versão anterior: ${paths.join(', ')}`);
+  console.warn(`[ROLLBACK] ${err.message}`);
+  try {
+    require('./metrics').trackError(err, 'rollback');
+    require('./errorHandler').logError(err, 'rollback');
+  } catch (e) {}
+
+  return { rolledBack: true, paths };
+}
+
+/**
+ * Resultado de import/init reportado pelo renderer (IPC frontend:scriptResult)
+ */
+function handleScriptResult(event, result = {}) {
+  const route = typeof result.route === 'string' && result.route ? result.route : null;
+  if (result.ok) {
+    markScriptsKnownGood(route);
+    return { rolledBack: false, paths: [] };
+  }
+  return rollbackFailedScripts({ route, path: result.path, message: String(result.message || '') });
+}
+
+/**
+ * Estatísticas do cache para o IPC cache:getStats
+ */
+function getCacheStats() {
+  const { totalSize, entryCount } = cacheStore.usage();
+  const { hits, misses, hitRate } = require('./metrics').getCacheHitStats();
+  const largestEntries = cacheStore.entries()
+    .sort((a, b) => (b.size || 0) - (a.size || 0))
+    .slice(0, 10)
+    .map(entry => ({
+      path: entry.path,
+      size: entry.size,
+      storedSize: entry.storedSize || null,
+      lastAccessedAt: entry.lastAccessedAt || null,
+      critical: isCriticalPath(entry.path)
+    }));
+
+  return {
+    totalSize,
+    quota: API_CONFIG.CACHE_QUOTA,
+    entryCount,
+    hits,
+    misses,
+    hitRate,
+    preload: getPreloadStats(),
+    largestEntries
+  };
+}
+
+/**
+ * Notifica o renderer de que um ficheiro em cache mudou no servidor.
+ * Páginas: evento por rota (agrupado); assets globais: evento por ficheiro.
+ */
+function notifyContentUpdated(filePath, hash) {
+  const match = filePath.match(/^pages\/([^/]+)\//);
+  const route = match ? match[1] : null;
+  const groupKey = route || filePath;
+
+  clearTimeout(pendingContentUpdates.get(groupKey));
+  pendingContentUpdates.set(groupKey, setTimeout(() => {
+    pendingContentUpdates.delete(groupKey);
+    DEBUG && console.log(`[SWR] Conteúdo atualizado: ${route ? `rota ${route}` : filePath}`);
+
+    const { BrowserWindow } = require('electron');
+    BrowserWindow.getAllWindows().forEach(win => {
+      if (!win.isDestroyed()) {
+        win.webContents.send('content-updated', { route, path: filePath, hash });
+      }
+    });
+  }, CONTENT_UPDATED_DELAY));
+}
+
+/**
+ * Revalida um ficheiro em background (uma revalidação por ficheiro de cada vez)
+ * e avisa o renderer se o conteúdo mudou
+ */
+function revalidateInBackground(pathRel, basePath, ttl, cached) {
+  const filePath = `${basePath}${pathRel}`;
+  if (revalidations.has(filePath)) return revalidations.get(filePath);
+
+  const signal = environmentController.signal;
+  const task = fetchHashesFromAPI()
+    .then(hashes => {
+      assertEnvironment(signal);
+      // Manifesto com mais de HASHES_TTL é renovado antes de revalidar
+      if (hashes) apiHashes = hashes;
+      return apiFetchWithCache(pathRel, basePath, ttl, { priority: PRIORITY.BACKGROUND });
+    })
+    .then(fresh => {
+      assertEnvironment(signal);
+      if (fresh && fresh.hash && fresh.hash !== cached.hash) {
+        notifyContentUpdated(filePath, fresh.hash);
+      }
+      return fresh;
+    })
+    .catch(err => {
+      DEBUG && console.log(`[SWR] ✗ Revalidação falhou para ${filePath}:`, err.message);
+    })
+    .finally(() => {
+      if (revalidations.get(filePath) === task) revalidations.delete(filePath);
+    });
+
+  revalidations.set(filePath, task);
+  return task;
+}
+
+/**
+ * Descarrega vários ficheiros num único pedido ao endpoint de bundle.
+ * Resposta esperada: { success: true, files: { "<caminho>": "<conteúdo>" } }
+ * @returns {Promise<Map<string, string>|null>} null se o backend não suportar bundles
+ */
+async function fetchBundle(paths, signal) {
+  if (!bundleSupported || paths.length === 0) return null;
+
+  const url = `${API_CONFIG.BASE_URL}${API_CONFIG.BUNDLE_ENDPOINT}`;
+  const files = new Map();
+  try {
+    for (let i = 0; i < paths.length; i += API_CONFIG.MAX_BUNDLE_FILES) {
+      const batch = paths.slice(i, i + API_CONFIG.MAX_BUNDLE_FILES);
+      const resp = await scheduledFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ files: batch }),
+        signal
+      }, { value: PRIORITY.BACKGROUND });
+
+      if ([404, 405, 501].includes(resp.status)) {
+        DEBUG && console.log('[SYNC] Backend sem suporte para bundles, a usar pedidos por ficheiro');
+        bundleSupported = false;
+        return null;
+      }
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+      const data = await resp.json();
+      if (!data || !data.success || !data.files) throw new Error('Resposta de bundle inválida');
+      Object.entries(data.files).forEach(([filePath, content]) => {
+        if (typeof content === 'string') files.set(filePath, content);
+      });
+    }
+  } catch (e) {
+    DEBUG && console.log('[SYNC] ✗ Bundle falhou:', e.message);
+  }
+  return files;
+}
+
+function isSameRelease(release, manifest) {
+  if (!release || !manifest || !manifest.assets) return false;
+  const paths = Object.keys(manifest.assets);
+  return paths.length === Object.keys(release.files).length &&
+    paths.every(filePath => release.files[filePath] === manifest.assets[filePath]);
+}
+
+/**
+ * Chamado sempre que há um manifesto verificado: o primeiro passa a ser a release
+ * ativa; um manifesto diferente da release ativa é descarregado para staging
+ */
+function onManifest(manifest) {
+  if (!manifest || !manifest.assets) return;
+  apiHashes = manifest;
+  // Entradas migradas do storage antigo: só ficam as que o manifesto verificado confirma
+  cacheStore.verifyMigratedEntries(manifest.assets);
+  const active = cacheStore.getRelease('active');
+  if (!active) {
+    cacheStore.adoptRelease({ version: manifest.version || null, files: { ...manifest.assets }, sizes: {} });
+    return;
+  }
+  if (isSameRelease(active, manifest) || isSameRelease(cacheStore.getRelease('staged'), manifest)) return;
+  stageRelease(manifest).catch(err => {
+    DEBUG && console.log('[RELEASE] ✗ Staging falhou:', err.message);
+  });
+}
+
+/**
+ * Descarrega um ficheiro da release em staging (sem criar entrada no cache)
+ */
+async function downloadReleaseFile(filePath, signal) {
+  const url = `${API_CONFIG.BASE_URL}${API_CONFIG.FILES_ENDPOINT}/${filePath}?v=${API_CONFIG.CACHE_BUSTER}`;
+  const priorityRef = { value: PRIORITY.BACKGROUND };
+  const resp = await scheduledFetch(url, { signal }, priorityRef);
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+  let text = await resp.text();
+  if (!(await verifyDownloadedContent(filePath, text))) {
+    ({ text } = await quarantineAndRefetch(url, filePath, text, priorityRef, signal));
+  }
+  return text;
+}
+
+/**
+ * Prepara uma nova release em staging: descarrega (num bundle, com fallback por ficheiro)
+ * os ficheiros em cache e os assets globais que mudaram, verifica-os contra o manifesto
+ * e só regista a release quando estão todos em disco. Páginas nunca abertas são
+ * descarregadas quando forem pedidas, já com a release nova ativa (antes disso o
+ * pedido espera pelo staging e falha com RELEASE_PENDING, ver requireReleaseActivation).
+ * Uma troca de ambiente a meio cancela o staging (CANCELLED) sem escrever no store.
+ */
+function stageRelease(manifest) {
+  if (stagingTask) return stagingTask;
+  const task = doStageRelease(manifest, environmentController.signal).finally(() => {
+    if (stagingTask === task) stagingTask = null;
+  });
+  stagingTask = task;
+  return task;
+}
+
+async function doStageRelease(manifest, signal) {
+  const result = { version: manifest.version || null, staged: false, updated: [], failed: [] };
+  if (!isOnline) return result;
+
+  const active = cacheStore.getRelease('active');
+  const local = new Map(cacheStore.entries().map(entry => [entry.path, entry]));
+  const delta = Object.entries(manifest.assets)
+    .filter(([filePath, hash]) => {
+      // Em cache (ou asset global) e com objeto ainda por descarregar
+      const wanted = local.has(filePath) || filePath.startsWith('assets/');
+      return wanted && !cacheStore.hasObject(hash) && cachePolicyFor(filePath)?.type !== 'no-store';
+    })
+    .map(([filePath]) => filePath);
+
+  DEBUG && console.log(`[RELEASE] A preparar ${result.version}: ${delta.length} ficheiro(s) para descarregar`);
+
+  const bundle = await fetchBundle(delta, signal);
+  assertEnvironment(signal);
+  const sizes = {};
+
+  await Promise.all(delta.map(async (filePath) => {
+    try {
+      let content = bundle && bundle.get(filePath);
+      if (typeof content !== 'string' || calculateHash(content) !== manifest.assets[filePath]) {
+        // Fora do bundle ou não confere: pedido individual (com verificação e quarentena)
+        content = await downloadReleaseFile(filePath, signal);
+      }
+      assertEnvironment(signal);
+      const { hash, size } = await cacheStore.putObject(content);
+      if (hash !== manifest.assets[filePath]) {
+        throw new Error('o conteúdo não corresponde ao manifesto');
+      }
+      sizes[hash] = size;
+      result.updated.push(filePath);
+    } catch (err) {
+      result.failed.push(filePath);
+      DEBUG && console.log(`[RELEASE] ✗ ${filePath}:`, err.message);
+    }
+  }));
+
+  assertEnvironment(signal);
+  // Uma release incompleta nunca é registada: tenta de novo no próximo refresh
+  if (result.failed.length > 0) {
+    DEBUG && console.log(`[RELEASE] ✗ ${result.version} incompleta (${result.failed.length} falhado(s))`);
+    return result;
+  }
+
+  cacheStore.stageRelease({ version: manifest.version || null, files: { ...manifest.assets }, sizes });
+  result.staged = true;
+  DEBUG && console.log(`[RELEASE] ✓ ${result.version} pronta, ativa na próxima navegação`);
+
+  // Páginas abertas com ficheiros alterados podem recarregar (e ativar a release)
+  local.forEach((entry, filePath) => {
+    if (filePath.startsWith('assets/')) return;
+    const hash = manifest.assets[filePath];
+    if (hash && hash !== entry.hash && (!active || active.files[filePath] !== hash)) {
+      notifyContentUpdated(filePath, hash);
+    }
+  });
+  notifyAssetsUpdated(active, manifest);
+
+  return result;
+}
+
+/**
+ * Assets globais que mudam entre a release ativa e `files` (adicionados, alterados
+ * ou removidos), separados em CSS e o resto. Sem release ativa não há nada carregado.
+ */
+function changedGlobalAssets(active, files) {
+  if (!active) return { css: [], js: [] };
+  const paths = new Set([...Object.keys(files), ...Object.keys(active.files)]);
+  const changed = [...paths].filter(filePath =>
+    filePath.startsWith('assets/') && active.files[filePath] !== files[filePath]
+  );
+  return {
+    css: changed.filter(filePath => filePath.startsWith('assets/css/')),
+    js: changed.filter(filePath => !filePath.startsWith('assets/css/'))
+  };
+}
+
+/**
+ * Avisa o renderer de que a release em staging traz CSS/JS global novo
+ * (CSS aplicado logo; JS pede para recarregar a shell)
+ */
+function notifyAssetsUpdated(active, manifest) {
+  const { css, js } = changedGlobalAssets(active, manifest.assets);
+  if (css.length === 0 && js.length === 0) return;
+
+  DEBUG && console.log(`[RELEASE] Assets globais alterados em ${manifest.version}: ${css.length} CSS, ${js.length} JS`);
+  const { BrowserWindow } = require('electron');
+  BrowserWindow.getAllWindows().forEach(win => {
+    if (!win.isDestroyed()) {
+      win.webContents.send('frontend:assets-updated', { version: manifest.version || null, css, js });
+    }
+  });
+}
+
+/**
+ * Sincronização delta: renova o manifesto e prepara a release nova, se houver
+ */
+async function syncFromManifest() {
+  if (!isOnline) return { staged: false, updated: [], failed: [] };
+  const hashes = await fetchHashesFromAPI();
+  if (hashes) apiHashes = hashes;
+  if (!apiHashes || !apiHashes.assets) return { staged: false, updated: [], failed: [] };
+
+  const active = cacheStore.getRelease('active');
+  if (isSameRelease(active, apiHashes) || isSameRelease(cacheStore.getRelease('staged'), apiHashes)) {
+    DEBUG && console.log('[SYNC] Cache já está atualizado');
+    return { staged: false, updated: [], failed: [] };
+  }
+  const result = await stageRelease(apiHashes);
+  enforceCacheQuota();
+  return result;
+}
+
+/**
+ * Ativa a release em staging (chamado pelo renderer antes de uma navegação ou no arranque).
+ * reloadRequired indica que os assets globais mudaram e o renderer tem de recarregar.
+ */
+function activateStagedRelease() {
+  const staged = cacheStore.getRelease('staged');
+  const active = cacheStore.getRelease('active');
+  if (!staged) {
+    return { activated: false, version: active ? active.version : null, reloadRequired: false };
+  }
+
+  const { css, js } = changedGlobalAssets(active, staged.files);
+
+  cacheStore.switchRelease('staged');
+  DEBUG && console.log(`[RELEASE] Frontend ${active ? active.version : '?'} -> ${staged.version}`);
+  return {
+    activated: true,
+    version: staged.version,
+    previousVersion: active ? active.version : null,
+    // CSS global é trocado no sítio; JS (e outros assets) só com a shell recarregada
+    reloadRequired: js.length > 0,
+    cssChanged: css.filter(filePath => staged.files[filePath]),
+    cssRemoved: css.filter(filePath => !staged.files[filePath])
+  };
+}
+
+/**
+ * Releases do frontend para a UI (badge da sidebar)
+ */
+function getReleaseInfo() {
+  const summary = (release) => release
+    ? { version: release.version, stagedAt: release.stagedAt || null, activatedAt: release.activatedAt || null }
+    : null;
+  return {
+    active: summary(cacheStore.getRelease('active')),
+    staged: summary(cacheStore.getRelease('staged')),
+    previous: summary(cacheStore.getRelease('previous'))
+  };
+}
+
 /**
  * Fetch a file from the Frontend API with hash-based validation
+ * @param {Object} options - staleWhileRevalidate: devolve logo o cache e revalida em background;
+ *                           priority: PRIORITY.* no scheduler (por defeito NAVIGATION)
  */
-async function apiFetchWithCache(pathRel, basePath, ttl) {
-  const key = STORAGE_PREFIX + pathRel;
-  const cached = ElectronStorage.getItem(key);
+async function apiFetchWithCache(pathRel, basePath, ttl, options = {}) {
+  const filePath = `${basePath}${pathRel}`;
+  const key = filePath;
+  const priority = options.priority ?? PRIORITY.NAVIGATION;
+  const environmentSignal = environmentController.signal;
+  // Só pedidos do renderer contam para o hit rate (background/preload não)
+  const countRequest = priority === PRIORITY.NAVIGATION;
+  const policy = cachePolicyFor(filePath);
+  const noStore = policy?.type === 'no-store';
+  // no-store: nunca servido nem guardado em disco (remove cópias de antes da política)
+  if (noStore && cacheStore.getEntry(key)) cacheStore.remove(key);
+  const cached = noStore ? null : await cacheStore.get(key);
   const now = Date.now();
+  // Só a cópia da release ativa é servida sem passar pelo servidor (offline, SWR, fallbacks)
+  const isServable = (copy) => !!(copy && copy.content && !copy.unverified && isCachedHashCurrent(filePath, copy.hash));
   
-  const filePath = `${basePath}${pathRel}`;
   // Adicionar versioning ao URL para invalidar cache em crítico
   const versionParam = `?v=${API_CONFIG.CACHE_BUSTER}`;
   const url = `${API_CONFIG.BASE_URL}${API_CONFIG.FILES_ENDPOINT}/${filePath}${versionParam}`;
@@ -116,17 +1166,52 @@ async function apiFetchWithCache(pathRel, basePath, ttl) {
     throw new Error(`Unsafe URL blocked: ${url}`);
   }
 
+  // Modo offline: servir a cópia da release ativa, sem tentativas de rede
+  if (!isOnline) {
+    if (isServable(cached)) {
+      DEBUG && console.log(`[API CACHE OFFLINE] ${pathRel}`);
+      countRequest && trackCacheResult(true, key);
+      return { ...cached, offline: true };
+    }
+    if (!noStore) offlineQueue.push({ pathRel, basePath, ttl });
+    throw new Error(`Conteúdo não disponível offline: ${pathRel}`);
+  }
+
+  // immutable / max-age ainda válido: servir do cache sem contactar o servidor
+  // (o hash da release ativa continua a mandar: um deploy novo invalida a cópia)
+  if (cached && cached.content && policy &&
+      (policy.type === 'immutable' || (policy.type === 'max-age' && now - cached.fetchedAt < policy.maxAge))) {
+    if (isServable(cached)) {
+      DEBUG && console.log(`[API CACHE HIT] ${pathRel} (${policy.type})`);
+      countRequest && trackCacheResult(true, key);
+      return cached;
+    }
+  }
+
+  // revalidate-on-open / max-age expirado: pedido condicional antes de mostrar
+  const mustRevalidate = policy?.type === 'revalidate-on-open' || policy?.type === 'max-age';
+
+  // Stale-while-revalidate: renderizar já com o cache e validar depois
+  // (uma cópia que não é da release ativa segue o caminho com validação)
+  if (options.staleWhileRevalidate && !policy && isServable(cached)) {
+    DEBUG && console.log(`[API CACHE HIT] ${pathRel} (stale-while-revalidate)`);
+    revalidateInBackground(pathRel, basePath, ttl, cached);
+    countRequest && trackCacheResult(true, key);
+    return cached;
+  }
+
   // Buscar hashes se não tem
   if (!apiHashes) {
     apiHashes = await fetchHashesFromAPI();
   }
 
-  // Validar cache usando APENAS hashes (não TTL!)
-  if (cached && cached.content && apiHashes) {
+  // Validar cache usando APENAS hashes (não TTL!), contra a release ativa
+  if (cached && cached.content && apiHashes && !mustRevalidate) {
     const filePathForHash = filePath.startsWith('/') ? filePath.substring(1) : filePath;
-    if (validateFileHash(filePathForHash, cached.content)) {
+    if (isCachedHashCurrent(filePathForHash, cached.hash)) {
       DEBUG && console.log(`[STORAGE] ✓ Carregado: ${key} (hash: ${cached.hash})`);
       DEBUG && console.log(`[API CACHE HIT] ${pathRel} (hash válido)`);
+      countRequest && trackCacheResult(true, key);
       return cached;
     } else {
       DEBUG && console.log(`[STORAGE] ❌ Hash inválido: ${key}, recarregando...`);
@@ -134,8 +1219,58 @@ async function apiFetchWithCache(pathRel, basePath, ttl) {
     }
   }
 
+  // Versão nova de uma release por ativar: a cópia da release ativa continua a servir
+  // (mesmo com revalidação obrigatória); sem ela, a release nova tem de ser ativada primeiro
+  if (isReleasePendingFor(filePath)) {
+    if (isServable(cached)) {
+      countRequest && trackCacheResult(true, key);
+      return cached;
+    }
+    await requireReleaseActivation(filePath, options.signal);
+  }
+
+  // Pedido idêntico já em curso: partilhar a mesma promise (e herdar a prioridade mais alta)
+  const inFlight = inFlightFetches.get(key);
+  if (inFlight) {
+    inFlight.priorityRef.value = Math.min(inFlight.priorityRef.value, priority);
+    DEBUG && console.log(`[API COALESCED] ${pathRel}`);
+    return joinFetch(inFlight, options.signal, isServable(cached) ? cached : null, pathRel);
+  }
+  const priorityRef = { value: priority };
+  // Abortado só quando todos os interessados cancelaram (ver joinFetch)
+  const controller = new AbortController();
+
   DEBUG && console.log(`[API FETCH] ${url}`);
 
+  const storeFetched = async (text, etag) => {
+    if (noStore) {
+      DEBUG && console.log(`[API SUCCESS] ${pathRel} (no-store, não guardado)`);
+      countRequest && trackCacheResult(false);
+      return { content: text, etag, fetchedAt: now, hash: calculateHash(text) };
+    }
+
+    // Versão rejeitada (falhou no renderer): nunca substitui a versão boa fixada
+    assertEnvironment(environmentSignal);
+    const pin = cacheStore.getPin(key);
+    if (pin && calculateHash(text) === pin.rejected) {
+      const pinned = await cacheStore.get(key);
+      if (pinned && pinned.hash === pin.hash) return pinned;
+    }
+
+    const payload = await cacheStore.set(key, {
+      content: text,
+      etag,
+      fetchedAt: now
+    });
+    DEBUG && console.log(`[STORAGE] ✓ Guardado: ${key} (hash: ${payload.hash})`);
+    DEBUG && console.log(`[API SUCCESS] ${pathRel} (${text.length} bytes, hash: ${payload.hash})`);
+    
+    countRequest && trackCacheResult(false);
+    enforceCacheQuota();
+    
+    return payload;
+  };
+
   const doFetch = async (retryCount = 0) => {
     try {
       const headers = {};
@@ -145,44 +1280,41 @@ async function apiFetchWithCache(pathRel, basePath, ttl) {
         headers['If-None-Match'] = cached.etag;
       }
       
-      const resp = await fetch(url, { headers });
+      const resp = await scheduledFetch(url, { headers, signal: controller.signal }, priorityRef);
+      
+      // 304 mas a cópia local não corresponde ao manifesto: descarregar de novo
+      if (resp.status === 304 && cached && !(await verifyDownloadedContent(filePath, cached.content))) {
+        const fresh = await quarantineAndRefetch(url, filePath, cached.content, priorityRef, environmentSignal);
+        return await storeFetched(fresh.text, fresh.etag);
+      }
       
       // Handle 304 Not Modified
       if (resp.status === 304 && cached) {
+        assertEnvironment(environmentSignal);
         cached.fetchedAt = now;
-        ElectronStorage.setItem(key, cached);
+        cacheStore.touch(key, { fetchedAt: now });
         DEBUG && console.log(`[STORAGE] ✓ Guardado (304): ${key}`);
         DEBUG && console.log(`[API CACHE HIT] ${pathRel} (304 Not Modified)`);
         
-        // Track cache hit
-        try {
-          const metrics = require('./metrics');
-          metrics.trackCacheHit(true);
-        } catch (e) {}
+        countRequest && trackCacheResult(true, key);
         
         return cached;
       }
       
       if (resp.ok) {
-        const text = await resp.text();
-        const etag = resp.headers.get('etag');
-        const payload = { 
-          content: text, 
-          etag, 
-          fetchedAt: now,
-          hash: calculateHash(text) // Guarda hash para validação
-        };
-        ElectronStorage.setItem(key, payload);
-        DEBUG && console.log(`[STORAGE] ✓ Guardado: ${key} (hash: ${payload.hash})`);
-        DEBUG && console.log(`[API SUCCESS] ${pathRel} (${text.length} bytes, hash: ${payload.hash})`);
+        let text = await resp.text();
+        let etag = resp.headers.get('etag');
         
-        // Track cache miss
-        try {
-          const metrics = require('./metrics');
-          metrics.trackCacheHit(false);
-        } catch (e) {}
+        // Nunca guardar nem servir conteúdo que não corresponde ao manifesto
+        if (!(await verifyDownloadedContent(filePath, text))) {
+          ({ text, etag } = await quarantineAndRefetch(url, filePath, text, priorityRef, environmentSignal));
+        }
+        // O manifesto mudou durante o pedido: a versão nova espera pela ativação da release
+        if (isReleasePendingFor(filePath)) {
+          await requireReleaseActivation(filePath, controller.signal);
+        }
         
-        return payload;
+        return await storeFetched(text, etag);
       }
       
       // Handle errors
@@ -190,34 +1322,40 @@ async function apiFetchWithCache(pathRel, basePath, ttl) {
         throw new Error(`File not found: ${pathRel}`);
       }
       
-      if (resp.status === 429) {
-        throw new Error('Rate limit exceeded. Please try again later.');
-      }
-      
       throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
       
     } catch (err) {
-      // Exponential backoff retry with jitter
-      if (retryCount < RETRY_CONFIG.maxRetries) {
+      // Falhas de integridade e releases por ativar não são repetidas nem substituídas por cache
+      if (err.code === 'INTEGRITY_ERROR' || err.code === 'RELEASE_PENDING') {
+        throw err;
+      }
+      // Ninguém espera já por este pedido (ou o ambiente mudou): não repetir
+      assertEnvironment(environmentSignal);
+      if (controller.signal.aborted) {
+        throw abortReason(controller.signal);
+      }
+      
+      // Exponential backoff retry with jitter (429 já esperou o Retry-After no scheduler)
+      if (retryCount < RETRY_CONFIG.maxRetries && err.code !== 'RATE_LIMITED') {
         const delay = Math.min(
           RETRY_CONFIG.baseDelay * Math.pow(2, retryCount) + Math.random() * 1000,
           RETRY_CONFIG.maxDelay
         );
         DEBUG && console.log(`[RETRY ${retryCount + 1}/${RETRY_CONFIG.maxRetries}] ${pathRel} after ${Math.round(delay)}ms - ${err.message}`);
-        await new Promise(r => setTimeout(r, delay));
+        await abortableDelay(delay, controller.signal);
         return doFetch(retryCount + 1);
       }
       
       DEBUG && console.error(`[API ERROR] ${pathRel}:`, err);
       
-      // Return cached version if available (even if expired)
-      if (cached && cached.content) {
+      // Return cached version if available (even if expired), só se for da release ativa
+      if (isServable(cached)) {
         console.warn(`[API FALLBACK] Using stale cache for ${pathRel}`);
         return cached;
       }
       
       // If all retries failed and offline, queue the request
-      if (!isOnline) {
+      if (!isOnline && !noStore) {
         DEBUG && console.log(`[OFFLINE QUEUE] Adding ${pathRel} to queue`);
         offlineQueue.push({ pathRel, basePath, ttl });
       }
@@ -225,103 +1363,310 @@ async function apiFetchWithCache(pathRel, basePath, ttl) {
       throw err;
     }
   };
-  return doFetch();
+
+  const job = { priorityRef, controller, waiters: 0, shared: false };
+  job.promise = doFetch().finally(() => {
+    if (inFlightFetches.get(key) === job) inFlightFetches.delete(key);
+  });
+  inFlightFetches.set(key, job);
+  return joinFetch(job, options.signal, isServable(cached) ? cached : null, pathRel);
+}
+
+/**
+ * Espera por um pedido (possivelmente partilhado) com o signal do chamador.
+ * Se o chamador cancelar ou passar o prazo, devolve o cache que houver (ou o erro)
+ * e o pedido só é abortado quando mais ninguém está à espera dele.
+ */
+function joinFetch(job, signal, cached, pathRel) {
+  if (!signal) {
+    // Chamadores sem signal (background, preload) mantêm o pedido vivo
+    job.shared = true;
+    return job.promise;
+  }
+
+  job.waiters++;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      job.waiters--;
+      if (job.waiters === 0 && !job.shared) job.controller.abort(abortReason(signal));
+
+      const reason = abortReason(signal);
+      if (cached && cached.content) {
+        console.warn(`[API FALLBACK] ${pathRel}: ${reason.message}, a usar o cache`);
+        resolve({ ...cached, stale: true });
+      } else {
+        reject(reason);
+      }
+    };
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    job.promise
+      .finally(() => signal.removeEventListener('abort', onAbort))
+      .then(resolve, reject);
+  });
 }
 
-// IPC handler to fetch page content with cache
-function handleFetch(event, pathRel, ttl) {
+// Pedidos do renderer em curso por requestId (cancelados numa nova navegação)
+const rendererRequests = new Map();
+
+/**
+ * Corre um pedido do renderer com prazo total (FETCH_DEADLINE) e, se tiver
+ * requestId, cancelável via github-cache:cancel
+ */
+function withRendererRequest(requestId, task) {
+  const controller = new AbortController();
+  const deadline = setTimeout(() => {
+    controller.abort(createRequestError('TIMEOUT', `Pedido sem resposta em ${API_CONFIG.FETCH_DEADLINE / 1000}s`));
+  }, API_CONFIG.FETCH_DEADLINE);
+
+  if (requestId) {
+    if (!rendererRequests.has(requestId)) rendererRequests.set(requestId, new Set());
+    rendererRequests.get(requestId).add(controller);
+  }
+
+  return task(controller.signal).finally(() => {
+    clearTimeout(deadline);
+    const group = requestId && rendererRequests.get(requestId);
+    if (group) {
+      group.delete(controller);
+      if (group.size === 0) rendererRequests.delete(requestId);
+    }
+  });
+}
+
+/**
+ * Cancela os pedidos do renderer com este requestId (ex: utilizador mudou de página)
+ */
+function cancelRendererRequests(event, requestId) {
+  const group = rendererRequests.get(requestId);
+  if (!group) return 0;
+  DEBUG && console.log(`[API CANCEL] ${requestId} (${group.size} pedido(s))`);
+  const err = createRequestError('CANCELLED', 'Pedido cancelado pela navegação');
+  group.forEach(controller => controller.abort(err));
+  rendererRequests.delete(requestId);
+  return group.size;
+}
+
+// IPC handler to fetch page content with cache (options.requestId permite cancelar)
+function handleFetch(event, pathRel, ttl, options = {}) {
   const effectiveTTL = ttl || API_CONFIG.PAGE_TTL;
-  return apiFetchWithCache(pathRel, 'pages/', effectiveTTL);
+  return withRendererRequest(options && options.requestId, signal =>
+    apiFetchWithCache(pathRel, 'pages/', effectiveTTL, { staleWhileRevalidate: true, signal })
+  );
 }
 
 // IPC handler to fetch assets (path already includes 'assets/' prefix)
-function handleFetchAsset(event, pathRel, ttl) {
+function handleFetchAsset(event, pathRel, ttl, options = {}) {
   const effectiveTTL = ttl || API_CONFIG.ASSET_TTL;
   // Don't add prefix - pathRel already contains full path like 'assets/js/utils.js'
-  return apiFetchWithCache(pathRel, '', effectiveTTL);
+  return withRendererRequest(options && options.requestId, signal =>
+    apiFetchWithCache(pathRel, '', effectiveTTL, { staleWhileRevalidate: true, signal })
+  );
 }
 
 // IPC handler to clear cache for a specific file
 function handleClear(event, pathRel) {
-  ElectronStorage.removeItem(STORAGE_PREFIX + pathRel);
+  const filePath = cacheStore.resolveFilePath(pathRel);
+  // Remoção explícita também desfaz um rollback fixado
+  cacheStore.unpin(filePath);
+  cacheStore.remove(filePath);
 }
 
 // IPC handler to clear all cache
 function handleClearAll() {
-  Object.keys(ElectronStorage.data)
-    .filter(k => k.startsWith(STORAGE_PREFIX))
-    .forEach(k => ElectronStorage.removeItem(k));
+  cacheStore.clear();
 }
 
 /**
- * List CSS files under assets/css from the Frontend API.
+ * Entradas do cache com o estado face ao manifesto (gestor de cache)
+ * status: 'valid' | 'outdated' | 'pinned' (versão anterior após rollback) | 'untracked' (fora do manifesto)
  */
-async function listCssFiles() {
+function getCacheEntries() {
+  return cacheStore.entries()
+    .map(entry => {
+      const manifestHash = (apiHashes && apiHashes.assets && apiHashes.assets[entry.path]) || null;
+      const expected = expectedHashFor(entry.path);
+      const pin = cacheStore.getPin(entry.path);
+      let status = 'untracked';
+      if (pin && pin.hash === entry.hash) status = 'pinned';
+      else if (expected) status = expected === entry.hash ? 'valid' : 'outdated';
+      return {
+        path: entry.path,
+        size: entry.size || 0,
+        storedSize: entry.storedSize || null,
+        hash: entry.hash,
+        manifestHash,
+        etag: entry.etag || null,
+        fetchedAt: entry.fetchedAt || null,
+        lastAccessedAt: entry.lastAccessedAt || null,
+        critical: isCriticalPath(entry.path),
+        status
+      };
+    })
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Descarrega de novo um ficheiro do cache (descarta a cópia local e um eventual rollback)
+ */
+async function refreshCacheEntry(event, pathRel) {
+  if (!isOnline) throw new Error('Sem ligação: não é possível atualizar');
+  const filePath = cacheStore.resolveFilePath(pathRel);
+  handleClear(event, filePath);
+  const payload = await apiFetchWithCache(filePath, '', API_CONFIG.PAGE_TTL, { priority: PRIORITY.BACKGROUND });
+  return { path: filePath, hash: payload.hash, fetchedAt: payload.fetchedAt };
+}
+
+/**
+ * Ressincronização completa: manifesto novo, release ativada já e ficheiros
+ * desatualizados descarregados de novo
+ */
+async function resyncCache() {
+  if (!isOnline) throw new Error('Sem ligação: não é possível sincronizar');
+
+  const hashes = await fetchHashesFromAPI(true);
+  if (hashes) apiHashes = hashes;
+  const sync = await syncFromManifest();
+  const release = activateStagedRelease();
+
+  const outdated = getCacheEntries().filter(entry => entry.status === 'outdated');
+  const results = await Promise.allSettled(outdated.map(entry =>
+    apiFetchWithCache(entry.path, '', API_CONFIG.PAGE_TTL, { priority: PRIORITY.BACKGROUND })
+  ));
+  const failed = [
+    ...(sync.failed || []),
+    ...outdated.filter((entry, i) => results[i].status === 'rejected').map(entry => entry.path)
+  ];
+
+  DEBUG && console.log(`[CACHE] Ressincronização: release ${release.version || '?'}, ${failed.length} falha(s)`);
+  return {
+    version: release.version,
+    activated: release.activated,
+    updated: (sync.updated || []).length + results.filter(r => r.status === 'fulfilled').length,
+    failed
+  };
+}
+
+/**
+ * Última lista de ficheiros conhecida quando /api/list não responde:
+ * lista guardada, depois o manifesto e por fim o que estiver em cache.
+ */
+function fallbackFileList() {
+  const stored = ElectronStorage.getItem(environment.namespaced(FILE_LIST_CACHE_KEY));
+  if (stored && Array.isArray(stored.files)) return stored.files;
+  if (apiHashes && apiHashes.assets) return Object.keys(apiHashes.assets);
+  return cacheStore.entries().map(entry => entry.path);
+}
+
+async function requestFileList() {
+  const signal = environmentController.signal;
   try {
-    DEBUG && console.log('[assets:listCss] fetching from Frontend API...');
-    const apiUrl = `${API_CONFIG.BASE_URL}/api/list`;
-    
-    const resp = await fetch(apiUrl);
+    DEBUG && console.log('[assets:list] fetching from Frontend API...');
+    const resp = await scheduledFetch(`${API_CONFIG.BASE_URL}/api/list`);
     if (resp && resp.ok) {
       const data = await resp.json();
       if (data && data.success && Array.isArray(data.files)) {
-        // Filter CSS files from assets/css/
-        const cssFiles = data.files
-          .filter(f => f.startsWith('assets/css/') && f.endsWith('.css'))
-          .map(f => f.replace('assets/css/', ''));
-        DEBUG && console.log('[assets:listCss] ✓ API success:', cssFiles);
-        return cssFiles;
+        assertEnvironment(signal);
+        fileList = { files: data.files, fetchedAt: Date.now() };
+        // Só reescreve o storage quando a lista muda
+        const stored = ElectronStorage.getItem(environment.namespaced(FILE_LIST_CACHE_KEY));
+        if (!stored || JSON.stringify(stored.files) !== JSON.stringify(data.files)) {
+          ElectronStorage.setItem(environment.namespaced(FILE_LIST_CACHE_KEY), fileList);
+        }
+        return data.files;
       }
     }
-    console.warn('[assets:listCss] ✗ API failed with status', resp?.status);
-    return [];
+    console.warn('[assets:list] ✗ API failed with status', resp?.status);
   } catch (e) {
-    console.error('[assets:listCss] error:', e.message);
-    return [];
+    // Lista do ambiente anterior: nem guardada nem substituída pela do ambiente novo
+    if (signal.aborted) throw e;
+    console.error('[assets:list] error:', e.message);
   }
+  return fallbackFileList();
+}
+
+/**
+ * Lista de ficheiros da Frontend API (/api/list), partilhada por CSS e JS e guardada localmente
+ */
+function fetchFileList() {
+  // Com uma release ativa, a lista é a dessa release (nunca mistura versões)
+  const release = cacheStore.getRelease('active');
+  if (release) return Promise.resolve(Object.keys(release.files));
+  if (!isOnline) return Promise.resolve(fallbackFileList());
+  if (fileList && Date.now() - fileList.fetchedAt < FILE_LIST_TTL) return Promise.resolve(fileList.files);
+  if (!fileListRequest) {
+    const request = requestFileList().finally(() => {
+      if (fileListRequest === request) fileListRequest = null;
+    });
+    fileListRequest = request;
+  }
+  return fileListRequest;
+}
+
+function filterAssetFiles(files, folder, extension) {
+  return files
+    .filter(f => f.startsWith(folder) && f.endsWith(extension))
+    .map(f => f.replace(folder, ''));
+}
+
+/**
+ * List CSS files under assets/css from the Frontend API.
+ */
+async function listCssFiles() {
+  const cssFiles = filterAssetFiles(await fetchFileList(), 'assets/css/', '.css');
+  DEBUG && console.log('[assets:listCss]', cssFiles);
+  return cssFiles;
 }
 
 /**
  * List JS files under assets/js from the Frontend API.
  */
 async function listJsFiles() {
-  try {
-    DEBUG && console.log('[assets:listJs] fetching from Frontend API...');
-    const apiUrl = `${API_CONFIG.BASE_URL}/api/list`;
-    
-    const resp = await fetch(apiUrl);
-    if (resp && resp.ok) {
-      const data = await resp.json();
-      if (data && data.success && Array.isArray(data.files)) {
-        // Filter JS files from assets/js/
-        const jsFiles = data.files
-          .filter(f => f.startsWith('assets/js/') && f.endsWith('.js'))
-          .map(f => f.replace('assets/js/', ''));
-        DEBUG && console.log('[assets:listJs] ✓ API success:', jsFiles);
-        return jsFiles;
-      }
-    }
-    console.warn('[assets:listJs] ✗ API failed with status', resp?.status);
-    return [];
-  } catch (e) {
-    console.error('[assets:listJs] error:', e.message);
-    return [];
-  }
+  const jsFiles = filterAssetFiles(await fetchFileList(), 'assets/js/', '.js');
+  DEBUG && console.log('[assets:listJs]', jsFiles);
+  return jsFiles;
 }
 
 // Clean old cache entries (remove entries older than MAX_CACHE_AGE)
 function cleanOldCache() {
   const now = Date.now();
-  const keys = Object.keys(ElectronStorage.data).filter(k => k.startsWith(API_CONFIG.STORAGE_PREFIX));
   let cleaned = 0;
-  keys.forEach(k => {
-    const item = ElectronStorage.getItem(k);
-    if (item && item.fetchedAt && (now - item.fetchedAt > API_CONFIG.MAX_CACHE_AGE)) {
-      ElectronStorage.removeItem(k);
+  cacheStore.entries().forEach(entry => {
+    if (cacheStore.getPin(entry.path)) return;
+    if (entry.fetchedAt && (now - entry.fetchedAt > API_CONFIG.MAX_CACHE_AGE)) {
+      cacheStore.remove(entry.path);
       cleaned++;
     }
   });
   DEBUG && cleaned > 0 && console.log(`[CACHE CLEANUP] Removed ${cleaned} old entries`);
+  
+  // Quota pode ter baixado desde a última sessão
+  enforceCacheQuota();
+}
+
+/**
+ * Resumo do conteúdo disponível para o modo offline (shell, rotas visitadas e idade do cache)
+ */
+function getOfflineInfo() {
+  // Só contam as cópias que o modo offline pode servir (as da release ativa)
+  const entries = cacheStore.entries().filter(entry => !entry.unverified && isCachedHashCurrent(entry.path, entry.hash));
+  const routes = entries
+    .map(entry => entry.path.match(/^pages\/([^/]+)\/index\.html$/))
+    .filter(Boolean)
+    .map(match => match[1]);
+  const jsFiles = filterAssetFiles(entries.map(entry => entry.path), 'assets/js/', '.js');
+  const fetchedAts = entries.map(entry => entry.fetchedAt).filter(Boolean);
+
+  return {
+    // A shell precisa pelo menos dos módulos globais críticos e de uma rota
+    available: jsFiles.includes('utils.js') && jsFiles.includes('api.js') && routes.length > 0,
+    routes,
+    oldestFetchedAt: fetchedAts.length ? Math.min(...fetchedAts) : null,
+    newestFetchedAt: fetchedAts.length ? Math.max(...fetchedAts) : null
+  };
 }
 
 // Set online/offline status
@@ -331,9 +1676,10 @@ function setOnlineStatus(online) {
   
   DEBUG && console.log(`[NETWORK] Status changed: ${online ? 'ONLINE' : 'OFFLINE'}`);
   
-  // Process offline queue when coming back online
-  if (online && wasOffline && offlineQueue.length > 0) {
-    processOfflineQueue();
+  // De volta online: pedidos em fila e o que mudou no manifesto enquanto offline
+  if (online && wasOffline) {
+    if (offlineQueue.length > 0) processOfflineQueue();
+    syncFromManifest().catch(err => DEBUG && console.log('[NETWORK] Sync falhou:', err.message));
   }
 }
 
@@ -346,33 +1692,114 @@ async function processOfflineQueue() {
   const queue = [...offlineQueue];
   offlineQueue = [];
   
-  for (const { pathRel, basePath, ttl } of queue) {
+  await Promise.all(queue.map(async ({ pathRel, basePath, ttl }) => {
     try {
-      await apiFetchWithCache(pathRel, basePath, ttl);
+      await apiFetchWithCache(pathRel, basePath, ttl, { priority: PRIORITY.BACKGROUND });
       DEBUG && console.log(`[OFFLINE QUEUE] ✓ Synced ${pathRel}`);
     } catch (err) {
       DEBUG && console.log(`[OFFLINE QUEUE] ✗ Failed to sync ${pathRel}:`, err.message);
     }
-  }
+  }));
   
   DEBUG && console.log('[OFFLINE QUEUE] Sync complete');
 }
 
-// Preload frequently accessed pages
+/**
+ * Informação da ligação enviada pelo renderer (navigator.connection)
+ */
+function setConnectionInfo(info = {}) {
+  connectionInfo = {
+    metered: !!info.metered,
+    saveData: !!info.saveData,
+    effectiveType: typeof info.effectiveType === 'string' ? info.effectiveType : null
+  };
+  DEBUG && console.log('[PRELOAD] Ligação:', connectionInfo);
+}
+
+// Preloads só com ligação normal (não degradada nem limitada) e com folga na quota
+function canPreload() {
+  if (!isOnline || connectivity.getState().status === 'degraded') return false;
+  if (connectionInfo.metered || connectionInfo.saveData || ['slow-2g', '2g'].includes(connectionInfo.effectiveType)) {
+    DEBUG && console.log('[PRELOAD] Ligação limitada, preload ignorado');
+    return false;
+  }
+  if (cacheStore.usage().totalSize >= API_CONFIG.CACHE_QUOTA * PRELOAD_CONFIG.quotaHeadroom) {
+    DEBUG && console.log('[PRELOAD] Cache perto da quota, preload ignorado');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Pré-carrega os ficheiros de uma rota que ainda não estão em cache (ou estão desatualizados)
+ * @param {string} source 'history' (rotas mais usadas) ou 'hover' (link da sidebar)
+ * @returns {Promise<number>} número de ficheiros descarregados
+ */
+async function preloadRoute(route, source = 'history') {
+  if (typeof route !== 'string' || !/^[\w-]+$/.test(route) || !canPreload()) return 0;
+
+  const release = cacheStore.getRelease('active');
+  const known = release ? release.files : (apiHashes && apiHashes.assets) || null;
+  const pending = PRELOAD_CONFIG.routeFiles
+    .map(file => `pages/${route}/${file}`)
+    .filter(filePath => {
+      // Com manifesto, só ficheiros que existem na rota (e que podem ficar em cache)
+      if (known && !known[filePath]) return false;
+      if (cachePolicyFor(filePath)?.type === 'no-store') return false;
+      const entry = cacheStore.getEntry(filePath);
+      const expected = expectedHashFor(filePath);
+      return !entry || (expected && entry.hash !== expected);
+    });
+  if (pending.length === 0) return 0;
+
+  const results = await Promise.allSettled(pending.map(filePath =>
+    apiFetchWithCache(filePath.substring('pages/'.length), 'pages/', API_CONFIG.PAGE_TTL, { priority: PRIORITY.PRELOAD })
+  ));
+
+  let loaded = 0;
+  results.forEach((result, i) => {
+    if (result.status !== 'fulfilled') return;
+    preloadedPaths.set(pending[i], { route, source });
+    preloadStats.bySource[source] = preloadStats.bySource[source] || { preloaded: 0, hits: 0 };
+    preloadStats.bySource[source].preloaded++;
+    preloadStats.preloaded++;
+    loaded++;
+  });
+  DEBUG && console.log(`[PRELOAD] ${route} (${source}): ${loaded}/${pending.length} ficheiro(s)`);
+  return loaded;
+}
+
+/**
+ * Pré-carrega as rotas mais visitadas (contagens persistidas pelo metrics.trackPageLoad)
+ */
 async function preloadFrequentPages() {
-  const frequentPages = ['dashboard', 'rules', 'withdraw'];
+  const history = require('./metrics').getPageHistory();
+  const ranked = Object.entries(history)
+    .sort(([, a], [, b]) => (b.count - a.count) || ((b.lastLoadedAt || 0) - (a.lastLoadedAt || 0)))
+    .map(([route]) => route);
+  const routes = (ranked.length > 0 ? ranked : PRELOAD_CONFIG.defaultRoutes).slice(0, PRELOAD_CONFIG.maxRoutes);
   
-  DEBUG && console.log('[CACHE] Preloading frequent pages...');
+  DEBUG && console.log('[PRELOAD] Preloading frequent pages:', routes);
   
-  for (const page of frequentPages) {
-    try {
-      await apiFetchWithCache(`${page}/index.html`, 'pages/', API_CONFIG.PAGE_TTL);
-      await apiFetchWithCache(`${page}/styles.css`, 'pages/', API_CONFIG.PAGE_TTL);
-      DEBUG && console.log(`[CACHE] ✓ Preloaded ${page}`);
-    } catch (err) {
-      DEBUG && console.log(`[CACHE] ✗ Failed to preload ${page}:`, err.message);
-    }
-  }
+  // Em paralelo: o scheduler limita a concorrência e põe navegações à frente
+  await Promise.all(routes.map(route =>
+    preloadRoute(route, 'history').catch(err => {
+      DEBUG && console.log(`[PRELOAD] ✗ Failed to preload ${route}:`, err.message);
+    })
+  ));
+}
+
+/**
+ * Preloads que se tornaram cache hits (por origem e por rota)
+ */
+function getPreloadStats() {
+  return {
+    preloaded: preloadStats.preloaded,
+    hits: preloadStats.hits,
+    hitRate: preloadStats.preloaded > 0 ? Math.round((preloadStats.hits / preloadStats.preloaded) * 100) : 0,
+    bySource: JSON.parse(JSON.stringify(preloadStats.bySource)),
+    hitRoutes: { ...preloadStats.hitRoutes }
+  };
 }
 
 // Referências para cleanup dos intervals
@@ -393,17 +1820,8 @@ function startBackgroundSync() {
     DEBUG && console.log('[BACKGROUND SYNC] Starting cache refresh...');
     
     try {
-      // Refresh CSS/JS assets
-      const cssFiles = await listCssFiles();
-      const jsFiles = await listJsFiles();
-      
-      for (const file of cssFiles) {
-        await apiFetchWithCache(`css/${file}`, 'assets/', API_CONFIG.ASSET_TTL);
-      }
-      
-      for (const file of jsFiles) {
-        await apiFetchWithCache(`js/${file}`, 'assets/', API_CONFIG.ASSET_TTL);
-      }
+      // Só descarrega o que mudou no manifesto
+      await syncFromManifest();
       
       DEBUG && console.log('[BACKGROUND SYNC] Cache refresh complete');
     } catch (err) {
@@ -423,11 +1841,17 @@ function startHashRefresh() {
     clearInterval(hashRefreshInterval);
   }
   
-  // Busca hashes a cada 5 minutos
+  // Busca hashes a cada 5 minutos e atualiza logo o que mudou (sessões abertas recebem o deploy)
   hashRefreshInterval = setInterval(async () => {
     DEBUG && console.log('[HASHES] Iniciando refresh periódico...');
-    apiHashes = await fetchHashesFromAPI();
-  }, 5 * 60 * 1000);
+    try {
+      const hashes = await fetchHashesFromAPI(true);
+      if (hashes) apiHashes = hashes;
+      await syncFromManifest();
+    } catch (err) {
+      console.warn('[HASHES] Refresh periódico falhou:', err.message);
+    }
+  }, HASHES_TTL);
 }
 
 /**
@@ -446,18 +1870,64 @@ function stopAllIntervals() {
   }
 }
 
+/**
+ * Descarta o estado em memória do ambiente atual (manifesto, lista de ficheiros,
+ * fila offline, preloads) e fecha o store; chamado antes de trocar de ambiente
+ */
+function resetEnvironmentState() {
+  // Pedidos na fila ou em curso, staging e revalidações do ambiente anterior param aqui
+  environmentController.abort(createRequestError('CANCELLED', 'Ambiente da API alterado'));
+  environmentController = new AbortController();
+  queuePausedUntil = 0;
+  clearTimeout(queueResumeTimer);
+  queueResumeTimer = null;
+  apiHashes = null;
+  hashesLastFetched = 0;
+  hashesRequest = null;
+  manifestStatus = { verified: false, version: null, keyId: null, warning: null };
+  fileList = null;
+  fileListRequest = null;
+  storedManifestPolicies = undefined;
+  bundleSupported = true;
+  stagingTask = null;
+  offlineQueue = [];
+  inFlightFetches.clear();
+  revalidations.clear();
+  rendererRequests.forEach(group => group.forEach(controller => controller.abort()));
+  rendererRequests.clear();
+  pendingContentUpdates.forEach(timer => clearTimeout(timer));
+  pendingContentUpdates.clear();
+  preloadedPaths.clear();
+  cacheStore.unload();
+  DEBUG && console.log('[CACHE] Estado do ambiente descartado');
+}
+
 module.exports = {
   handleFetch,
   handleFetchAsset,
+  cancelRendererRequests,
   handleClear,
   handleClearAll,
+  getCacheEntries,
+  refreshCacheEntry,
+  resyncCache,
   listCssFiles,
   listJsFiles,
   cleanOldCache,
   setOnlineStatus,
+  getOfflineInfo,
+  getCacheStats,
   preloadFrequentPages,
+  preloadRoute,
+  setConnectionInfo,
   startBackgroundSync,
   startHashRefresh,
   stopAllIntervals,
-  fetchHashesFromAPI
+  fetchHashesFromAPI,
+  syncFromManifest,
+  activateStagedRelease,
+  getReleaseInfo,
+  resetEnvironmentState,
+  handleScriptResult,
+  getManifestStatus
 };
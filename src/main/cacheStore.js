@@ -0,0 +1,677 @@
+// Content-addressed disk store for the Frontend API cache (pages, CSS, JS)
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const ElectronStorage = require('../../js/storage');
+const { API_CONFIG, DEBUG } = require('./config');
+const environment = require('./environment');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const INDEX_VERSION = 1;
+const INDEX_SAVE_DELAY = 500; // Agrupa escritas do índice (ms)
+const MAX_QUARANTINE_FILES = 20;
+
+// Estado do store (inicializado de forma lazy no primeiro acesso)
+let rootDir = null;
+let objectsDir = null;
+let quarantineDir = null;
+let indexPath = null;
+let index = null;
+let saveTimer = null;
+let pendingWrite = Promise.resolve();
+// Objetos descarregados para uma release ainda em staging (protegidos da limpeza)
+const pendingObjects = new Set();
+// Objetos a ser gravados por set(): referenciados até a entrada estar no índice (hash -> nº de escritas)
+const writingObjects = new Map();
+// Incrementado em cada unload: escritas assíncronas iniciadas antes não tocam no índice seguinte
+let generation = 0;
+
+/**
+ * Converte um caminho relativo (ou chave legacy `api-cache:`) no caminho
+ * completo do ficheiro na Frontend API, ex: 'dashboard/index.html' -> 'pages/dashboard/index.html'
+ */
+function resolveFilePath(pathRel) {
+  const clean = String(pathRel || '').replace(/^\/+/, '');
+  if (clean.startsWith('assets/') || clean.startsWith('pages/')) return clean;
+  if (clean.startsWith('css/') || clean.startsWith('js/')) return `assets/${clean}`;
+  return `pages/${clean}`;
+}
+
+/**
+ * SHA-256 completo do conteúdo (identificador do objeto em disco)
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+function objectPath(hash) {
+  return path.join(objectsDir, `${hash}.gz`);
+}
+
+function loadIndex() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    if (parsed && parsed.version === INDEX_VERSION && parsed.entries) {
+      parsed.releases = parsed.releases || {};
+      parsed.knownGood = parsed.knownGood || {};
+      parsed.pins = parsed.pins || {};
+      return parsed;
+    }
+  } catch (e) {
+    // Índice inexistente ou corrompido - começa vazio
+  }
+  return { version: INDEX_VERSION, entries: {}, releases: {}, knownGood: {}, pins: {} };
+}
+
+/**
+ * Inicializa o diretório do store, carrega o índice e migra entradas antigas
+ */
+function ensureLoaded() {
+  if (index) return;
+
+  // Cada ambiente da API tem o seu diretório (objetos, índice e releases)
+  rootDir = path.join(app.getPath('userData'), environment.cacheDir());
+  objectsDir = path.join(rootDir, 'objects');
+  quarantineDir = path.join(rootDir, 'quarantine');
+  indexPath = path.join(rootDir, 'index.json');
+  fs.mkdirSync(objectsDir, { recursive: true });
+
+  index = loadIndex();
+  // As entradas legacy do electron-store foram sempre descarregadas de produção
+  if (environment.getEnvironment().isProduction) migrateLegacyEntries();
+
+  DEBUG && console.log(`[STORE] Cache store em ${rootDir} (${Object.keys(index.entries).length} entradas)`);
+}
+
+async function writeIndex() {
+  if (!index) return;
+  // Destino capturado antes do await: o namespace pode mudar durante a escrita
+  const target = indexPath;
+  const tmp = `${target}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(index));
+  await fs.promises.rename(tmp, target);
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    pendingWrite = pendingWrite
+      .then(writeIndex)
+      .catch(e => console.error('[STORE] Erro ao guardar índice:', e.message));
+  }, INDEX_SAVE_DELAY);
+}
+
+/**
+ * Grava o índice imediatamente (usado no before-quit)
+ */
+function flushSync() {
+  if (!index) return;
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  try {
+    const tmp = `${indexPath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(index));
+    fs.renameSync(tmp, indexPath);
+  } catch (e) {
+    console.error('[STORE] Erro ao guardar índice:', e.message);
+  }
+}
+
+/**
+ * Grava e descarrega o índice atual; o próximo acesso abre o diretório do
+ * ambiente ativo (usado na troca de ambiente da API)
+ */
+function unload() {
+  flushSync();
+  index = null;
+  pendingObjects.clear();
+  writingObjects.clear();
+  generation++;
+}
+
+/**
+ * Lança CANCELLED se o store foi descarregado (troca de ambiente) desde `started`
+ */
+function assertGeneration(started) {
+  if (generation === started) return;
+  const err = new Error('Cache do ambiente anterior fechado durante a escrita');
+  err.code = 'CANCELLED';
+  throw err;
+}
+
+/**
+ * Hashes ainda necessários: entradas ativas, release em staging, release anterior
+ * (fallback), versões que já correram sem erros e objetos de um staging em curso
+ */
+function referencedHashes() {
+  const hashes = new Set([...pendingObjects, ...writingObjects.keys()]);
+  Object.values(index.entries).forEach(entry => hashes.add(entry.hash));
+  Object.values(index.knownGood).forEach(hash => hashes.add(hash));
+  ['staged', 'previous'].forEach(slot => {
+    const release = index.releases[slot];
+    if (release) Object.values(release.files).forEach(hash => hashes.add(hash));
+  });
+  return hashes;
+}
+
+/**
+ * Remove o objeto do disco se já não for referenciado. Síncrono: um set() com o mesmo
+ * conteúdo não pode reaproveitar o ficheiro entre a verificação e a remoção.
+ */
+function releaseObject(hash) {
+  if (referencedHashes().has(hash)) return;
+  try {
+    fs.rmSync(objectPath(hash), { force: true });
+  } catch (e) {
+    DEBUG && console.warn(`[STORE] Falha ao remover objeto ${hash}:`, e.message);
+  }
+}
+
+/**
+ * Apaga do disco os objetos que já não pertencem a nenhuma entrada ou release
+ */
+function collectGarbage() {
+  const referenced = referencedHashes();
+  let removed = 0;
+  try {
+    fs.readdirSync(objectsDir)
+      .filter(f => f.endsWith('.gz') && !referenced.has(f.slice(0, -'.gz'.length)))
+      .forEach(f => {
+        fs.rmSync(path.join(objectsDir, f), { force: true });
+        removed++;
+      });
+  } catch (e) {
+    console.error('[STORE] Erro ao limpar objetos:', e.message);
+  }
+  DEBUG && removed > 0 && console.log(`[STORE] Removidos ${removed} objetos sem referências`);
+}
+
+/**
+ * Lê um ficheiro do cache. Devolve null se não existir ou se o objeto estiver corrompido.
+ */
+async function get(filePath) {
+  ensureLoaded();
+  const entry = index.entries[filePath];
+  if (!entry) return null;
+
+  try {
+    const raw = await fs.promises.readFile(objectPath(entry.hash));
+    const content = (await gunzip(raw)).toString('utf8');
+    if (hashContent(content) !== entry.hash) {
+      throw new Error('hash do objeto não corresponde');
+    }
+    entry.lastAccessedAt = Date.now();
+    scheduleSave();
+    return { content, etag: entry.etag, fetchedAt: entry.fetchedAt, hash: entry.hash, unverified: !!entry.unverified };
+  } catch (e) {
+    DEBUG && console.warn(`[STORE] Objeto inválido para ${filePath}, a descartar:`, e.message);
+    remove(filePath);
+    return null;
+  }
+}
+
+/**
+ * Escreve o objeto comprimido (se ainda não existir) e devolve o tamanho em disco
+ */
+async function writeObject(hash, content) {
+  const file = objectPath(hash);
+  if (fs.existsSync(file)) return fs.statSync(file).size;
+
+  const tmp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const compressed = await gzip(Buffer.from(content, 'utf8'));
+  await fs.promises.writeFile(tmp, compressed);
+  await fs.promises.rename(tmp, file);
+  return compressed.length;
+}
+
+/**
+ * Guarda um ficheiro no cache (um objeto comprimido por hash de conteúdo)
+ */
+async function set(filePath, { content, etag = null, fetchedAt = Date.now() }) {
+  ensureLoaded();
+  const started = generation;
+  const hash = hashContent(content);
+  writingObjects.set(hash, (writingObjects.get(hash) || 0) + 1);
+  let storedSize;
+  try {
+    storedSize = await writeObject(hash, content);
+  } finally {
+    // Depois de um unload a contagem já foi limpa (e pode ser de escritas do ambiente novo)
+    if (generation === started) {
+      const writers = writingObjects.get(hash) - 1;
+      if (writers > 0) writingObjects.set(hash, writers);
+      else writingObjects.delete(hash);
+    }
+  }
+  assertGeneration(started);
+
+  const previous = index.entries[filePath];
+  index.entries[filePath] = {
+    path: filePath,
+    hash,
+    etag,
+    fetchedAt,
+    lastAccessedAt: Date.now(),
+    size: Buffer.byteLength(content, 'utf8'),
+    storedSize
+  };
+  scheduleSave();
+
+  if (previous && previous.hash !== hash) {
+    releaseObject(previous.hash);
+  }
+
+  return { content, etag, fetchedAt, hash };
+}
+
+/**
+ * Atualiza metadados de uma entrada sem reescrever o conteúdo (ex: 304 Not Modified)
+ */
+function touch(filePath, fields) {
+  ensureLoaded();
+  const entry = index.entries[filePath];
+  if (!entry) return;
+  Object.assign(entry, fields);
+  scheduleSave();
+}
+
+function getEntry(filePath) {
+  ensureLoaded();
+  const entry = index.entries[filePath];
+  return entry ? { ...entry } : null;
+}
+
+function entries() {
+  ensureLoaded();
+  return Object.values(index.entries).map(entry => ({ ...entry }));
+}
+
+function remove(filePath) {
+  ensureLoaded();
+  const entry = index.entries[filePath];
+  if (!entry) return;
+  delete index.entries[filePath];
+  scheduleSave();
+  releaseObject(entry.hash);
+}
+
+/**
+ * Tamanho em disco de um objeto (o das entradas vem do índice; o resto do disco)
+ */
+function objectSize(hash, knownSizes) {
+  if (knownSizes.has(hash)) return knownSizes.get(hash);
+  try {
+    return fs.statSync(objectPath(hash)).size;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Espaço ocupado em disco por todos os objetos referenciados: entradas, releases em
+ * staging e anterior, versões boas (knownGood) e staging em curso. Objetos partilhados contam uma vez.
+ */
+function usage() {
+  ensureLoaded();
+  const knownSizes = new Map();
+  Object.values(index.entries).forEach(entry => {
+    knownSizes.set(entry.hash, entry.storedSize || entry.size || 0);
+  });
+  let totalSize = 0;
+  referencedHashes().forEach(hash => { totalSize += objectSize(hash, knownSizes); });
+  return { totalSize, entryCount: Object.keys(index.entries).length };
+}
+
+/**
+ * Acima da quota, larga primeiro o que só serve de fallback (versões boas antigas e a
+ * release anterior) e depois remove as entradas usadas há mais tempo (LRU) até caber.
+ * Entradas para as quais isProtected(path) devolve true nunca são removidas.
+ * @returns {string[]} caminhos removidos
+ */
+function enforceQuota(maxBytes, isProtected = () => false) {
+  ensureLoaded();
+  let { totalSize } = usage();
+  if (totalSize <= maxBytes) return [];
+
+  const staleKnownGood = Object.keys(index.knownGood)
+    .filter(filePath => !index.entries[filePath] || index.entries[filePath].hash !== index.knownGood[filePath]);
+  if (staleKnownGood.length > 0 || index.releases.previous) {
+    staleKnownGood.forEach(filePath => delete index.knownGood[filePath]);
+    delete index.releases.previous;
+    scheduleSave();
+    collectGarbage();
+    ({ totalSize } = usage());
+    DEBUG && console.log(`[STORE] Quota: fallbacks removidos (${staleKnownGood.length} versões boas antigas, release anterior)`);
+    if (totalSize <= maxBytes) return [];
+  }
+
+  const candidates = Object.values(index.entries)
+    .filter(entry => !isProtected(entry.path))
+    .sort((a, b) => (a.lastAccessedAt || a.fetchedAt || 0) - (b.lastAccessedAt || b.fetchedAt || 0));
+
+  const evicted = [];
+  for (const entry of candidates) {
+    if (totalSize <= maxBytes) break;
+    // A versão boa de um caminho removido não pode manter o objeto vivo
+    if (index.knownGood[entry.path]) {
+      delete index.knownGood[entry.path];
+      scheduleSave();
+    }
+    remove(entry.path);
+    evicted.push(entry.path);
+    // Só liberta espaço se mais nada usar o mesmo objeto
+    if (!referencedHashes().has(entry.hash)) totalSize -= entry.storedSize || entry.size || 0;
+  }
+
+  DEBUG && evicted.length > 0 && console.log(`[STORE] Quota: removidas ${evicted.length} entradas (LRU)`);
+  return evicted;
+}
+
+/**
+ * Guarda o conteúdo de uma release em staging sem o tornar visível (não cria entrada)
+ * @returns {Promise<{hash: string, size: number}>}
+ */
+async function putObject(content) {
+  ensureLoaded();
+  const started = generation;
+  const hash = hashContent(content);
+  pendingObjects.add(hash);
+  await writeObject(hash, content);
+  assertGeneration(started);
+  return { hash, size: Buffer.byteLength(content, 'utf8') };
+}
+
+function hasObject(hash) {
+  ensureLoaded();
+  return fs.existsSync(objectPath(hash));
+}
+
+/**
+ * Release do frontend num dos slots: 'active', 'staged' ou 'previous'.
+ * Formato: { version, files: { caminho: hash }, sizes: { hash: bytes }, stagedAt, activatedAt }
+ */
+function getRelease(slot) {
+  ensureLoaded();
+  const release = index.releases[slot];
+  return release ? { ...release, files: { ...release.files } } : null;
+}
+
+/**
+ * Marca uma release como ativa sem mexer nas entradas (primeiro manifesto conhecido)
+ */
+function adoptRelease(release) {
+  ensureLoaded();
+  index.releases.active = { ...release, activatedAt: Date.now() };
+  scheduleSave();
+}
+
+/**
+ * Regista uma release descarregada (os objetos já têm de estar em disco)
+ */
+function stageRelease(release) {
+  ensureLoaded();
+  index.releases.staged = { ...release, stagedAt: Date.now() };
+  pendingObjects.clear();
+  flushSync();
+}
+
+/**
+ * Troca a release ativa de uma só vez: as entradas passam a apontar para os objetos
+ * da release 'staged' (nova versão) ou 'previous' (rollback). Ficheiros sem objeto
+ * em disco deixam de ter entrada e são descarregados quando forem pedidos.
+ * @returns {object|null} a release que ficou ativa
+ */
+function switchRelease(slot) {
+  ensureLoaded();
+  const target = index.releases[slot];
+  if (!target) return null;
+
+  const now = Date.now();
+  const paths = new Set([...Object.keys(index.entries), ...Object.keys(target.files)]);
+  paths.forEach(filePath => {
+    let hash = target.files[filePath];
+    const pin = index.pins[filePath];
+    if (pin) {
+      // Versão rejeitada continua na release: manter a versão boa; hash novo: largar o pin
+      if (hash === pin.rejected && fs.existsSync(objectPath(pin.hash))) hash = pin.hash;
+      else delete index.pins[filePath];
+    }
+    const entry = index.entries[filePath];
+    if (entry && entry.hash === hash) return;
+    if (!hash || !fs.existsSync(objectPath(hash))) {
+      delete index.entries[filePath];
+      return;
+    }
+    index.entries[filePath] = {
+      path: filePath,
+      hash,
+      etag: null,
+      fetchedAt: target.stagedAt || now,
+      lastAccessedAt: entry ? entry.lastAccessedAt : now,
+      size: (target.sizes && target.sizes[hash]) || 0,
+      storedSize: fs.statSync(objectPath(hash)).size
+    };
+  });
+
+  const current = index.releases.active || null;
+  delete index.releases[slot];
+  index.releases.active = { ...target, activatedAt: now };
+  index.releases.previous = current;
+  // A troca tem de estar em disco antes de o renderer usar a nova release
+  flushSync();
+  collectGarbage();
+
+  DEBUG && console.log(`[STORE] Release ativa: ${target.version}${current ? ` (anterior: ${current.version})` : ''}`);
+  return getRelease('active');
+}
+
+/**
+ * Regista as versões atuais destes ficheiros como boas (correram sem erros no renderer)
+ */
+function markKnownGood(paths) {
+  ensureLoaded();
+  let changed = false;
+  paths.forEach(filePath => {
+    const entry = index.entries[filePath];
+    if (entry && index.knownGood[filePath] !== entry.hash) {
+      index.knownGood[filePath] = entry.hash;
+      changed = true;
+    }
+  });
+  if (changed) scheduleSave();
+}
+
+function getKnownGood(filePath) {
+  ensureLoaded();
+  return index.knownGood[filePath] || null;
+}
+
+function getPin(filePath) {
+  ensureLoaded();
+  return index.pins[filePath] ? { ...index.pins[filePath] } : null;
+}
+
+function unpin(filePath) {
+  ensureLoaded();
+  if (!index.pins[filePath]) return;
+  delete index.pins[filePath];
+  scheduleSave();
+}
+
+/**
+ * Volta a servir uma versão anterior (já em disco) de um ficheiro e rejeita a atual.
+ * O pin mantém-se até uma release com outro hash para este ficheiro ser ativada.
+ * @returns {boolean} false se o objeto da versão boa já não existir
+ */
+function pin(filePath, goodHash, rejectedHash) {
+  ensureLoaded();
+  const file = objectPath(goodHash);
+  if (!fs.existsSync(file)) return false;
+
+  const entry = index.entries[filePath];
+  index.pins[filePath] = { hash: goodHash, rejected: rejectedHash, rejectedAt: Date.now() };
+  index.entries[filePath] = {
+    path: filePath,
+    hash: goodHash,
+    etag: null,
+    fetchedAt: entry ? entry.fetchedAt : Date.now(),
+    lastAccessedAt: Date.now(),
+    size: zlib.gunzipSync(fs.readFileSync(file)).length,
+    storedSize: fs.statSync(file).size
+  };
+  flushSync();
+  return true;
+}
+
+function clear() {
+  ensureLoaded();
+  index.entries = {};
+  index.releases = {};
+  index.knownGood = {};
+  index.pins = {};
+  try {
+    fs.rmSync(objectsDir, { recursive: true, force: true });
+    fs.mkdirSync(objectsDir, { recursive: true });
+  } catch (e) {
+    console.error('[STORE] Erro ao limpar objetos:', e.message);
+  }
+  flushSync();
+  DEBUG && console.log('[STORE] Cache limpo');
+}
+
+/**
+ * Guarda à parte (nunca servido) um ficheiro que falhou a verificação de integridade,
+ * para análise posterior. Mantém apenas os MAX_QUARANTINE_FILES mais recentes.
+ */
+function quarantine(filePath, content, { expected = null, actual = null } = {}) {
+  ensureLoaded();
+  try {
+    fs.mkdirSync(quarantineDir, { recursive: true });
+    const name = `${Date.now()}-${filePath.replace(/[\\/]/g, '_')}`;
+    fs.writeFileSync(path.join(quarantineDir, `${name}.gz`), zlib.gzipSync(Buffer.from(content || '', 'utf8')));
+    fs.writeFileSync(path.join(quarantineDir, `${name}.json`), JSON.stringify({
+      path: filePath,
+      expected,
+      actual,
+      size: Buffer.byteLength(content || '', 'utf8'),
+      quarantinedAt: Date.now()
+    }));
+
+    const files = fs.readdirSync(quarantineDir).filter(f => f.endsWith('.json')).sort();
+    files.slice(0, Math.max(0, files.length - MAX_QUARANTINE_FILES)).forEach(f => {
+      const base = f.slice(0, -'.json'.length);
+      fs.rmSync(path.join(quarantineDir, f), { force: true });
+      fs.rmSync(path.join(quarantineDir, `${base}.gz`), { force: true });
+    });
+
+    console.warn(`[STORE] Ficheiro em quarentena: ${filePath}`);
+  } catch (e) {
+    console.error('[STORE] Erro ao guardar quarentena:', e.message);
+  }
+}
+
+/**
+ * Migra entradas `api-cache:` do app-storage.json para o store em disco (primeiro arranque).
+ * Nunca foram verificadas contra o manifesto assinado: ficam marcadas até ao primeiro
+ * manifesto verificado (ver verifyMigratedEntries) e até lá não são servidas.
+ */
+function migrateLegacyEntries() {
+  const prefix = API_CONFIG.STORAGE_PREFIX;
+  const legacyKeys = Object.keys(ElectronStorage.data).filter(k => k.startsWith(prefix));
+  if (legacyKeys.length === 0) return;
+
+  let migrated = 0;
+  for (const key of legacyKeys) {
+    try {
+      const item = ElectronStorage.getItem(key);
+      if (!item || typeof item.content !== 'string' || !item.content) continue;
+
+      const filePath = resolveFilePath(key.substring(prefix.length));
+      const hash = hashContent(item.content);
+      const file = objectPath(hash);
+      if (!fs.existsSync(file)) {
+        fs.writeFileSync(file, zlib.gzipSync(Buffer.from(item.content, 'utf8')));
+      }
+      index.entries[filePath] = {
+        path: filePath,
+        hash,
+        etag: item.etag || null,
+        fetchedAt: item.fetchedAt || Date.now(),
+        lastAccessedAt: item.fetchedAt || Date.now(),
+        size: Buffer.byteLength(item.content, 'utf8'),
+        storedSize: fs.statSync(file).size,
+        unverified: true
+      };
+      migrated++;
+    } catch (e) {
+      DEBUG && console.warn(`[STORE] Falha ao migrar ${key}:`, e.message);
+    }
+  }
+
+  flushSync();
+  ElectronStorage.removeItems(legacyKeys);
+  DEBUG && console.log(`[STORE] Migradas ${migrated} entradas de cache do app-storage.json`);
+}
+
+/**
+ * Primeiro manifesto verificado: as entradas migradas que correspondem ficam como as
+ * outras, as restantes são apagadas
+ * @param {Object} files - { caminho: hash } do manifesto verificado
+ * @returns {string[]} caminhos apagados
+ */
+function verifyMigratedEntries(files) {
+  ensureLoaded();
+  const migrated = Object.values(index.entries).filter(entry => entry.unverified);
+  if (migrated.length === 0) return [];
+
+  const dropped = [];
+  migrated.forEach(entry => {
+    if (files[entry.path] === entry.hash) {
+      delete entry.unverified;
+      return;
+    }
+    delete index.entries[entry.path];
+    releaseObject(entry.hash);
+    dropped.push(entry.path);
+  });
+  scheduleSave();
+  DEBUG && dropped.length > 0 && console.log(`[STORE] ${dropped.length} entrada(s) migrada(s) fora do manifesto apagada(s)`);
+  return dropped;
+}
+
+module.exports = {
+  resolveFilePath,
+  hashContent,
+  get,
+  set,
+  touch,
+  getEntry,
+  entries,
+  remove,
+  usage,
+  enforceQuota,
+  clear,
+  quarantine,
+  putObject,
+  hasObject,
+  getRelease,
+  adoptRelease,
+  stageRelease,
+  switchRelease,
+  markKnownGood,
+  getKnownGood,
+  getPin,
+  pin,
+  unpin,
+  verifyMigratedEntries,
+  unload,
+  flushSync
+};
@@ -1,27 +1,96 @@
 // Configuration for Frontend API cache and app settings
 require('dotenv').config();
+const { app } = require('electron');
 
 // DEBUG: auto-detecção em desenvolvimento, forçado a false em produção
 const DEBUG = process.env.NODE_ENV !== 'production' && process.env.DEBUG === 'true';
 
+// Perfis de ambiente da Frontend API, selecionáveis em runtime (menu Debug ou --env=<nome>).
+// Cada perfil tem o seu próprio cache, manifesto guardado e sessão (ver environment.js).
+const ENVIRONMENTS = {
+  production: { label: 'Produção', baseUrl: process.env.API_BASE_URL || "https://bcibizz.pt/frontend-api" },
+  staging: { label: 'Staging', baseUrl: process.env.STAGING_API_BASE_URL || null },
+  local: { label: 'Local', baseUrl: process.env.LOCAL_API_BASE_URL || "http://localhost:3000/frontend-api" }
+};
+
+// Chaves do app-storage.json com a sessão do utilizador (separadas por ambiente)
+const SESSION_STORAGE_KEYS = ['token', 'rememberMe'];
+
 // Frontend API configuration (replaces GitHub direct access)
 const API_CONFIG = {
-  BASE_URL: process.env.API_BASE_URL || "https://bcibizz.pt/frontend-api",
+  BASE_URL: ENVIRONMENTS.production.baseUrl, // Atualizado pelo environment.js para o perfil ativo
   FILES_ENDPOINT: "/files",
   API_ENDPOINT: "/api/file",
-  STORAGE_PREFIX: "api-cache:",
+  BUNDLE_ENDPOINT: "/api/bundle",          // POST { files: [...] } -> vários ficheiros num pedido
+  MAX_BUNDLE_FILES: 50,                   // Ficheiros por pedido de bundle
+  REQUEST_TIMEOUT: 10 * 1000,             // Limite de cada pedido HTTP (incluindo o corpo)
+  FETCH_DEADLINE: 20 * 1000,              // Limite total de um pedido do renderer (com retries)
+  STORAGE_PREFIX: "api-cache:",             // Prefixo legacy (cache migrado para CACHE_DIR)
+  CACHE_DIR: "frontend-cache",            // Diretório em userData para o cache de ficheiros
   // Cache is validated using hashes, not TTL
   PAGE_TTL: Infinity,                     // Infinito - usa hashes
   ASSET_TTL: Infinity,                    // Infinito - usa hashes
   CONFIG_TTL: Infinity,                   // Infinito - usa hashes
   MAX_CACHE_AGE: 90 * 24 * 60 * 60 * 1000, // 90 dias (limpeza de cache muito antigo)
+  CACHE_QUOTA: (Number(process.env.CACHE_QUOTA_MB) || 50) * 1024 * 1024, // Limite em disco (LRU acima disto)
+  // Nunca removidos pela quota (login, dashboard e assets globais)
+  CRITICAL_CACHE_PATHS: ["pages/login/", "pages/dashboard/", "assets/"],
   CACHE_BUSTER: "",                       // Sem versioning - usa hashes para validação
 };
 
+// Chaves públicas Ed25519 (SPKI DER em base64) usadas para verificar o manifesto /api/hashes:
+// { keyId, publicKey, expiresAt }. Vazia até o servidor assinar o manifesto; a ordem de
+// ativação está no README (o servidor assina primeiro, só depois a app passa a exigir).
+// Rotação: incluir a nova chave numa release ANTES de o servidor assinar com ela, e só
+// remover a antiga quando já não houver clientes a depender dela (ou definir expiresAt).
+const MANIFEST_KEYS = [];
+
+// Chaves extra do ambiente (.env) só fora da app empacotada: na build de produção uma
+// variável de ambiente não pode acrescentar quem assina o código ou os instaladores
+function envPublicKey(keyName, idName) {
+  if (!process.env[keyName]) return null;
+  if (app.isPackaged) {
+    console.warn(`[CONFIG] ${keyName} ignorada na app empacotada`);
+    return null;
+  }
+  return { keyId: process.env[idName] || 'env', publicKey: process.env[keyName], expiresAt: null };
+}
+
+// Chave extra para uma Frontend API local/de testes (assina com a sua própria chave)
+const envManifestKey = envPublicKey('MANIFEST_PUBLIC_KEY', 'MANIFEST_KEY_ID');
+if (envManifestKey) MANIFEST_KEYS.push(envManifestKey);
+
+// Assinatura exigida só quando a app conhece uma chave: sem ela, um manifesto assinado
+// por uma chave desconhecida recusaria todos os ficheiros remotos
+const MANIFEST_CONFIG = {
+  REQUIRE_SIGNATURE: MANIFEST_KEYS.length > 0
+};
+
+// Chaves públicas Ed25519 (SPKI DER em base64) para as assinaturas destacadas dos instaladores.
+// A assinatura é feita sobre o digest SHA-512 do instalador (ver updateIntegrity.js).
+// Vazia até a pipeline de release assinar os instaladores: sem chave as assinaturas não são verificadas.
+const UPDATE_KEYS = [];
+
+const envUpdateKey = envPublicKey('UPDATE_PUBLIC_KEY', 'UPDATE_KEY_ID');
+if (envUpdateKey) UPDATE_KEYS.push(envUpdateKey);
+
+// Atualizações da app (instaladores)
+const UPDATE_CONFIG = {
+  // Sem assinatura = recusar (só com uma chave em UPDATE_KEYS para a confirmar)
+  REQUIRE_SIGNATURE: UPDATE_KEYS.length > 0 && process.env.UPDATE_REQUIRE_SIGNATURE === 'true',
+  METADATA_TIMEOUT: 15 * 1000                                         // latest*.yml / .sig
+};
+
 // Routes are now loaded from Frontend API via sidebar.js
 // Access via window.routes in renderer after loadAllAssetsJS()
 
 module.exports = {
   API_CONFIG,
+  ENVIRONMENTS,
+  SESSION_STORAGE_KEYS,
+  MANIFEST_KEYS,
+  MANIFEST_CONFIG,
+  UPDATE_KEYS,
+  UPDATE_CONFIG,
   DEBUG
 };
@@ -0,0 +1,184 @@
+// Connectivity monitor: net.isOnline + periodic probes of the Frontend API + request outcomes
+const { net, BrowserWindow } = require('electron');
+const { API_CONFIG, DEBUG } = require('./config');
+
+const CONNECTIVITY_CONFIG = {
+  probeInterval: 60 * 1000,        // Ligado: uma sonda por minuto
+  offlineProbeInterval: 10 * 1000, // Offline/degradado: verificar mais vezes para recuperar cedo
+  probeTimeout: 5000,
+  minCheckInterval: 2000,          // checkNow() seguidos partilham a mesma sonda
+  degradedLatency: 1500,           // Latência (mediana) acima disto = ligação degradada
+  latencySamples: 5,
+  offlineAfterFailures: 2          // Falhas de rede seguidas até considerar offline
+};
+
+// status: 'online' | 'degraded' | 'offline'
+let state = { status: 'online', latency: null, checkedAt: null, reason: null };
+let latencies = [];
+let consecutiveFailures = 0;
+let serverErrors = false;
+let monitoring = false;
+let probeTimer = null;
+let probeRequest = null;
+let lastProbeAt = 0;
+const listeners = [];
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Estado calculado a partir do sistema, das sondas e dos pedidos recentes
+ */
+function computeState() {
+  const latency = median(latencies);
+  let status = 'online';
+  let reason = null;
+
+  if (!net.isOnline()) {
+    status = 'offline';
+    reason = 'Sem rede';
+  } else if (consecutiveFailures >= CONNECTIVITY_CONFIG.offlineAfterFailures) {
+    status = 'offline';
+    reason = 'Servidor inacessível';
+  } else if (consecutiveFailures > 0 || serverErrors) {
+    status = 'degraded';
+    reason = serverErrors ? 'Erros no servidor' : 'Pedidos a falhar';
+  } else if (latency !== null && latency > CONNECTIVITY_CONFIG.degradedLatency) {
+    status = 'degraded';
+    reason = 'Ligação lenta';
+  }
+
+  return { status, latency, checkedAt: Date.now(), reason };
+}
+
+function updateState() {
+  const previous = state.status;
+  state = computeState();
+  if (state.status === previous) return;
+
+  DEBUG && console.log(`[CONNECTIVITY] ${previous} -> ${state.status}${state.reason ? ` (${state.reason})` : ''}`);
+  listeners.forEach(listener => {
+    try {
+      listener(state, previous);
+    } catch (e) {
+      console.error('[CONNECTIVITY] Erro num listener:', e.message);
+    }
+  });
+  BrowserWindow.getAllWindows().forEach(win => {
+    if (!win.isDestroyed()) win.webContents.send('network:status', state);
+  });
+  scheduleProbe();
+}
+
+/**
+ * Resultado de um pedido à Frontend API (chamado pelo scheduler do cache)
+ * @param {boolean} reachable - o servidor respondeu (qualquer status HTTP)
+ * @param {Object} details - { latency, status }
+ */
+function recordRequest(reachable, { latency = null, status = null } = {}) {
+  if (reachable) {
+    consecutiveFailures = 0;
+    serverErrors = status >= 500;
+    if (latency !== null) {
+      latencies.push(latency);
+      if (latencies.length > CONNECTIVITY_CONFIG.latencySamples) latencies.shift();
+    }
+  } else {
+    consecutiveFailures++;
+  }
+  updateState();
+}
+
+/**
+ * Sonda leve (HEAD /api/list): mede a latência sem descarregar a lista
+ */
+async function probe() {
+  lastProbeAt = Date.now();
+  if (!net.isOnline()) {
+    updateState();
+    return state;
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), CONNECTIVITY_CONFIG.probeTimeout);
+  const started = Date.now();
+  try {
+    const response = await fetch(`${API_CONFIG.BASE_URL}/api/list`, {
+      method: 'HEAD',
+      cache: 'no-store',
+      signal: controller.signal
+    });
+    recordRequest(true, { latency: Date.now() - started, status: response.status });
+  } catch (e) {
+    DEBUG && console.log('[CONNECTIVITY] Sonda falhou:', e.message);
+    recordRequest(false);
+  } finally {
+    clearTimeout(timeout);
+  }
+  return state;
+}
+
+/**
+ * Verifica já a ligação (ex: falha ao carregar a janela, evento offline no renderer).
+ * Pedidos seguidos partilham a mesma sonda.
+ */
+function checkNow() {
+  if (probeRequest) return probeRequest;
+  if (Date.now() - lastProbeAt < CONNECTIVITY_CONFIG.minCheckInterval) return Promise.resolve(state);
+  probeRequest = probe().finally(() => {
+    probeRequest = null;
+  });
+  return probeRequest;
+}
+
+function scheduleProbe() {
+  if (!monitoring) return;
+  clearTimeout(probeTimer);
+  const delay = state.status === 'online'
+    ? CONNECTIVITY_CONFIG.probeInterval
+    : CONNECTIVITY_CONFIG.offlineProbeInterval;
+  probeTimer = setTimeout(async () => {
+    await checkNow();
+    scheduleProbe();
+  }, delay);
+}
+
+/**
+ * Inicia as sondas periódicas (o intervalo encurta enquanto a ligação não estiver boa)
+ */
+function startMonitoring() {
+  stopMonitoring();
+  monitoring = true;
+  scheduleProbe();
+  checkNow();
+  DEBUG && console.log('[CONNECTIVITY] Monitor iniciado');
+}
+
+function stopMonitoring() {
+  monitoring = false;
+  clearTimeout(probeTimer);
+  probeTimer = null;
+}
+
+/**
+ * Regista um listener chamado em cada mudança de estado: (state, previousStatus)
+ */
+function onChange(listener) {
+  listeners.push(listener);
+}
+
+function getState() {
+  return { ...state };
+}
+
+module.exports = {
+  recordRequest,
+  checkNow,
+  startMonitoring,
+  stopMonitoring,
+  onChange,
+  getState
+};
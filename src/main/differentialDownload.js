@@ -0,0 +1,202 @@
+// Differential update download: rebuilds the new installer from unchanged blocks of the
+// installed one (electron-builder .blockmap) plus HTTP Range requests for the changed blocks
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const log = require('electron-log');
+const { DEBUG } = require('./config');
+
+const gunzip = promisify(zlib.gunzip);
+
+const DIFFERENTIAL_CONFIG = {
+  stallTimeout: 30000,      // Sem dados durante este tempo = pedido falhado
+  blockmapTimeout: 15000,
+  minSavingRatio: 0.1,      // Abaixo de 10% de poupança não compensa (download completo)
+  maxRangeRequests: 500     // Demasiados blocos dispersos: download completo
+};
+
+function createDifferentialError(message) {
+  const err = new Error(message);
+  err.code = 'DIFFERENTIAL_FAILED';
+  return err;
+}
+
+/**
+ * Blockmap do electron-builder (JSON em gzip): { files: [{ offset, checksums: [], sizes: [] }] }
+ * -> lista de blocos { checksum, offset, size } pela ordem do ficheiro
+ */
+async function parseBlockmap(buffer) {
+  const json = JSON.parse((await gunzip(buffer)).toString('utf8'));
+  if (!json || !Array.isArray(json.files) || json.files.length === 0) {
+    throw createDifferentialError('Blockmap inválido');
+  }
+
+  const blocks = [];
+  for (const file of json.files) {
+    if (!Array.isArray(file.checksums) || !Array.isArray(file.sizes) || file.checksums.length !== file.sizes.length) {
+      throw createDifferentialError('Blockmap inválido');
+    }
+    let offset = Number(file.offset) || 0;
+    file.checksums.forEach((checksum, i) => {
+      blocks.push({ checksum, offset, size: file.sizes[i] });
+      offset += file.sizes[i];
+    });
+  }
+  return blocks;
+}
+
+async function fetchBuffer(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(DIFFERENTIAL_CONFIG.blockmapTimeout) });
+  if (!response.ok) throw createDifferentialError(`Blockmap: HTTP ${response.status}`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Plano de reconstrução: cada bloco novo vem do instalador antigo (mesmo checksum e tamanho)
+ * ou do servidor. Blocos contíguos do mesmo tipo são juntos numa só operação.
+ */
+function planOperations(oldBlocks, newBlocks) {
+  const available = new Map();
+  for (const block of oldBlocks) {
+    const key = `${block.checksum}:${block.size}`;
+    if (!available.has(key)) available.set(key, block.offset);
+  }
+
+  const operations = [];
+  for (const block of newBlocks) {
+    const oldOffset = available.get(`${block.checksum}:${block.size}`);
+    const op = oldOffset !== undefined
+      ? { kind: 'copy', start: oldOffset, size: block.size }
+      : { kind: 'download', start: block.offset, size: block.size };
+    const last = operations[operations.length - 1];
+    if (last && last.kind === op.kind && last.start + last.size === op.start) {
+      last.size += op.size;
+    } else {
+      operations.push(op);
+    }
+  }
+  return operations;
+}
+
+/**
+ * Um pedido Range para um intervalo do instalador novo, escrito em `file`
+ */
+async function downloadRange(url, op, file, onData) {
+  const controller = new AbortController();
+  let stallTimer = null;
+  const armStallTimer = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => controller.abort(), DIFFERENTIAL_CONFIG.stallTimeout);
+  };
+
+  try {
+    armStallTimer();
+    const response = await fetch(url, {
+      headers: { Range: `bytes=${op.start}-${op.start + op.size - 1}` },
+      signal: controller.signal
+    });
+    // 200 = servidor sem suporte para Range: não serve para o diferencial
+    if (response.status !== 206) {
+      await response.body?.cancel().catch(() => {});
+      throw createDifferentialError(`Range não suportado (HTTP ${response.status})`);
+    }
+
+    let received = 0;
+    const reader = response.body.getReader();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      armStallTimer();
+      received += value.length;
+      if (received > op.size) throw createDifferentialError('Resposta maior do que o intervalo pedido');
+      await file.write(value);
+      onData(value.length);
+    }
+    if (received !== op.size) throw createDifferentialError(`Intervalo incompleto (${received} de ${op.size} bytes)`);
+  } catch (err) {
+    if (err.name === 'AbortError') throw createDifferentialError('A ligação deixou de responder');
+    throw err;
+  } finally {
+    clearTimeout(stallTimer);
+  }
+}
+
+async function copyRange(source, op, file) {
+  const chunkSize = 1024 * 1024;
+  const buffer = Buffer.alloc(Math.min(chunkSize, op.size));
+  let copied = 0;
+  while (copied < op.size) {
+    const length = Math.min(buffer.length, op.size - copied);
+    const { bytesRead } = await source.read(buffer, 0, length, op.start + copied);
+    if (bytesRead !== length) throw createDifferentialError('O instalador atual está incompleto');
+    await file.write(buffer.subarray(0, length));
+    copied += length;
+  }
+}
+
+/**
+ * Asset "<instalador>.blockmap" publicado pelo electron-builder na mesma release
+ */
+function findBlockmapAsset(asset, assets = []) {
+  return assets.find(candidate => candidate.name === `${asset.name}.blockmap` && candidate.downloadUrl) || null;
+}
+
+/**
+ * Reconstrói o instalador novo em destPath a partir do instalador instalado.
+ * Não verifica o resultado: o caller confirma o sha512 e faz o download completo se falhar.
+ * @param {Object} options
+ * @param {Object} options.asset - asset novo ({ name, downloadUrl })
+ * @param {Object} options.blockmapAsset - asset "<nome>.blockmap" da mesma release
+ * @param {{path: string, blockmap: string}} options.base - instalador instalado e o seu blockmap
+ * @param {Function} options.onProgress - (transferred, total) em bytes descarregados
+ * @returns {Promise<{downloaded: number, total: number, blockmap: Buffer}>}
+ */
+async function downloadDifferential({ asset, blockmapAsset, base, destPath, onProgress = () => {} }) {
+  const [newBlockmap, oldBlockmap] = await Promise.all([
+    fetchBuffer(blockmapAsset.downloadUrl),
+    fs.promises.readFile(base.blockmap)
+  ]);
+  const newBlocks = await parseBlockmap(newBlockmap);
+  const oldBlocks = await parseBlockmap(oldBlockmap);
+
+  const operations = planOperations(oldBlocks, newBlocks);
+  const total = newBlocks.reduce((sum, block) => sum + block.size, 0);
+  const toDownload = operations.filter(op => op.kind === 'download').reduce((sum, op) => sum + op.size, 0);
+  const rangeRequests = operations.filter(op => op.kind === 'download').length;
+
+  if (toDownload > total * (1 - DIFFERENTIAL_CONFIG.minSavingRatio) || rangeRequests > DIFFERENTIAL_CONFIG.maxRangeRequests) {
+    throw createDifferentialError(`Poupança insuficiente (${toDownload} de ${total} bytes, ${rangeRequests} pedidos)`);
+  }
+
+  DEBUG && console.log(`[DIFFERENTIAL] A descarregar ${toDownload} de ${total} bytes (${rangeRequests} intervalos)`);
+  log.info(`[DIFFERENTIAL] ${asset.name}: ${toDownload}/${total} bytes em ${rangeRequests} pedidos`);
+
+  let source = null;
+  let file = null;
+  let downloaded = 0;
+  try {
+    source = await fs.promises.open(base.path, 'r');
+    file = await fs.promises.open(destPath, 'w');
+    onProgress(0, toDownload);
+    for (const op of operations) {
+      if (op.kind === 'copy') {
+        await copyRange(source, op, file);
+      } else {
+        await downloadRange(asset.downloadUrl, op, file, (bytes) => {
+          downloaded += bytes;
+          onProgress(downloaded, toDownload);
+        });
+      }
+    }
+  } finally {
+    // Só os ficheiros que chegaram a ser abertos
+    await Promise.all([source, file].filter(Boolean).map(handle => handle.close()));
+  }
+
+  return { downloaded, total, blockmap: newBlockmap };
+}
+
+module.exports = {
+  findBlockmapAsset,
+  downloadDifferential
+};
@@ -0,0 +1,126 @@
+// API environment profiles (production / staging / local) with isolated cache and session
+const { BrowserWindow } = require('electron');
+const ElectronStorage = require('../../js/storage');
+const { API_CONFIG, ENVIRONMENTS, SESSION_STORAGE_KEYS, DEBUG } = require('./config');
+
+const ENVIRONMENT_KEY = 'api-environment';
+
+let current = null;
+
+/**
+ * Ambiente pedido na linha de comandos: --env=staging ou --env staging
+ */
+function readCliEnvironment(argv = process.argv) {
+  const index = argv.findIndex(arg => arg === '--env' || arg.startsWith('--env='));
+  if (index === -1) return null;
+  const arg = argv[index];
+  return arg.includes('=') ? arg.split('=')[1] : (argv[index + 1] || null);
+}
+
+function isAvailable(name) {
+  return !!(ENVIRONMENTS[name] && ENVIRONMENTS[name].baseUrl);
+}
+
+// Prioridade: flag --env, escolha guardada no menu Debug, API_ENV, produção.
+// Fora do modo debug é sempre produção: uma flag ou escolha antiga não pode desviar uma instalação de cliente.
+function resolveInitialEnvironment() {
+  const candidates = [readCliEnvironment(), ElectronStorage.getItem(ENVIRONMENT_KEY), process.env.API_ENV];
+  if (!DEBUG) {
+    const ignored = candidates.filter(name => name && name !== 'production');
+    ignored.length > 0 && console.warn(`[ENV] Ambiente ${ignored[0]} ignorado fora do modo debug, a usar produção`);
+    return 'production';
+  }
+  for (const name of candidates) {
+    if (!name) continue;
+    if (isAvailable(name)) return name;
+    console.warn(`[ENV] Ambiente desconhecido ou sem URL configurado: ${name}`);
+  }
+  return 'production';
+}
+
+function applyEnvironment(name) {
+  current = name;
+  API_CONFIG.BASE_URL = ENVIRONMENTS[name].baseUrl;
+  DEBUG && console.log(`[ENV] Ambiente: ${ENVIRONMENTS[name].label} (${API_CONFIG.BASE_URL})`);
+}
+
+function getEnvironment() {
+  if (!current) applyEnvironment(resolveInitialEnvironment());
+  const profile = ENVIRONMENTS[current];
+  return { name: current, label: profile.label, baseUrl: profile.baseUrl, isProduction: current === 'production' };
+}
+
+function listEnvironments() {
+  const active = getEnvironment().name;
+  return Object.entries(ENVIRONMENTS).map(([name, profile]) => ({
+    name,
+    label: profile.label,
+    baseUrl: profile.baseUrl,
+    available: isAvailable(name),
+    active: name === active
+  }));
+}
+
+/**
+ * Chave de storage do ambiente ativo. Produção mantém as chaves originais
+ * (dados existentes continuam válidos); os outros ambientes usam um prefixo.
+ */
+function namespaced(key) {
+  const { name, isProduction } = getEnvironment();
+  return isProduction ? key : `env:${name}:${key}`;
+}
+
+// Chaves pedidas pelo renderer: só a sessão é separada por ambiente
+function storageKey(key) {
+  return SESSION_STORAGE_KEYS.includes(key) ? namespaced(key) : key;
+}
+
+// Diretório do cache de ficheiros em userData (um por ambiente)
+function cacheDir() {
+  const { name, isProduction } = getEnvironment();
+  return isProduction ? API_CONFIG.CACHE_DIR : `${API_CONFIG.CACHE_DIR}-${name}`;
+}
+
+/**
+ * Título da janela com o ambiente bem visível quando não é produção
+ */
+function decorateTitle(title) {
+  const env = getEnvironment();
+  return env.isProduction ? title : `[${env.label.toUpperCase()}] ${title}`;
+}
+
+/**
+ * Muda de ambiente em runtime: guarda a escolha, troca o namespace do cache
+ * e recarrega as janelas com o conteúdo do novo ambiente
+ */
+function setEnvironment(name) {
+  if (!DEBUG) {
+    throw new Error('A troca de ambiente só está disponível no modo debug');
+  }
+  if (!isAvailable(name)) {
+    throw new Error(`Ambiente desconhecido ou sem URL configurado: ${name}`);
+  }
+  if (name === getEnvironment().name) return getEnvironment();
+
+  ElectronStorage.setItem(ENVIRONMENT_KEY, name);
+  // Estado do cache do ambiente anterior é gravado e descartado antes da troca
+  require('./cache').resetEnvironmentState();
+  applyEnvironment(name);
+  DEBUG && console.log(`[ENV] Ambiente alterado para ${ENVIRONMENTS[name].label}`);
+
+  BrowserWindow.getAllWindows().forEach(win => {
+    if (!win.isDestroyed()) win.webContents.reload();
+  });
+  require('./connectivity').checkNow();
+  return getEnvironment();
+}
+
+module.exports = {
+  getEnvironment,
+  listEnvironments,
+  setEnvironment,
+  namespaced,
+  storageKey,
+  cacheDir,
+  decorateTitle
+};
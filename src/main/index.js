@@ -3,8 +3,13 @@ require('dotenv').config();
 const { app, globalShortcut, ipcMain, BrowserWindow } = require('electron');
 const ElectronStorage = require('../../js/storage');
 const { DEBUG } = require('./config');
+const environment = require('./environment');
 const cache = require('./cache');
+const connectivity = require('./connectivity');
+const cacheStore = require('./cacheStore');
 const updater = require('./updater');
+const updateHealth = require('./updateHealth');
+const semver = require('./semver');
 const window = require('./window');
 const errorHandler = require('./errorHandler');
 const shortcuts = require('./shortcuts');
@@ -13,27 +18,73 @@ const security = require('./security');
 const metrics = require('./metrics');
 const assets = require('./assets');
 
+/**
+ * IPC da app recusado enquanto houver uma atualização obrigatória por instalar
+ * (o bloqueio no renderer pode ser contornado; este não)
+ */
+function unlessUpdateRequired(handler) {
+  return (...args) => {
+    if (updater.isUpdateBlocking()) {
+      const err = new Error('Atualização obrigatória pendente');
+      err.code = 'UPDATE_REQUIRED';
+      throw err;
+    }
+    return handler(...args);
+  };
+}
+
 // IPC Handlers - GitHub Cache
-ipcMain.handle('github-cache:fetch', cache.handleFetch);
-ipcMain.handle('github-cache:fetchAsset', cache.handleFetchAsset);
-ipcMain.handle('github-cache:clear', cache.handleClear);
-ipcMain.handle('github-cache:clearAll', cache.handleClearAll);
+ipcMain.handle('github-cache:fetch', unlessUpdateRequired(cache.handleFetch));
+ipcMain.handle('github-cache:fetchAsset', unlessUpdateRequired(cache.handleFetchAsset));
+ipcMain.on('github-cache:cancel', cache.cancelRendererRequests);
+ipcMain.handle('github-cache:clear', unlessUpdateRequired(cache.handleClear));
+ipcMain.handle('github-cache:clearAll', unlessUpdateRequired(cache.handleClearAll));
+ipcMain.handle('cache:getManifestStatus', () => cache.getManifestStatus());
+ipcMain.handle('github-cache:getOfflineInfo', () => cache.getOfflineInfo());
+ipcMain.handle('cache:getStats', () => cache.getCacheStats());
+ipcMain.handle('cache:listEntries', () => cache.getCacheEntries());
+ipcMain.handle('cache:refreshEntry', unlessUpdateRequired(cache.refreshCacheEntry));
+ipcMain.handle('cache:resync', unlessUpdateRequired(() => cache.resyncCache()));
+ipcMain.handle('cache:getRelease', () => cache.getReleaseInfo());
+ipcMain.handle('cache:activateStagedRelease', unlessUpdateRequired(() => cache.activateStagedRelease()));
+ipcMain.handle('frontend:scriptResult', unlessUpdateRequired(cache.handleScriptResult));
+ipcMain.handle('cache:prefetchRoute', unlessUpdateRequired((e, route) => cache.preloadRoute(route, 'hover')));
 
 // IPC Handlers - Assets
-ipcMain.handle('assets:listCss', cache.listCssFiles);
-ipcMain.handle('assets:listJs', cache.listJsFiles);
+ipcMain.handle('assets:listCss', unlessUpdateRequired(cache.listCssFiles));
+ipcMain.handle('assets:listJs', unlessUpdateRequired(cache.listJsFiles));
 ipcMain.handle('assets:getLocal', (e, path) => assets.getAssetDataUrl(path));
 
 // IPC Handlers - Routes and Config (rotas carregadas da Frontend API via sidebar.js, window.routes)
 ipcMain.handle('app:getDebugMode', () => DEBUG);
 ipcMain.handle('app:getVersion', () => require('../../package.json').version);
+ipcMain.handle('app:getEnvironment', () => environment.getEnvironment());
 ipcMain.handle('security:validateUrl', (e, url) => security.isUrlSafe(url));
+// O renderer só sinaliza mudanças (eventos online/offline); o estado é decidido pelo monitor
+ipcMain.on('network:setOnline', () => connectivity.checkNow());
+ipcMain.handle('network:getStatus', () => connectivity.getState());
+ipcMain.on('network:setConnectionInfo', (e, info) => cache.setConnectionInfo(info || {}));
 
 // IPC Handlers - Metrics
 ipcMain.handle('metrics:trackPageLoad', (e, pageName, startTime) => metrics.trackPageLoad(pageName, startTime));
 ipcMain.handle('metrics:trackFeature', (e, featureName) => metrics.trackFeatureUsage(featureName));
 ipcMain.handle('metrics:getSummary', () => metrics.getMetricsSummary());
 
+// IPC Handlers - Updates
+ipcMain.handle('update:getChannel', () => updater.getUpdateChannel());
+ipcMain.handle('update:setChannel', (e, channel) => updater.setUpdateChannel(channel));
+ipcMain.handle('update:getReleaseNotes', (e, version) => updater.getReleaseNotes(version));
+ipcMain.handle('update:compareVersions', (e, a, b) => {
+  try {
+    return semver.compare(a, b);
+  } catch (err) {
+    return null;
+  }
+});
+ipcMain.handle('update:getState', () => updater.getUpdateState());
+ipcMain.handle('update:remindLater', (e, hours) => updater.remindLater(hours));
+ipcMain.handle('update:scheduleInstall', (e, options) => updater.scheduleInstall(options));
+
 // IPC Handlers - Testing (DEV ONLY)
 if (DEBUG) {
   ipcMain.handle('test:simulateUpdate', () => {
@@ -48,18 +99,19 @@ ipcMain.handle('navigate', window.handleNavigate);
 ipcMain.handle('logout', window.handleLogout);
 
 // IPC Handlers - Cache Management
-ipcMain.handle('cache:clearBrowser', async (e) => {
+ipcMain.handle('cache:clearBrowser', unlessUpdateRequired(async (e) => {
   const win = BrowserWindow.fromWebContents(e.sender);
   if (win) {
     await win.webContents.session.clearCache();
     DEBUG && console.log('[CACHE] Browser cache cleared');
   }
-});
+}));
 
 // IPC Handlers - Storage
-ipcMain.handle('storage:set', (e, k, v) => ElectronStorage.setItem(k, v));
-ipcMain.handle('storage:get', (e, k) => ElectronStorage.getItem(k));
-ipcMain.handle('storage:remove', (e, k) => ElectronStorage.removeItem(k));
+// Chaves de sessão (token, rememberMe) são guardadas por ambiente da API
+ipcMain.handle('storage:set', unlessUpdateRequired((e, k, v) => ElectronStorage.setItem(environment.storageKey(k), v)));
+ipcMain.handle('storage:get', unlessUpdateRequired((e, k) => ElectronStorage.getItem(environment.storageKey(k))));
+ipcMain.handle('storage:remove', unlessUpdateRequired((e, k) => ElectronStorage.removeItem(environment.storageKey(k))));
 
 // IPC Handler - Check Server Status
 ipcMain.handle('app:checkServerStatus', async () => {
@@ -110,8 +162,16 @@ if (!gotTheLock) {
   });
 
 // App lifecycle
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
   DEBUG && console.log('[APP] Application ready, initializing...');
+
+  // Versão nova que não confirma o arranque: propor repor a anterior antes de abrir a janela
+  if (await updateHealth.checkPendingUpdate()) return;
+  ipcMain.once('renderer:ready', () => updateHealth.confirmBoot());
+
+  // Resolve o ambiente da API (--env, menu Debug, API_ENV só em modo debug) antes de qualquer pedido
+  const env = environment.getEnvironment();
+  !env.isProduction && console.log(`[ENV] A usar o ambiente ${env.label}: ${env.baseUrl}`);
   
   // Setup metrics
   metrics.setupMetrics();
@@ -146,9 +206,11 @@ app.whenReady().then(() => {
     }
   );
   
-  // Monitor network status
+  // Monitor network status (rede do sistema, sondas à Frontend API e resultados dos pedidos)
+  connectivity.onChange(state => cache.setOnlineStatus(state.status !== 'offline'));
+  connectivity.startMonitoring();
   mainWindow.webContents.on('did-fail-load', () => {
-    cache.setOnlineStatus(false);
+    connectivity.checkNow();
   });
   
   // Preload frequent pages after a short delay
@@ -182,11 +244,22 @@ app.on('activate', () => {
 });
 
 // Cleanup on quit
-app.on('before-quit', () => {
+app.on('before-quit', (event) => {
+  // Atualização adiada para a saída: o instalador assume o quit (volta a chamar app.quit)
+  if (updater.installOnQuit()) {
+    event.preventDefault();
+    return;
+  }
+
   DEBUG && console.log('[APP] Application quitting, cleaning up...');
   
   // Stop all intervals
   cache.stopAllIntervals();
+  connectivity.stopMonitoring();
+  updater.stopUpdateChecks();
+  
+  // Persist pending cache index changes
+  cacheStore.flushSync();
   
   // Unregister shortcuts
   shortcuts.unregisterShortcuts();
@@ -0,0 +1,260 @@
+// Platform-specific update installation (Windows NSIS, Linux AppImage/.deb, macOS DMG)
+const { app, BrowserWindow, shell } = require('electron');
+const { exec, execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const log = require('electron-log');
+const { DEBUG } = require('./config');
+
+// Extensão do instalador por tipo de pacote (package.json -> build)
+const PACKAGE_EXTENSIONS = {
+  nsis: '.exe',
+  appimage: '.appimage',
+  deb: '.deb',
+  dmg: '.dmg'
+};
+
+// Nomes de arquitetura usados nos artefactos (electron-builder, Debian, AppImage)
+const ARCH_ALIASES = {
+  x64: ['x64', 'x86_64', 'amd64'],
+  arm64: ['arm64', 'aarch64'],
+  ia32: ['ia32', 'i386', 'i686', 'x86'],
+  armv7l: ['armv7l', 'armhf']
+};
+
+// pkexec: 126 = autenticação cancelada, 127 = não autorizado / sem agente
+const PKEXEC_DENIED_CODES = [126, 127];
+
+function createInstallError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Tipo de pacote da instalação atual: a AppImage define $APPIMAGE; no Linux sem
+ * ela a app foi instalada pelo .deb
+ */
+function detectPackageType() {
+  if (process.platform === 'win32') return 'nsis';
+  if (process.platform === 'darwin') return 'dmg';
+  if (process.platform === 'linux') return process.env.APPIMAGE ? 'appimage' : 'deb';
+  return null;
+}
+
+// Alias como palavra inteira do nome (separada por - _ . ou espaço). Os aliases mais longos
+// são tentados primeiro: "x86_64" é uma arquitetura só e não conta como "x86"
+function mentionsArch(name, aliases) {
+  const all = [...new Set([...aliases, ...Object.values(ARCH_ALIASES).flat()])].sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(`(?:^|[-_.\\s])(${all.join('|')})(?=[-_.\\s]|$)`, 'g');
+  return [...name.toLowerCase().matchAll(pattern)].some(match => aliases.includes(match[1]));
+}
+
+/**
+ * Escolhe o instalador certo para a plataforma e arquitetura entre os assets da release.
+ * Artefactos sem arquitetura no nome só são usados se não houver um específico.
+ */
+function selectAsset(assets, { type = detectPackageType(), arch = process.arch } = {}) {
+  const ext = PACKAGE_EXTENSIONS[type];
+  if (!ext || !Array.isArray(assets)) return null;
+
+  const candidates = assets.filter(asset =>
+    asset && typeof asset.name === 'string' && asset.downloadUrl &&
+    asset.name.toLowerCase().endsWith(ext)
+  );
+  const wanted = ARCH_ALIASES[arch] || [arch];
+  const known = Object.values(ARCH_ALIASES).flat();
+
+  const exact = candidates.find(asset => mentionsArch(asset.name, wanted));
+  if (exact) return { ...exact, type };
+  const generic = candidates.find(asset => !mentionsArch(asset.name, known));
+  return generic ? { ...generic, type } : null;
+}
+
+function findExecutable(name) {
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  for (const dir of dirs) {
+    const candidate = path.join(dir, name);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch (e) {
+      // Continua a procurar
+    }
+  }
+  return null;
+}
+
+/**
+ * Fecha as janelas (o 'close' normal esconde para o tray) e sai da app
+ */
+function quitForUpdate({ relaunch = false, execPath } = {}) {
+  if (relaunch) {
+    app.relaunch(execPath ? { execPath, args: process.argv.slice(1) } : undefined);
+  }
+  BrowserWindow.getAllWindows().forEach(win => {
+    if (!win.isDestroyed()) win.destroy();
+  });
+  setTimeout(() => {
+    DEBUG && console.log('[INSTALLER] Saindo da app...');
+    log.info('[INSTALLER] App quit...');
+    app.quit();
+  }, 500);
+}
+
+/**
+ * Windows: instalador NSIS silencioso via VBS (sem consola), relança a app no fim
+ */
+async function installWindows(installerPath, { relaunch = true } = {}) {
+  // Fechar todas as janelas antes de o instalador substituir os ficheiros
+  BrowserWindow.getAllWindows().forEach(win => {
+    if (!win.isDestroyed()) win.destroy();
+  });
+
+  // O instalador já vem da cópia guardada pelo updateHealth (bci-installers); só o VBS é escrito aqui
+  const appDataPath = app.getPath('appData');
+  const bciPath = path.join(appDataPath, 'bci-installers');
+  if (!fs.existsSync(bciPath)) {
+    fs.mkdirSync(bciPath, { recursive: true });
+  }
+  const finalInstallerPath = installerPath;
+
+  // Criar script VBS para executar silenciosamente (sem console)
+  const vbsPath = path.join(bciPath, 'run-installer.vbs');
+  const installDir = path.join(appDataPath, '..', 'Local', 'Programs', 'BCI'); // Diretório padrão
+  const appExePath = path.join(installDir, 'BCI.exe');
+  const vbsContent = `Set objShell = CreateObject("WScript.Shell")
+objShell.Run "${finalInstallerPath}" & " /S /D=" & "${installDir}", 0, True` + (relaunch ? `
+WScript.Sleep 2000
+objShell.Run "${appExePath}", 0, False` : '');
+
+  fs.writeFileSync(vbsPath, vbsContent);
+  log.info('[INSTALLER] Script VBS criado:', vbsPath);
+  log.info('[INSTALLER] Instalador silencioso em:', installDir);
+  relaunch && log.info('[INSTALLER] App será relançada em:', appExePath);
+
+  // Executar o VBS script (roda silenciosamente sem mostrar console)
+  exec(`cscript.exe "${vbsPath}"`, { windowsHide: true }, (err) => {
+    if (err) {
+      log.error('[INSTALLER] Erro ao executar VBS:', err.message);
+    }
+  });
+
+  quitForUpdate();
+  return { installed: true };
+}
+
+/**
+ * AppImage: substitui o ficheiro em $APPIMAGE no sítio (cópia + rename atómico no
+ * mesmo diretório), mantendo as permissões e garantindo o bit de execução
+ */
+async function installAppImage(installerPath, { relaunch = true } = {}) {
+  const target = process.env.APPIMAGE;
+  if (!target) {
+    throw createInstallError('UNSUPPORTED', 'A aplicação não está a correr a partir de uma AppImage');
+  }
+
+  const staging = `${target}.update`;
+  try {
+    const { mode } = await fs.promises.stat(target);
+    await fs.promises.copyFile(installerPath, staging);
+    await fs.promises.chmod(staging, (mode & 0o7777) | 0o111);
+    await fs.promises.rename(staging, target);
+  } catch (e) {
+    await fs.promises.rm(staging, { force: true }).catch(() => {});
+    if (e.code === 'EACCES' || e.code === 'EPERM' || e.code === 'EROFS') {
+      // Sem permissão na pasta da AppImage: entregar o ficheiro ao utilizador
+      shell.showItemInFolder(installerPath);
+      throw createInstallError('NOT_WRITABLE', `Sem permissão para substituir ${target}. A nova AppImage foi aberta na pasta de transferências para a copiares manualmente.`);
+    }
+    throw e;
+  }
+
+  log.info('[INSTALLER] AppImage atualizada:', target);
+  quitForUpdate({ relaunch, execPath: target });
+  return { installed: true };
+}
+
+function runPkexec(args) {
+  return new Promise((resolve) => {
+    execFile('pkexec', args, (err, stdout, stderr) => {
+      resolve({ code: err ? (typeof err.code === 'number' ? err.code : 1) : 0, stderr: String(stderr || '') });
+    });
+  });
+}
+
+/**
+ * .deb: instala com `pkexec dpkg -i` (pede a password de administrador). Sem pkexec,
+ * ou se a autenticação for recusada, o pacote é entregue ao gestor de pacotes do sistema.
+ */
+async function installDeb(installerPath, { relaunch = true } = {}) {
+  if (findExecutable('pkexec')) {
+    log.info('[INSTALLER] A instalar .deb com pkexec:', installerPath);
+    const result = await runPkexec(['dpkg', '-i', installerPath]);
+    if (result.code === 0) {
+      log.info('[INSTALLER] Pacote .deb instalado');
+      quitForUpdate({ relaunch });
+      return { installed: true };
+    }
+    if (!PKEXEC_DENIED_CODES.includes(result.code)) {
+      log.error('[INSTALLER] dpkg falhou:', result.stderr);
+      throw createInstallError('INSTALL_FAILED', `A instalação do pacote falhou (código ${result.code})`);
+    }
+    log.warn('[INSTALLER] Autenticação pkexec recusada, a abrir o gestor de pacotes');
+  }
+
+  const openError = await shell.openPath(installerPath);
+  if (openError) {
+    shell.showItemInFolder(installerPath);
+    throw createInstallError('HANDOFF_FAILED', `Não foi possível abrir o gestor de pacotes (${openError}). Instala manualmente: sudo dpkg -i "${installerPath}"`);
+  }
+  return {
+    installed: false,
+    handedOff: true,
+    message: 'O gestor de pacotes do sistema foi aberto para concluir a atualização. Reinicia a aplicação depois de instalar.'
+  };
+}
+
+/**
+ * macOS: abre o DMG para o utilizador arrastar a nova versão para Aplicações
+ */
+async function installDmg(installerPath) {
+  const openError = await shell.openPath(installerPath);
+  if (openError) throw createInstallError('HANDOFF_FAILED', `Não foi possível abrir o DMG: ${openError}`);
+  return {
+    installed: false,
+    handedOff: true,
+    message: 'Arrasta a nova versão da BCi para a pasta Aplicações e reinicia a aplicação.'
+  };
+}
+
+const INSTALLERS = {
+  nsis: installWindows,
+  appimage: installAppImage,
+  deb: installDeb,
+  dmg: installDmg
+};
+
+/**
+ * Instala um update já descarregado e verificado.
+ * @param {Object} options - { relaunch: false } ao instalar na saída da app
+ * @returns {Promise<{installed: boolean, handedOff?: boolean, message?: string}>}
+ */
+async function installUpdate(installerPath, type = detectPackageType(), options = {}) {
+  const install = INSTALLERS[type];
+  if (!install) {
+    throw createInstallError('UNSUPPORTED', 'Atualização automática não suportada nesta plataforma');
+  }
+  if (type !== 'nsis' && !app.isPackaged) {
+    throw createInstallError('UNSUPPORTED', 'Só é possível instalar atualizações na aplicação empacotada');
+  }
+  DEBUG && console.log(`[INSTALLER] A instalar (${type}):`, installerPath);
+  log.info(`[INSTALLER] A instalar (${type}):`, installerPath);
+  return install(installerPath, options);
+}
+
+module.exports = {
+  detectPackageType,
+  selectAsset,
+  installUpdate
+};
@@ -1,7 +1,10 @@
 // Performance monitoring and metrics
 const { app } = require('electron');
+const ElectronStorage = require('../../js/storage');
 const { DEBUG } = require('./config');
 
+const PAGE_HISTORY_KEY = 'metrics-page-history';
+
 // Metrics storage
 const metrics = {
   sessionStart: Date.now(),
@@ -14,6 +17,27 @@ const metrics = {
   }
 };
 
+// Contagens por rota acumuladas entre sessões (usadas pelo preload preditivo)
+let pageHistory = null;
+
+function loadPageHistory() {
+  if (!pageHistory) pageHistory = ElectronStorage.getItem(PAGE_HISTORY_KEY) || {};
+  return pageHistory;
+}
+
+function recordPageVisit(pageName) {
+  if (typeof pageName !== 'string' || !/^[\w-]{1,64}$/.test(pageName)) return;
+  const history = loadPageHistory();
+  const previous = history[pageName] || { count: 0 };
+  history[pageName] = { count: previous.count + 1, lastLoadedAt: Date.now() };
+  ElectronStorage.setItem(PAGE_HISTORY_KEY, history);
+}
+
+// Get persisted page visit counts ({ route: { count, lastLoadedAt } })
+function getPageHistory() {
+  return { ...loadPageHistory() };
+}
+
 // Track page load time
 function trackPageLoad(pageName, startTime) {
   const loadTime = Date.now() - startTime;
@@ -27,6 +51,7 @@ function trackPageLoad(pageName, startTime) {
   metrics.pageLoads[pageName].avgTime = Math.round(
     metrics.pageLoads[pageName].totalTime / metrics.pageLoads[pageName].count
   );
+  recordPageVisit(pageName);
   
   DEBUG && console.log(`[METRICS] Page "${pageName}" loaded in ${loadTime}ms (avg: ${metrics.pageLoads[pageName].avgTime}ms)`);
   
@@ -57,6 +82,13 @@ function trackCacheHit(hit = true) {
   DEBUG && console.log(`[METRICS] Cache hit rate: ${hitRate}% (${metrics.performance.cacheHitRate.hits}/${total})`);
 }
 
+// Get cache hit/miss counters for this session
+function getCacheHitStats() {
+  const { hits, misses } = metrics.performance.cacheHitRate;
+  const total = hits + misses;
+  return { hits, misses, hitRate: total > 0 ? Math.round((hits / total) * 100) : 0 };
+}
+
 // Track error
 function trackError(error, context = '') {
   metrics.errors.push({
@@ -146,8 +178,10 @@ function setupMetrics() {
 module.exports = {
   setupMetrics,
   trackPageLoad,
+  getPageHistory,
   trackFeatureUsage,
   trackCacheHit,
+  getCacheHitStats,
   trackError,
   getSessionDuration,
   getMetricsSummary,
@@ -0,0 +1,71 @@
+// Semantic version parsing and ordering (semver 2.0, including prerelease tags)
+
+const SEMVER_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * "v2.1.0-beta.2+build5" -> { major: 2, minor: 1, patch: 0, prerelease: ['beta', 2] }
+ * @returns {Object|null} null se a versão não for semver válido
+ */
+function parse(version) {
+  const match = SEMVER_PATTERN.exec(String(version || '').trim());
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4]
+      ? match[4].split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id))
+      : []
+  };
+}
+
+// Identificadores numéricos < alfanuméricos; entre alfanuméricos, ordem ASCII
+function compareIdentifiers(a, b) {
+  const aNum = typeof a === 'number';
+  const bNum = typeof b === 'number';
+  if (aNum && bNum) return Math.sign(a - b);
+  if (aNum) return -1;
+  if (bNum) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Ordena duas versões: -1 se a < b, 0 se iguais, 1 se a > b.
+ * Uma prerelease é anterior à versão final (2.1.0-beta.1 < 2.1.0); o build (+...) é ignorado.
+ * Lança erro se alguma não for semver válido.
+ */
+function compare(a, b) {
+  const va = parse(a);
+  const vb = parse(b);
+  if (!va || !vb) {
+    const err = new Error(`Versão inválida: ${va ? b : a}`);
+    err.code = 'INVALID_VERSION';
+    throw err;
+  }
+
+  for (const field of ['major', 'minor', 'patch']) {
+    if (va[field] !== vb[field]) return Math.sign(va[field] - vb[field]);
+  }
+
+  if (va.prerelease.length === 0 || vb.prerelease.length === 0) {
+    return Math.sign(vb.prerelease.length - va.prerelease.length);
+  }
+  for (let i = 0; i < Math.max(va.prerelease.length, vb.prerelease.length); i++) {
+    if (va.prerelease[i] === undefined) return -1;
+    if (vb.prerelease[i] === undefined) return 1;
+    const order = compareIdentifiers(va.prerelease[i], vb.prerelease[i]);
+    if (order !== 0) return order;
+  }
+  return 0;
+}
+
+function isPrerelease(version) {
+  const parsed = parse(version);
+  return !!(parsed && parsed.prerelease.length > 0);
+}
+
+module.exports = {
+  parse,
+  compare,
+  isPrerelease
+};
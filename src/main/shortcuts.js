@@ -82,6 +82,14 @@ function setupKeyboardShortcuts(clearCacheCallback) {
     }
   });
 
+  // Ctrl+Shift+K - Gestor de cache (página local, funciona mesmo com o frontend partido)
+  globalShortcut.register('CommandOrControl+Shift+K', () => {
+    if (BrowserWindow.getFocusedWindow()) {
+      DEBUG && console.log('[SHORTCUT] Opening cache manager');
+      require('./window').handleNavigate(null, 'cache-manager.html');
+    }
+  });
+
   // Ctrl+Shift+I - Toggle DevTools (only in DEBUG mode)
   if (DEBUG) {
     globalShortcut.register('CommandOrControl+Shift+I', () => {
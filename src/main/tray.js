@@ -2,6 +2,7 @@
 const { app, Tray, Menu, nativeImage } = require('electron');
 const path = require('path');
 const { DEBUG } = require('./config');
+const updater = require('./updater');
 
 let tray = null;
 
@@ -61,6 +62,25 @@ function createTray(showWindowCallback, quitCallback) {
         if (win) win.webContents.send('navigate-to', 'rules');
       }
     },
+    {
+      label: 'Gestor de cache',
+      click: () => {
+        if (showWindowCallback) showWindowCallback();
+        require('./window').handleNavigate(null, 'cache-manager.html');
+      }
+    },
+    {
+      label: 'Canal de atualizações',
+      submenu: [
+        { label: 'Estável', value: 'stable' },
+        { label: 'Beta (versões de teste)', value: 'beta' }
+      ].map(({ label, value }) => ({
+        label,
+        type: 'radio',
+        checked: updater.getUpdateChannel() === value,
+        click: () => updater.setUpdateChannel(value)
+      }))
+    },
     {
       type: 'separator'
     },
@@ -0,0 +1,232 @@
+// Post-update health check: pending-update marker, boot confirmation and rollback to the previous installer
+const { app, dialog } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const log = require('electron-log');
+const ElectronStorage = require('../../js/storage');
+const installer = require('./installer');
+const updateIntegrity = require('./updateIntegrity');
+const { DEBUG } = require('./config');
+
+const HEALTH_CONFIG = {
+  maxUnconfirmedLaunches: 3,  // Arranques sem renderer:ready até propor a reposição
+  installersDir: 'bci-installers',
+  rolledBackHoldoff: 7 * 24 * 60 * 60 * 1000 // Versão reposta não é proposta durante 7 dias
+};
+
+const PENDING_UPDATE_KEY = 'pending-update';         // { fromVersion, toVersion, previous, launches, createdAt }
+const INSTALLED_INSTALLER_KEY = 'installed-installer'; // Instalador da versão atual: { version, path, type, sha512, size, blockmap }
+const ROLLED_BACK_KEY = 'rolled-back-versions';       // Versões repostas por falharem o arranque: [{ version, until }]
+
+function installersDir() {
+  return path.join(app.getPath('appData'), HEALTH_CONFIG.installersDir);
+}
+
+// Registo de um instalador guardado (o sha512 é re-verificado antes de uma reposição)
+async function describeInstaller(filePath, type, version) {
+  const [digest, { size }] = await Promise.all([updateIntegrity.hashFile(filePath), fs.promises.stat(filePath)]);
+  return { version, path: filePath, type, sha512: digest.toString('base64'), size };
+}
+
+/**
+ * Instalador capaz de repor a versão atual. Na AppImage é uma cópia do próprio
+ * executável; nos outros casos é o instalador guardado na última atualização.
+ */
+async function snapshotCurrentInstaller(type) {
+  const currentVersion = app.getVersion();
+
+  if (type === 'appimage' && process.env.APPIMAGE) {
+    const dest = path.join(installersDir(), `BCi-${currentVersion}-previous.AppImage`);
+    await fs.promises.copyFile(process.env.APPIMAGE, dest);
+    return describeInstaller(dest, type, currentVersion);
+  }
+
+  const kept = ElectronStorage.getItem(INSTALLED_INSTALLER_KEY);
+  if (kept && kept.version === currentVersion && kept.type === type && fs.existsSync(kept.path)) {
+    return kept;
+  }
+  return null;
+}
+
+/**
+ * Antes de instalar: guarda o instalador novo e o anterior em bci-installers e escreve
+ * o marcador de update pendente, confirmado pela nova versão no primeiro arranque bom.
+ * É o único sítio que copia instaladores para bci-installers: o instalador corre a partir
+ * da cópia devolvida. Falhas aqui nunca impedem a instalação (só deixam de permitir a reposição).
+ * @returns {Promise<Object|null>} registo da cópia guardada ({ path, sha512, size, ... }) ou null
+ */
+async function prepareUpdate({ path: installerPath, type, version }) {
+  try {
+    await fs.promises.mkdir(installersDir(), { recursive: true });
+
+    const previous = await snapshotCurrentInstaller(type);
+    const kept = path.join(installersDir(), path.basename(installerPath));
+    if (kept !== installerPath) await fs.promises.copyFile(installerPath, kept);
+    const record = await describeInstaller(kept, type, version);
+
+    // O blockmap permite que o próximo update descarregue só os blocos alterados
+    if (fs.existsSync(`${installerPath}.blockmap`)) {
+      if (kept !== installerPath) await fs.promises.copyFile(`${installerPath}.blockmap`, `${kept}.blockmap`);
+      record.blockmap = `${kept}.blockmap`;
+    }
+    ElectronStorage.setItem(INSTALLED_INSTALLER_KEY, record);
+
+    ElectronStorage.setItem(PENDING_UPDATE_KEY, {
+      fromVersion: app.getVersion(),
+      toVersion: version,
+      previous,
+      launches: 0,
+      createdAt: Date.now()
+    });
+    log.info(`[UPDATE HEALTH] Update pendente ${app.getVersion()} -> ${version}${previous ? '' : ' (sem instalador para repor)'}`);
+    return record;
+  } catch (e) {
+    log.warn('[UPDATE HEALTH] Não foi possível preparar a reposição:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Apaga de bci-installers tudo o que não seja o instalador atual ou o da versão anterior
+ */
+async function pruneInstallers(keep) {
+  const keepPaths = keep.filter(Boolean).flatMap(record => [path.resolve(record.path), path.resolve(`${record.path}.blockmap`)]);
+  const names = await fs.promises.readdir(installersDir()).catch(() => []);
+  for (const name of names) {
+    const filePath = path.resolve(installersDir(), name);
+    if (keepPaths.includes(filePath) || name === 'run-installer.vbs') continue;
+    await fs.promises.rm(filePath, { force: true, recursive: true }).catch(() => {});
+  }
+}
+
+/**
+ * Chamado no renderer:ready: a nova versão arrancou bem, o update fica confirmado
+ */
+function confirmBoot() {
+  const pending = ElectronStorage.getItem(PENDING_UPDATE_KEY);
+  if (!pending || pending.toVersion !== app.getVersion()) return;
+
+  ElectronStorage.removeItem(PENDING_UPDATE_KEY);
+  log.info(`[UPDATE HEALTH] Update para ${pending.toVersion} confirmado`);
+
+  // Fica só o instalador atual e o anterior (próxima reposição possível)
+  pruneInstallers([ElectronStorage.getItem(INSTALLED_INSTALLER_KEY), pending.previous]);
+}
+
+async function rollback(pending) {
+  const previous = pending.previous;
+  await updateIntegrity.verifyInstaller(previous.path, {
+    sha512: Buffer.from(previous.sha512, 'base64'),
+    size: previous.size,
+    signature: null
+  });
+
+  // A versão falhada fica uns dias sem ser proposta (a falha pode ter outra causa);
+  // a anterior passa a ser a instalada
+  const rolledBack = activeRolledBack().filter(entry => entry.version !== pending.toVersion);
+  ElectronStorage.setItem(ROLLED_BACK_KEY, [
+    ...rolledBack,
+    { version: pending.toVersion, until: Date.now() + HEALTH_CONFIG.rolledBackHoldoff }
+  ]);
+  ElectronStorage.setItem(INSTALLED_INSTALLER_KEY, previous);
+  ElectronStorage.removeItem(PENDING_UPDATE_KEY);
+
+  log.warn(`[UPDATE HEALTH] A repor a versão ${previous.version} (${pending.toVersion} não arrancou)`);
+  return installer.installUpdate(previous.path, previous.type);
+}
+
+/**
+ * No arranque: conta os arranques da versão nova ainda não confirmados e, a partir do
+ * limite, propõe repor a versão anterior
+ * @returns {Promise<boolean>} true se a app vai sair para repor a versão anterior
+ */
+async function checkPendingUpdate() {
+  const pending = ElectronStorage.getItem(PENDING_UPDATE_KEY);
+  if (!pending) return false;
+
+  if (pending.toVersion !== app.getVersion()) {
+    // A instalação não chegou a acontecer (ou foi desfeita fora da app)
+    DEBUG && console.log(`[UPDATE HEALTH] Update para ${pending.toVersion} não instalado, marcador removido`);
+    ElectronStorage.removeItem(PENDING_UPDATE_KEY);
+    return false;
+  }
+
+  pending.launches = (pending.launches || 0) + 1;
+  ElectronStorage.setItem(PENDING_UPDATE_KEY, pending);
+  if (pending.launches <= HEALTH_CONFIG.maxUnconfirmedLaunches) return false;
+
+  log.warn(`[UPDATE HEALTH] Versão ${pending.toVersion} sem arranque confirmado após ${pending.launches - 1} tentativas`);
+
+  if (!pending.previous || !fs.existsSync(pending.previous.path)) {
+    await dialog.showMessageBox({
+      type: 'warning',
+      title: 'Problema na atualização',
+      message: `A versão ${pending.toVersion} não está a arrancar corretamente.`,
+      detail: `Não existe uma cópia da versão ${pending.fromVersion} para repor. Se o problema continuar, reinstala a aplicação a partir de bcibizz.pt.`
+    });
+    pending.launches = 0;
+    ElectronStorage.setItem(PENDING_UPDATE_KEY, pending);
+    return false;
+  }
+
+  const { response } = await dialog.showMessageBox({
+    type: 'warning',
+    title: 'Problema na atualização',
+    message: `A versão ${pending.toVersion} não está a arrancar corretamente.`,
+    detail: `Podes repor a versão anterior (${pending.previous.version}). A aplicação será reiniciada.`,
+    buttons: ['Repor versão anterior', 'Continuar com esta versão'],
+    defaultId: 0,
+    cancelId: 1
+  });
+
+  if (response !== 0) {
+    // Nova oportunidade: volta a perguntar se continuar sem confirmar
+    pending.launches = 0;
+    ElectronStorage.setItem(PENDING_UPDATE_KEY, pending);
+    return false;
+  }
+
+  try {
+    const result = await rollback(pending);
+    if (result.handedOff) {
+      await dialog.showMessageBox({ type: 'info', title: 'Repor versão anterior', message: result.message });
+    }
+    return result.installed;
+  } catch (e) {
+    log.error('[UPDATE HEALTH] Reposição falhou:', e);
+    dialog.showErrorBox('Repor versão anterior', `Não foi possível repor a versão anterior: ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Instalador da versão atual com o seu blockmap (base para o download diferencial)
+ * @returns {Object|null} { version, path, type, sha512, size, blockmap }
+ */
+function getInstalledInstaller() {
+  const kept = ElectronStorage.getItem(INSTALLED_INSTALLER_KEY);
+  if (!kept || kept.version !== app.getVersion() || !kept.blockmap) return null;
+  if (!fs.existsSync(kept.path) || !fs.existsSync(kept.blockmap)) return null;
+  return kept;
+}
+
+// Versões repostas ainda dentro do prazo (entradas antigas sem prazo são descartadas)
+function activeRolledBack() {
+  const rolledBack = ElectronStorage.getItem(ROLLED_BACK_KEY) || [];
+  return rolledBack.filter(entry => entry && typeof entry === 'object' && entry.until > Date.now());
+}
+
+/**
+ * Versão reposta recentemente por falhar o arranque (não é proposta até o prazo acabar)
+ */
+function isRolledBackVersion(version) {
+  return activeRolledBack().some(entry => entry.version === version);
+}
+
+module.exports = {
+  prepareUpdate,
+  confirmBoot,
+  checkPendingUpdate,
+  getInstalledInstaller,
+  isRolledBackVersion
+};
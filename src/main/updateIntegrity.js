@@ -0,0 +1,188 @@
+// Installer integrity: sha512 + size from /check-update (or latest*.yml) and optional Ed25519 signature
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const log = require('electron-log');
+const { UPDATE_KEYS, UPDATE_CONFIG, DEBUG } = require('./config');
+
+function createIntegrityError(message) {
+  const err = new Error(message);
+  err.code = 'UPDATE_INTEGRITY';
+  return err;
+}
+
+/**
+ * sha512 do servidor: base64 (formato do electron-builder) ou hex -> Buffer de 64 bytes
+ */
+function parseSha512(value) {
+  if (typeof value !== 'string' || !value) return null;
+  const digest = /^[0-9a-f]{128}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  return digest.length === 64 ? digest : null;
+}
+
+/**
+ * Lê as entradas `files:` de um latest*.yml do electron-builder (url, sha512, size)
+ */
+function parseLatestYml(text) {
+  const files = [];
+  let current = null;
+  let inFiles = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    if (/^files:\s*$/.test(rawLine)) {
+      inFiles = true;
+      continue;
+    }
+    if (inFiles && /^\S/.test(rawLine)) inFiles = false;
+    if (!inFiles) continue;
+
+    const match = rawLine.match(/^\s*(-\s+)?(\w+):\s*(.*?)\s*$/);
+    if (!match) continue;
+    if (match[1]) {
+      current = {};
+      files.push(current);
+    }
+    if (current) current[match[2]] = match[3].replace(/^['"]|['"]$/g, '');
+  }
+
+  return files.map(file => ({ url: file.url, sha512: file.sha512, size: Number(file.size) || null }));
+}
+
+async function fetchText(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(UPDATE_CONFIG.METADATA_TIMEOUT) });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.text();
+}
+
+/**
+ * Procura o sha512/size do asset nos latest*.yml publicados na mesma release
+ */
+async function integrityFromLatestYml(asset, assets) {
+  const manifests = assets.filter(a => a && /^latest.*\.ya?ml$/i.test(a.name || '') && a.downloadUrl);
+  for (const manifest of manifests) {
+    try {
+      const entry = parseLatestYml(await fetchText(manifest.downloadUrl))
+        .find(file => file.url && path.basename(decodeURIComponent(file.url)) === asset.name);
+      if (entry) {
+        DEBUG && console.log(`[UPDATE INTEGRITY] Checksum de ${asset.name} obtido de ${manifest.name}`);
+        return { sha512: entry.sha512, size: entry.size };
+      }
+    } catch (e) {
+      log.warn(`[UPDATE INTEGRITY] Não foi possível ler ${manifest.name}:`, e.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Assinatura destacada: campo `signature` do asset ou um asset "<nome>.sig" na release
+ */
+async function signatureFor(asset, assets) {
+  if (asset.signature) return { signature: asset.signature, keyId: asset.signatureKeyId || null };
+  const sigAsset = assets.find(a => a && a.name === `${asset.name}.sig` && a.downloadUrl);
+  if (!sigAsset) return null;
+  try {
+    return { signature: (await fetchText(sigAsset.downloadUrl)).trim(), keyId: asset.signatureKeyId || null };
+  } catch (e) {
+    // Sem a assinatura não há como confirmar o instalador: falha em vez de a ignorar
+    throw createIntegrityError(`Não foi possível obter a assinatura do instalador (${e.message})`);
+  }
+}
+
+/**
+ * Junta os dados de integridade esperados para o asset escolhido.
+ * @returns {Promise<{sha512: Buffer, size: number, signature: string|null, keyId: string|null}>}
+ */
+async function resolveIntegrity(asset, assets = []) {
+  let sha512 = parseSha512(asset.sha512);
+  let size = Number(asset.size) || null;
+
+  if (!sha512 || !size) {
+    const fromYml = await integrityFromLatestYml(asset, assets);
+    if (fromYml) {
+      sha512 = sha512 || parseSha512(fromYml.sha512);
+      size = size || fromYml.size;
+    }
+  }
+
+  if (!sha512 || !size) {
+    throw createIntegrityError('A atualização não indica o checksum (sha512) e o tamanho do instalador');
+  }
+
+  const signed = await signatureFor(asset, assets);
+  if (!signed && UPDATE_CONFIG.REQUIRE_SIGNATURE) {
+    throw createIntegrityError('O instalador não tem assinatura');
+  }
+
+  return { sha512, size, signature: signed ? signed.signature : null, keyId: signed ? signed.keyId : null };
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha512');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest()));
+  });
+}
+
+/**
+ * Verifica a assinatura Ed25519 (sobre o digest SHA-512) contra as chaves incluídas na app
+ * @returns {string|null} keyId da chave que validou, ou null
+ */
+function verifySignature(digest, signature, keyId) {
+  const now = Date.now();
+  const candidates = UPDATE_KEYS.filter(k =>
+    (!keyId || k.keyId === keyId) && !(k.expiresAt && Date.parse(k.expiresAt) < now)
+  );
+  const sig = Buffer.from(signature, 'base64');
+
+  for (const key of candidates) {
+    try {
+      const publicKey = crypto.createPublicKey({
+        key: Buffer.from(key.publicKey, 'base64'),
+        format: 'der',
+        type: 'spki'
+      });
+      if (crypto.verify(null, digest, publicKey, sig)) return key.keyId;
+    } catch (e) {
+      DEBUG && console.warn(`[UPDATE INTEGRITY] Chave ${key.keyId} inválida:`, e.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Confirma tamanho, sha512 e (se existir e houver chave em UPDATE_KEYS) assinatura do ficheiro descarregado.
+ * Lança UPDATE_INTEGRITY em qualquer diferença.
+ */
+async function verifyInstaller(filePath, integrity) {
+  const { size } = await fs.promises.stat(filePath);
+  if (size !== integrity.size) {
+    throw createIntegrityError(`Tamanho inesperado (${size} de ${integrity.size} bytes)`);
+  }
+
+  const digest = await hashFile(filePath);
+  if (!crypto.timingSafeEqual(digest, integrity.sha512)) {
+    throw createIntegrityError('O checksum (sha512) do instalador não corresponde');
+  }
+
+  let keyId = null;
+  if (integrity.signature && UPDATE_KEYS.length === 0) {
+    // Sem chave pública na app não há contra que confirmar a assinatura
+    log.warn('[UPDATE INTEGRITY] Assinatura ignorada: nenhuma chave de atualizações configurada');
+  } else if (integrity.signature) {
+    keyId = verifySignature(digest, integrity.signature, integrity.keyId);
+    if (!keyId) throw createIntegrityError('A assinatura do instalador é inválida');
+  }
+
+  DEBUG && console.log(`[UPDATE INTEGRITY] ✓ ${path.basename(filePath)} verificado${keyId ? ` (assinado por ${keyId})` : ''}`);
+  return { size, keyId };
+}
+
+module.exports = {
+  resolveIntegrity,
+  verifyInstaller,
+  hashFile
+};
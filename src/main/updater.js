@@ -1,16 +1,41 @@
 // Auto-updater configuration and handlers
 const { autoUpdater } = require('electron-updater');
 const { BrowserWindow, ipcMain } = require('electron');
-const { DEBUG, API_CONFIG } = require('./config');
+const { DEBUG, API_CONFIG, UPDATE_CONFIG } = require('./config');
 const log = require('electron-log');
 const fs = require('fs');
 const path = require('path');
 const { app } = require('electron');
+const installer = require('./installer');
+const updateIntegrity = require('./updateIntegrity');
+const semver = require('./semver');
+const updateHealth = require('./updateHealth');
+const differentialDownload = require('./differentialDownload');
+const ElectronStorage = require('../../js/storage');
+
+// Canais de atualização: stable só recebe versões finais, beta recebe também prereleases
+const UPDATE_CHANNELS = ['stable', 'beta'];
+const UPDATE_CHANNEL_KEY = 'update-channel';
+// Notas de versão recebidas do backend, por versão
+const RELEASE_NOTES_KEY = 'release-notes';
+const MAX_RELEASE_NOTES = 20;
+// Instalador descarregado, instalação adiada e "lembrar mais tarde" (sobrevivem a reinícios)
+const DOWNLOADED_UPDATE_KEY = 'downloaded-update';
+const INSTALL_SCHEDULE_KEY = 'update-install-schedule'; // { version, mode: 'quit' | 'time', at }
+const REMIND_LATER_KEY = 'update-remind-later';         // { version, until }
+const MANDATORY_UPDATE_KEY = 'update-mandatory';        // updateInfo de uma atualização obrigatória (bloqueia desde o arranque)
+
+const CHECK_CONFIG = {
+  initialDelay: 5 * 1000,
+  initialJitter: 10 * 1000,
+  interval: DEBUG ? 2 * 60 * 1000 : 60 * 60 * 1000, // 2min em dev, 1h em prod (evita rate limit)
+  jitter: 0.2                                         // ±20%: os clientes não verificam todos ao mesmo tempo
+};
 
 // Configure auto-updater with better error handling
 autoUpdater.autoDownload = false;
 autoUpdater.autoInstallOnAppQuit = false;
-autoUpdater.allowPrerelease = true; // Allow prerelease versions
+autoUpdater.allowPrerelease = getUpdateChannel() === 'beta'; // Segue o canal escolhido
 autoUpdater.allowDowngrade = false;
 autoUpdater.logger = log;
 autoUpdater.logger.transports.file.level = 'debug';
@@ -21,13 +46,77 @@ autoUpdater.disableWebInstaller = false;
 // Armazenar dados da última atualização disponível
 let updateInfo = null;
 let downloadInProgress = false;
+// Instalador já descarregado e verificado: { path, type, version, integrity }
+let downloadedUpdate = null;
+let checkTimer = null;
+let scheduleTimer = null;
+let installingOnQuit = false;
+
+/**
+ * Guarda as notas de uma versão anunciada (para o "Novidades" depois de atualizar e o histórico)
+ */
+function rememberReleaseNotes(info) {
+  if (!info || !info.version || !info.description) return;
+  const stored = ElectronStorage.getItem(RELEASE_NOTES_KEY) || {};
+  stored[info.version] = {
+    version: info.version,
+    name: info.name || null,
+    notes: info.description,
+    releaseDate: info.releaseDate || null
+  };
+  // Só as versões mais recentes ficam guardadas
+  const versions = Object.keys(stored).filter(v => semver.parse(v)).sort((a, b) => semver.compare(b, a));
+  ElectronStorage.setItem(RELEASE_NOTES_KEY, Object.fromEntries(
+    versions.slice(0, MAX_RELEASE_NOTES).map(v => [v, stored[v]])
+  ));
+}
+
+/**
+ * Notas de versão guardadas, da mais recente para a mais antiga (ou só as de uma versão)
+ */
+function getReleaseNotes(version) {
+  const stored = ElectronStorage.getItem(RELEASE_NOTES_KEY) || {};
+  if (version) return stored[version] || null;
+  return Object.values(stored)
+    .filter(entry => semver.parse(entry.version))
+    .sort((a, b) => semver.compare(b.version, a.version));
+}
+
+/**
+ * Canal de atualizações guardado nas preferências (stable por omissão)
+ */
+function getUpdateChannel() {
+  const channel = ElectronStorage.getItem(UPDATE_CHANNEL_KEY);
+  return UPDATE_CHANNELS.includes(channel) ? channel : 'stable';
+}
+
+/**
+ * Muda o canal e verifica logo se há uma versão para o novo canal
+ */
+function setUpdateChannel(channel) {
+  if (!UPDATE_CHANNELS.includes(channel)) {
+    throw new Error(`Canal de atualizações desconhecido: ${channel}`);
+  }
+  if (channel === getUpdateChannel()) return channel;
+
+  ElectronStorage.setItem(UPDATE_CHANNEL_KEY, channel);
+  autoUpdater.allowPrerelease = channel === 'beta';
+  // A versão anunciada pertencia ao canal anterior (uma obrigatória continua a bloquear)
+  if (!isUpdateBlocking()) updateInfo = null;
+  if (DEBUG) console.log(`[UPDATER] Canal de atualizações: ${channel}`);
+  checkForUpdatesViaBackend();
+  return channel;
+}
 
 /**
  * Verifica updates via backend (seguro, com rate limit do servidor)
  */
 async function checkForUpdatesViaBackend() {
   try {
-    const apiUrl = `${API_CONFIG.BASE_URL}/check-update`;
+    const channel = getUpdateChannel();
+    const currentVersion = autoUpdater.currentVersion.toString();
+    const params = new URLSearchParams({ channel, version: currentVersion, platform: process.platform, arch: process.arch });
+    const apiUrl = `${API_CONFIG.BASE_URL}/check-update?${params}`;
     if (DEBUG) {
       console.log('[UPDATER] Checking for updates via backend:', apiUrl);
     }
@@ -42,11 +131,18 @@ async function checkForUpdatesViaBackend() {
       throw new Error(data.error || 'Unknown error');
     }
 
-    // Comparar versão
+    // Comparar versão (semver): só versões mais recentes contam como update
     const latestVersion = data.latestVersion.replace(/^v/, ''); // Remove 'v' prefix
-    const currentVersion = autoUpdater.currentVersion.toString();
+    // Versões repostas por não arrancarem não voltam a ser propostas
+    const allowed = (channel === 'beta' || !semver.isPrerelease(latestVersion)) &&
+      !updateHealth.isRolledBackVersion(latestVersion);
+    const isNewer = allowed && semver.compare(latestVersion, currentVersion) > 0;
 
-    if (latestVersion !== currentVersion) {
+    // Versão mínima suportada (definida no backend): abaixo dela o update é obrigatório
+    const minimumVersion = data.minimumVersion ? String(data.minimumVersion).replace(/^v/, '') : null;
+    const mandatory = isNewer && !!minimumVersion && semver.compare(currentVersion, minimumVersion) < 0;
+
+    if (isNewer) {
       if (DEBUG) {
         console.log('');
         console.log('╔════════════════════════════════════════╗');
@@ -54,25 +150,49 @@ async function checkForUpdatesViaBackend() {
         console.log('╚════════════════════════════════════════╝');
         console.log('[UPDATER] Nova versão detectada:', latestVersion);
         console.log('[UPDATER] Versão atual:', currentVersion);
+        console.log('[UPDATER] Canal:', channel, mandatory ? `(obrigatória, mínimo ${minimumVersion})` : '');
         console.log('[UPDATER] Release date:', data.releaseDate);
         console.log('');
       }
-      
+
+      updateInfo = {
+        version: latestVersion,
+        name: data.releaseName,
+        description: data.description,
+        releaseDate: data.releaseDate,
+        assets: data.assets,
+        channel,
+        mandatory,
+        minimumVersion
+      };
+
+      rememberReleaseNotes(updateInfo);
+      if (mandatory) ElectronStorage.setItem(MANDATORY_UPDATE_KEY, updateInfo);
+      else ElectronStorage.removeItem(MANDATORY_UPDATE_KEY);
+
+      // Instalador descarregado para outra versão já não serve
+      if (downloadedUpdate && downloadedUpdate.version !== latestVersion) {
+        discardDownloadedUpdate();
+      }
+
+      if (!mandatory && remindLaterUntil(latestVersion)) {
+        if (DEBUG) console.log('[UPDATER] Aviso adiado até', new Date(remindLaterUntil(latestVersion)).toLocaleString('pt-PT'));
+        return;
+      }
+
       // Notificar renderer
-      const wins = BrowserWindow.getAllWindows();
-      wins.forEach(win => {
-        if (!win.isDestroyed()) {
-          updateInfo = {
-            version: latestVersion,
-            name: data.releaseName,
-            description: data.description,
-            assets: data.assets
-          };
-          win.webContents.send('update-available', updateInfo);
-        }
-      });
-    } else if (DEBUG) {
-      console.log('[UPDATER] ✓ App já está atualizada. Versão:', currentVersion);
+      announceUpdate();
+    } else {
+      // O servidor já não exige a atualização obrigatória guardada
+      ElectronStorage.removeItem(MANDATORY_UPDATE_KEY);
+      if (isUpdateBlocking()) updateInfo = null;
+      if (minimumVersion && semver.compare(currentVersion, minimumVersion) < 0) {
+        // Abaixo do mínimo mas o canal não oferece nada mais recente: problema do backend
+        log.warn(`[UPDATER] Versão ${currentVersion} abaixo do mínimo ${minimumVersion}, sem update no canal ${channel}`);
+      }
+      if (DEBUG) {
+        console.log(`[UPDATER] ✓ App já está atualizada. Versão: ${currentVersion} (canal ${channel}, servidor ${latestVersion})`);
+      }
     }
 
   } catch (err) {
@@ -89,36 +209,499 @@ async function checkForUpdatesViaBackend() {
 // Event handlers - não são necessários pois usamos backend
 // Removed autoUpdater event listeners (checking-for-update, update-available, etc)
 
+/**
+ * Avisa o renderer da versão disponível e, se já estiver descarregada, que está pronta
+ */
+function announceUpdate() {
+  // Obrigatória: janelas fora da shell (gestor de cache) voltam ao index.html, onde fica o bloqueio
+  if (isUpdateBlocking()) require('./window').returnToShell();
+  broadcast('update-available', updateInfo);
+  if (downloadedUpdate && updateInfo && downloadedUpdate.version === updateInfo.version) {
+    broadcast('update-downloaded', { version: downloadedUpdate.version, schedule: getInstallSchedule() });
+  }
+}
+
+/**
+ * Fim do "lembrar mais tarde" para esta versão (null se não estiver adiada)
+ */
+function remindLaterUntil(version) {
+  const reminder = ElectronStorage.getItem(REMIND_LATER_KEY);
+  if (!reminder || reminder.version !== version || reminder.until <= Date.now()) return null;
+  return reminder.until;
+}
+
+/**
+ * "Lembrar daqui a N horas": o aviso desta versão só volta depois disso (mesmo após reiniciar)
+ */
+function remindLater(hours) {
+  if (!updateInfo) return null;
+  if (updateInfo.mandatory) {
+    throw new Error('Esta atualização é obrigatória e não pode ser adiada');
+  }
+  const until = Date.now() + Math.max(1, Number(hours) || 1) * 60 * 60 * 1000;
+  ElectronStorage.setItem(REMIND_LATER_KEY, { version: updateInfo.version, until });
+  log.info(`[UPDATER] Aviso da versão ${updateInfo.version} adiado até ${new Date(until).toISOString()}`);
+  return until;
+}
+
+function getInstallSchedule() {
+  const schedule = ElectronStorage.getItem(INSTALL_SCHEDULE_KEY);
+  return schedule && downloadedUpdate && schedule.version === downloadedUpdate.version ? schedule : null;
+}
+
+function armScheduleTimer() {
+  clearTimeout(scheduleTimer);
+  const schedule = getInstallSchedule();
+  if (!schedule || schedule.mode !== 'time') return;
+
+  // Hora já passou (app fechada nessa altura): instala na próxima saída
+  if (schedule.at <= Date.now()) {
+    ElectronStorage.setItem(INSTALL_SCHEDULE_KEY, { ...schedule, mode: 'quit' });
+    return;
+  }
+  // setTimeout não aceita mais de ~24,8 dias
+  scheduleTimer = setTimeout(() => {
+    if (schedule.at > Date.now()) return armScheduleTimer();
+    log.info('[UPDATER] Hora agendada: a instalar a atualização');
+    installDownloadedUpdate().catch(e => {
+      log.error('[UPDATER] Instalação agendada falhou:', e);
+      broadcast('update-error', { message: 'Erro ao instalar atualização: ' + e.message });
+    });
+  }, Math.min(schedule.at - Date.now(), 2 ** 31 - 1));
+}
+
+/**
+ * Adia a instalação do instalador descarregado: ao sair da app ou a uma hora marcada
+ * @param {{mode: 'quit'|'time', at?: number}} options
+ */
+function scheduleInstall({ mode, at } = {}) {
+  if (!downloadedUpdate) throw new Error('Não há nenhuma atualização descarregada');
+  if (mode !== 'quit' && mode !== 'time') throw new Error(`Modo de instalação desconhecido: ${mode}`);
+  if (mode === 'time' && !(Number(at) > Date.now())) throw new Error('A hora agendada tem de ser no futuro');
+
+  const schedule = { version: downloadedUpdate.version, mode, at: mode === 'time' ? Number(at) : null };
+  ElectronStorage.setItem(INSTALL_SCHEDULE_KEY, schedule);
+  armScheduleTimer();
+  log.info(`[UPDATER] Instalação da versão ${schedule.version} agendada (${mode}${schedule.at ? ` ${new Date(schedule.at).toISOString()}` : ''})`);
+  return schedule;
+}
+
+// Instalador guardado entre sessões (o sha512 volta a ser verificado antes de instalar)
+function persistDownloadedUpdate() {
+  const { integrity } = downloadedUpdate;
+  ElectronStorage.setItem(DOWNLOADED_UPDATE_KEY, {
+    ...downloadedUpdate,
+    integrity: { ...integrity, sha512: integrity.sha512.toString('base64') }
+  });
+}
+
+function restoreDownloadedUpdate() {
+  const stored = ElectronStorage.getItem(DOWNLOADED_UPDATE_KEY);
+  if (!stored) return;
+  try {
+    if (fs.existsSync(stored.path) && semver.compare(stored.version, autoUpdater.currentVersion.toString()) > 0) {
+      downloadedUpdate = { ...stored, integrity: { ...stored.integrity, sha512: Buffer.from(stored.integrity.sha512, 'base64') } };
+      DEBUG && console.log('[UPDATER] Instalador da versão', stored.version, 'recuperado da sessão anterior');
+      armScheduleTimer();
+      return;
+    }
+  } catch (e) {
+    log.warn('[UPDATER] Instalador guardado inválido:', e.message);
+  }
+  discardDownloadedUpdate();
+}
+
+/**
+ * Atualização obrigatória conhecida na sessão anterior: a app fica bloqueada logo no
+ * arranque, sem esperar pela primeira verificação
+ */
+function restoreMandatoryUpdate() {
+  const stored = ElectronStorage.getItem(MANDATORY_UPDATE_KEY);
+  if (!stored) return;
+  try {
+    const currentVersion = autoUpdater.currentVersion.toString();
+    if (semver.compare(currentVersion, stored.minimumVersion) < 0 && semver.compare(stored.version, currentVersion) > 0) {
+      updateInfo = stored;
+      DEBUG && console.log('[UPDATER] Atualização obrigatória', stored.version, 'pendente da sessão anterior');
+      return;
+    }
+  } catch (e) {
+    log.warn('[UPDATER] Atualização obrigatória guardada inválida:', e.message);
+  }
+  ElectronStorage.removeItem(MANDATORY_UPDATE_KEY);
+}
+
+/**
+ * Há uma atualização obrigatória por instalar: navegação e IPC da app ficam recusados
+ */
+function isUpdateBlocking() {
+  return !!(updateInfo && updateInfo.mandatory);
+}
+
+function discardDownloadedUpdate() {
+  downloadedUpdate = null;
+  clearTimeout(scheduleTimer);
+  ElectronStorage.removeItem(DOWNLOADED_UPDATE_KEY);
+  ElectronStorage.removeItem(INSTALL_SCHEDULE_KEY);
+}
+
+/**
+ * Estado atual para o renderer (ex: depois de recarregar a janela)
+ */
+function getUpdateState() {
+  const reminded = updateInfo && !updateInfo.mandatory && remindLaterUntil(updateInfo.version);
+  return {
+    available: updateInfo && !reminded ? updateInfo : null,
+    downloaded: downloadedUpdate && updateInfo && downloadedUpdate.version === updateInfo.version
+      ? { version: downloadedUpdate.version, schedule: getInstallSchedule() }
+      : null,
+    downloading: downloadInProgress
+  };
+}
+
+/**
+ * Verifica de novo e instala o instalador descarregado
+ * @param {{relaunch?: boolean}} options - relaunch false ao instalar na saída da app
+ */
+async function installDownloadedUpdate({ relaunch = true } = {}) {
+  // Só se instala o que o main descarregou e verificou (o caminho do renderer é ignorado)
+  if (!downloadedUpdate || !fs.existsSync(downloadedUpdate.path)) {
+    throw new Error('Arquivo de instalação não encontrado');
+  }
+  const { path: target, type, integrity } = downloadedUpdate;
+  if (DEBUG) console.log('[UPDATER] Installer:', target);
+
+  try {
+    // Voltar a verificar: o ficheiro pode ter mudado desde o download
+    await verifyDownload(target, integrity);
+  } catch (e) {
+    discardDownloadedUpdate();
+    throw new Error('Instalador rejeitado: ' + e.message);
+  }
+
+  // Guardar o instalador anterior e o marcador para o health check da nova versão;
+  // a cópia guardada (se for idêntica à verificada) é a que é executada
+  const kept = await updateHealth.prepareUpdate(downloadedUpdate);
+  const runPath = kept && kept.size === integrity.size && kept.sha512 === integrity.sha512.toString('base64')
+    ? kept.path
+    : target;
+  ElectronStorage.removeItem(INSTALL_SCHEDULE_KEY);
+  log.info('[UPDATER] Executando instalador:', runPath);
+  return installer.installUpdate(runPath, type, { relaunch });
+}
+
+/**
+ * Chamado no before-quit: se a instalação foi adiada para a saída, instala agora.
+ * @returns {boolean} true se a saída foi assumida pela instalação (o caller deve cancelar o quit)
+ */
+function installOnQuit() {
+  const schedule = getInstallSchedule();
+  if (installingOnQuit || !schedule) return false;
+
+  installingOnQuit = true;
+  clearTimeout(scheduleTimer);
+  log.info('[UPDATER] A instalar a atualização ao sair');
+  installDownloadedUpdate({ relaunch: false })
+    .then(result => {
+      // Entregue ao sistema (ou nada a fazer): sair normalmente
+      if (!result.installed) app.quit();
+    })
+    .catch(e => {
+      log.error('[UPDATER] Instalação ao sair falhou:', e);
+      app.quit();
+    });
+  return true;
+}
+
+/**
+ * Envia um evento de update para todas as janelas
+ */
+function broadcast(channel, payload) {
+  BrowserWindow.getAllWindows().forEach(win => {
+    if (!win.isDestroyed()) {
+      win.webContents.send(channel, payload);
+    }
+  });
+}
+
+// Downloads retomáveis: parte em "<instalador>.part" + validadores em "<instalador>.part.json"
+const DOWNLOAD_CONFIG = {
+  maxAttempts: 6,
+  retryBaseDelay: 2000,   // 2s, 4s, 8s... (com jitter)
+  retryMaxDelay: 30000,
+  stallTimeout: 30000,    // Sem dados durante este tempo = ligação caída
+  progressInterval: 250   // Intervalo mínimo entre eventos de progresso
+};
+
+function createDownloadError(message, status) {
+  const err = new Error(message);
+  err.code = 'DOWNLOAD_FAILED';
+  if (status) err.status = status;
+  return err;
+}
+
+// Erros de rede, timeouts e 5xx podem passar; 4xx (URL errado, acesso negado) não
+function isRetryableDownloadError(err) {
+  return !err.status || err.status >= 500 || err.status === 408 || err.status === 429;
+}
+
+async function readPartialState(partPath, url) {
+  try {
+    const meta = JSON.parse(await fs.promises.readFile(`${partPath}.json`, 'utf8'));
+    const { size } = await fs.promises.stat(partPath);
+    if (meta.url !== url || !(meta.etag || meta.lastModified) || size === 0) return null;
+    return { ...meta, size };
+  } catch (e) {
+    return null;
+  }
+}
+
+async function discardPartial(partPath) {
+  await fs.promises.rm(partPath, { force: true });
+  await fs.promises.rm(`${partPath}.json`, { force: true });
+}
+
+/**
+ * Apaga partes de downloads antigos (outra versão/instalador) na pasta de updates
+ */
+async function cleanStalePartials(dir, keepPartPath) {
+  const names = await fs.promises.readdir(dir).catch(() => []);
+  await Promise.all(names
+    .filter(name => /\.part(\.json)?$/.test(name) && !path.join(dir, name).startsWith(keepPartPath))
+    .map(name => fs.promises.rm(path.join(dir, name), { force: true }).catch(() => {})));
+}
+
+// Tamanho total a partir de Content-Range ("bytes 100-999/1000") ou Content-Length
+function totalFromResponse(response, offset) {
+  const range = response.headers.get('content-range');
+  const match = range && range.match(/\/(\d+)\s*$/);
+  if (match) return Number(match[1]);
+  const length = parseInt(response.headers.get('content-length'), 10);
+  return Number.isFinite(length) ? offset + length : null;
+}
+
+/**
+ * Uma tentativa de download: retoma a partir da parte existente com Range/If-Range
+ * (se o ficheiro mudou no servidor, o If-Range faz vir o ficheiro inteiro)
+ */
+async function downloadAttempt(asset, partPath, progress) {
+  const partial = await readPartialState(partPath, asset.downloadUrl);
+  const headers = {};
+  if (partial) {
+    headers.Range = `bytes=${partial.size}-`;
+    headers['If-Range'] = partial.etag || partial.lastModified;
+  }
+
+  const controller = new AbortController();
+  let stallTimer = null;
+  const armStallTimer = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => controller.abort(), DOWNLOAD_CONFIG.stallTimeout);
+  };
+
+  let file = null;
+  try {
+    armStallTimer();
+    const response = await fetch(asset.downloadUrl, { headers, signal: controller.signal });
+
+    if (response.status === 416 && partial) {
+      // Parte já completa (ou inválida): recomeçar se não bater com o tamanho esperado
+      if (progress.expectedSize && partial.size === progress.expectedSize) {
+        progress.report(partial.size, partial.size, true);
+        return;
+      }
+      await discardPartial(partPath);
+      throw createDownloadError('Intervalo pedido inválido, a recomeçar', 503);
+    }
+    if (!response.ok) {
+      throw createDownloadError(`HTTP ${response.status}`, response.status);
+    }
+
+    const resumed = response.status === 206 && !!partial;
+    let offset = resumed ? partial.size : 0;
+    const total = totalFromResponse(response, offset) || progress.expectedSize || null;
+    if (DEBUG) {
+      console.log(resumed
+        ? `[UPDATER] A retomar download em ${offset} bytes`
+        : '[UPDATER] Iniciando download:', asset.downloadUrl);
+    }
+
+    await fs.promises.writeFile(`${partPath}.json`, JSON.stringify({
+      url: asset.downloadUrl,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      total
+    }));
+
+    file = await fs.promises.open(partPath, resumed ? 'a' : 'w');
+    progress.report(offset, total, true);
+
+    const reader = response.body.getReader();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      armStallTimer();
+      await file.write(value);
+      offset += value.length;
+      progress.report(offset, total);
+    }
+
+    if (total && offset !== total) {
+      throw createDownloadError(`Download incompleto (${offset} de ${total} bytes)`);
+    }
+    progress.report(offset, total || offset, true);
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw createDownloadError('A ligação deixou de responder');
+    }
+    throw err;
+  } finally {
+    clearTimeout(stallTimer);
+    if (file) await file.close();
+  }
+}
+
+// Eventos 'download-progress' com intervalo mínimo entre envios
+function createProgressReporter(expectedSize = null) {
+  let lastSent = 0;
+  return {
+    expectedSize,
+    // percent é null quando o tamanho total é desconhecido (sem content-length nem size)
+    report(transferred, total, force = false) {
+      const now = Date.now();
+      if (!force && now - lastSent < DOWNLOAD_CONFIG.progressInterval) return;
+      lastSent = now;
+      const percent = total ? Math.min(100, Math.round((transferred / total) * 100)) : null;
+      broadcast('download-progress', { percent, transferred, total: total || null });
+    }
+  };
+}
+
+/**
+ * Descarrega um asset da release para destPath (comum a todas as plataformas).
+ * Quedas de ligação são retomadas com Range a partir do que já está em disco, com
+ * backoff entre tentativas; a parte fica guardada para um retry manual posterior.
+ */
+async function downloadAsset(asset, destPath, { expectedSize = null } = {}) {
+  const partPath = `${destPath}.part`;
+  await cleanStalePartials(path.dirname(destPath), partPath);
+
+  const progress = createProgressReporter(expectedSize);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await downloadAttempt(asset, partPath, progress);
+      break;
+    } catch (err) {
+      if (attempt >= DOWNLOAD_CONFIG.maxAttempts || !isRetryableDownloadError(err)) throw err;
+
+      const delay = Math.min(DOWNLOAD_CONFIG.retryMaxDelay, DOWNLOAD_CONFIG.retryBaseDelay * 2 ** (attempt - 1))
+        * (0.75 + Math.random() * 0.5);
+      log.warn(`[UPDATER] Download interrompido (${err.message}), tentativa ${attempt + 1} em ${Math.round(delay / 1000)}s`);
+      broadcast('update-status', { message: `Ligação interrompida. A retomar o download em ${Math.round(delay / 1000)}s...` });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  await fs.promises.rename(partPath, destPath);
+  await fs.promises.rm(`${partPath}.json`, { force: true });
+  return destPath;
+}
+
+/**
+ * Confirma que o ficheiro descarregado está completo e é autêntico (sha512, tamanho e
+ * assinatura). Um ficheiro que falhe é apagado para não ser instalado mais tarde.
+ */
+async function verifyDownload(filePath, integrity) {
+  try {
+    return await updateIntegrity.verifyInstaller(filePath, integrity);
+  } catch (err) {
+    log.error('[UPDATER] Instalador rejeitado:', err.message);
+    await fs.promises.rm(filePath, { force: true }).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Download diferencial: reconstrói o instalador a partir do instalador da versão atual,
+ * descarregando só os blocos que mudaram. Qualquer falha (sem blockmap, servidor sem
+ * Range, checksum diferente) devolve false e o caller faz o download completo.
+ */
+async function tryDifferentialDownload(info, asset, installerPath, integrity) {
+  const base = updateHealth.getInstalledInstaller();
+  const blockmapAsset = differentialDownload.findBlockmapAsset(asset, info.assets);
+  if (!base || base.type !== asset.type || !blockmapAsset) return false;
+
+  const diffPath = `${installerPath}.diff.part`;
+  const progress = createProgressReporter();
+  try {
+    const { downloaded, total, blockmap } = await differentialDownload.downloadDifferential({
+      asset,
+      blockmapAsset,
+      base,
+      destPath: diffPath,
+      onProgress: (transferred, toDownload) => progress.report(transferred, toDownload, transferred === toDownload)
+    });
+    await updateIntegrity.verifyInstaller(diffPath, integrity);
+
+    await fs.promises.rename(diffPath, installerPath);
+    await fs.promises.writeFile(`${installerPath}.blockmap`, blockmap);
+    log.info(`[UPDATER] Download diferencial: ${downloaded} de ${total} bytes descarregados`);
+    return true;
+  } catch (err) {
+    log.warn('[UPDATER] Download diferencial falhou, a descarregar o instalador completo:', err.message);
+    await fs.promises.rm(diffPath, { force: true }).catch(() => {});
+    return false;
+  }
+}
+
+/**
+ * Guarda o blockmap do instalador descarregado (base do próximo download diferencial).
+ * Opcional: sem ele o próximo update é só descarregado por inteiro.
+ */
+async function saveBlockmap(info, asset, installerPath) {
+  const blockmapAsset = differentialDownload.findBlockmapAsset(asset, info.assets);
+  try {
+    if (!blockmapAsset) throw new Error('sem blockmap na release');
+    const response = await fetch(blockmapAsset.downloadUrl, { signal: AbortSignal.timeout(UPDATE_CONFIG.METADATA_TIMEOUT) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    await fs.promises.writeFile(`${installerPath}.blockmap`, Buffer.from(await response.arrayBuffer()));
+  } catch (err) {
+    await fs.promises.rm(`${installerPath}.blockmap`, { force: true }).catch(() => {});
+    DEBUG && console.log('[UPDATER] Blockmap não guardado:', err.message);
+  }
+}
+
 // IPC handlers
 function setupUpdateHandlers() {
+  // Antes de criar a janela: o bloqueio vale desde a primeira página
+  restoreMandatoryUpdate();
+
   ipcMain.on('download-update', async () => {
     if (DEBUG) console.log('[UPDATER] Starting update download');
-    
-    if (!updateInfo || !updateInfo.assets || updateInfo.assets.length === 0) {
+
+    // Release pedida agora: uma verificação ou troca de canal a meio não muda o que se descarrega
+    const info = updateInfo;
+    if (!info || !info.assets || info.assets.length === 0) {
       if (DEBUG) console.error('[UPDATER] Nenhuma informação de update disponível');
-      const wins = BrowserWindow.getAllWindows();
-      wins.forEach(win => {
-        if (!win.isDestroyed()) {
-          win.webContents.send('update-error', { message: 'Nenhuma atualização disponível' });
-        }
-      });
+      broadcast('update-error', { message: 'Nenhuma atualização disponível' });
+      return;
+    }
+    if (downloadInProgress) {
+      if (DEBUG) console.log('[UPDATER] Download já em curso');
       return;
     }
 
-    // Encontrar o .exe para Windows
-    const winAsset = updateInfo.assets.find(a => a.name.endsWith('.exe'));
-    if (!winAsset) {
-      if (DEBUG) console.error('[UPDATER] Instalador Windows (.exe) não encontrado');
-      const wins = BrowserWindow.getAllWindows();
-      wins.forEach(win => {
-        if (!win.isDestroyed()) {
-          win.webContents.send('update-error', { message: 'Instalador não encontrado' });
-        }
-      });
+    // Instalador certo para a plataforma/arquitetura (exe, AppImage, deb, dmg)
+    const asset = installer.selectAsset(info.assets);
+    if (!asset) {
+      if (DEBUG) console.error(`[UPDATER] Instalador não encontrado para ${process.platform}/${process.arch}`);
+      broadcast('update-error', { message: 'Instalador não encontrado para esta plataforma' });
       return;
     }
 
     downloadInProgress = true;
+    discardDownloadedUpdate();
 
     try {
       // Fazer download do arquivo
@@ -127,97 +710,15 @@ function setupUpdateHandlers() {
         fs.mkdirSync(tempDir, { recursive: true });
       }
 
-      const installerPath = path.join(tempDir, winAsset.name);
-      
-      if (DEBUG) {
-        console.log('[UPDATER] Iniciando download:', winAsset.downloadUrl);
-        console.log('[UPDATER] Para:', installerPath);
-      }
+      // Checksum/tamanho (e assinatura) esperados: sem eles não se descarrega nada
+      const integrity = await updateIntegrity.resolveIntegrity(asset, info.assets);
 
-      // Fazer fetch do arquivo
-      const response = await fetch(winAsset.downloadUrl);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-
-      const totalSize = parseInt(response.headers.get('content-length'), 10);
-      let downloaded = 0;
-
-      // Escrever arquivo com stream real (ReadableStream)
-      const fileStream = fs.createWriteStream(installerPath);
-      
-      // Usar getReader() para ler o stream com progresso real
-      try {
-        const reader = response.body.getReader();
-        
-        while (true) {
-          const { done, value } = await reader.read();
-          
-          if (done) break;
-          
-          downloaded += value.length;
-          const percent = Math.round((downloaded / totalSize) * 100);
-          
-          // Escrever chunk no arquivo
-          fileStream.write(Buffer.from(value));
-          
-          if (DEBUG && percent % 10 === 0) {
-            console.log(`[UPDATER] Download: ${percent}%`);
-          }
-
-          // Enviar progresso para renderer
-          const wins = BrowserWindow.getAllWindows();
-          wins.forEach(win => {
-            if (!win.isDestroyed()) {
-              win.webContents.send('download-progress', {
-                percent: percent,
-                transferred: downloaded,
-                total: totalSize
-              });
-            }
-          });
-        }
-        
-        fileStream.end();
-        
-        // Aguardar fim da escrita
-        await new Promise((resolve, reject) => {
-          fileStream.on('finish', resolve);
-          fileStream.on('error', reject);
-        });
-        
-      } catch (streamErr) {
-        // Fallback: download em chunks (sem stream)
-        const buffer = await response.arrayBuffer();
-        const chunkSize = 1024 * 1024; // 1MB chunks
-        const totalBuffer = Buffer.from(buffer);
-        const chunkCount = Math.ceil(totalBuffer.length / chunkSize);
-        
-        // Escrever arquivo
-        fs.writeFileSync(installerPath, totalBuffer);
-        
-        // Simular progresso com chunks
-        for (let i = 0; i <= chunkCount; i++) {
-          const percent = Math.round((i / chunkCount) * 100);
-          
-          if (DEBUG && percent % 10 === 0) {
-            console.log(`[UPDATER] Download (simulated): ${percent}%`);
-          }
-
-          const wins = BrowserWindow.getAllWindows();
-          wins.forEach(win => {
-            if (!win.isDestroyed()) {
-              win.webContents.send('download-progress', {
-                percent: Math.min(100, percent),
-                transferred: Math.min(i * chunkSize, totalBuffer.length),
-                total: totalBuffer.length
-              });
-            }
-          });
-          
-          // Pequeno delay entre chunks para simular progresso
-          await new Promise(resolve => setTimeout(resolve, 50));
-        }
+      const installerPath = path.join(tempDir, path.basename(asset.name));
+      // Primeiro só os blocos alterados; se não for possível, o instalador completo
+      if (!(await tryDifferentialDownload(info, asset, installerPath, integrity))) {
+        await downloadAsset(asset, installerPath, { expectedSize: integrity.size });
+        await verifyDownload(installerPath, integrity);
+        await saveBlockmap(info, asset, installerPath);
       }
 
       if (DEBUG) {
@@ -228,15 +729,13 @@ function setupUpdateHandlers() {
         console.log('[UPDATER] Arquivo baixado:', installerPath);
       }
 
+      downloadedUpdate = { path: installerPath, type: asset.type, version: info.version, integrity };
+      persistDownloadedUpdate();
+
       // Notificar que download completou
-      const wins = BrowserWindow.getAllWindows();
-      wins.forEach(win => {
-        if (!win.isDestroyed()) {
-          win.webContents.send('update-downloaded', {
-            version: updateInfo.version,
-            installerPath: installerPath
-          });
-        }
+      broadcast('update-downloaded', {
+        version: info.version,
+        schedule: null
       });
 
       downloadInProgress = false;
@@ -245,108 +744,35 @@ function setupUpdateHandlers() {
       downloadInProgress = false;
       if (DEBUG) console.error('[UPDATER] Download failed:', err.message);
       log.error('[UPDATER] Download error:', err);
-      
-      const wins = BrowserWindow.getAllWindows();
-      wins.forEach(win => {
-        if (!win.isDestroyed()) {
-          win.webContents.send('update-error', { message: 'Erro ao fazer download: ' + err.message });
-        }
-      });
+
+      broadcast('update-error', { message: 'Erro ao fazer download: ' + err.message });
     }
   });
 
-  ipcMain.on('install-and-update', (event, installerPath) => {
+  ipcMain.on('install-and-update', async (event) => {
     if (DEBUG) console.log('[UPDATER] Installing update and restarting app');
-    if (DEBUG) console.log('[UPDATER] Installer:', installerPath);
-    
-    try {
-      if (!installerPath || !fs.existsSync(installerPath)) {
-        if (DEBUG) console.error('[UPDATER] Arquivo de instalação não encontrado:', installerPath);
-        event.reply('update-error', { message: 'Arquivo de instalação não encontrado' });
-        return;
-      }
 
-      const { execFile } = require('child_process');
-      
-      // Fechar todas as janelas e aguardar
-      BrowserWindow.getAllWindows().forEach(win => {
-        if (!win.isDestroyed()) {
-          win.destroy();
-        }
-      });
-
-      // Executar o instalador com delay para permitir libertação completa do processo
-      if (DEBUG) console.log('[UPDATER] Agendando execução do instalador em 5s...');
-      log.info('[UPDATER] Agendando execução do instalador:', installerPath);
-      
-        try {
-          if (DEBUG) console.log('[UPDATER] Executando instalador agora...');
-          log.info('[UPDATER] Executando instalador:', installerPath);
-          
-          const appDataPath = app.getPath('appData');
-          const bciPath = path.join(appDataPath, 'bci-installers');
-          if (!fs.existsSync(bciPath)) {
-            fs.mkdirSync(bciPath, { recursive: true });
-          }
-          
-          const fileName = path.basename(installerPath);
-          const finalInstallerPath = path.join(bciPath, fileName);
-          
-          // Copiar arquivo
-          try {
-            fs.copyFileSync(installerPath, finalInstallerPath);
-            log.info('[UPDATER] Arquivo copiado para:', finalInstallerPath);
-          } catch (copyErr) {
-            log.warn('[UPDATER] Não foi possível copiar:', copyErr.message);
-          }
-          
-          // Criar script VBS para executar silenciosamente (sem console)
-          const vbsPath = path.join(bciPath, 'run-installer.vbs');
-          const installDir = path.join(appDataPath, '..', 'Local', 'Programs', 'BCI'); // Diretório padrão
-          const appExePath = path.join(installDir, 'BCI.exe');
-          const vbsContent = `Set objShell = CreateObject("WScript.Shell")
-objShell.Run "${finalInstallerPath}" & " /S /D=" & "${installDir}", 0, True
-WScript.Sleep 2000
-objShell.Run "${appExePath}", 0, False`;
-          
-          fs.writeFileSync(vbsPath, vbsContent);
-          log.info('[UPDATER] Script VBS criado:', vbsPath);
-          log.info('[UPDATER] Instalador silencioso em:', installDir);
-          log.info('[UPDATER] App será relançada em:', appExePath);
-          
-          // Executar o VBS script (roda silenciosamente sem mostrar console)
-          const { exec } = require('child_process');
-          exec(`cscript.exe "${vbsPath}"`, { windowsHide: true }, (err) => {
-            if (err) {
-              log.error('[UPDATER] Erro ao executar VBS:', err.message);
-            }
-          });
-
-          // Sair imediatamente
-          setTimeout(() => {
-            if (DEBUG) console.log('[UPDATER] Saindo da app...');
-            log.info('[UPDATER] App quit...');
-            app.quit();
-          }, 500);
-
-        } catch (innerErr) {
-          if (DEBUG) console.error('[UPDATER] Erro ao executar instalador:', innerErr);
-          log.error('[UPDATER] Erro ao executar instalador:', innerErr);
-          event.reply('update-error', { message: 'Erro ao iniciar instalador: ' + innerErr.message });
-        }
+    try {
+      const result = await installDownloadedUpdate();
 
+      // Linux .deb sem pkexec / macOS: a instalação termina fora da app
+      if (result.handedOff && !event.sender.isDestroyed()) {
+        event.reply('update-status', { message: result.message });
+      }
     } catch (e) {
       if (DEBUG) console.error('[UPDATER] Install error:', e);
       log.error('[UPDATER] Install error:', e);
-      event.reply('update-error', { message: 'Erro ao instalar atualização: ' + e.message });
+      if (!event.sender.isDestroyed()) {
+        event.reply('update-error', { message: 'Erro ao instalar atualização: ' + e.message });
+      }
     }
   });
 }
 
-// Check for updates (delayed start to avoid startup impact)
+// Check for updates (delayed start to avoid startup impact), depois periodicamente com jitter
 function checkForUpdates() {
-  const checkInterval = DEBUG ? 2 * 60 * 1000 : 60 * 60 * 1000; // 2min em dev, 1h em prod (evita rate limit)
-  
+  restoreDownloadedUpdate();
+
   const performCheck = async () => {
     try {
       if (DEBUG) {
@@ -363,18 +789,37 @@ function checkForUpdates() {
       log.error('[UPDATER] Check failed:', e);
     }
   };
-  
+
+  const scheduleNext = (delay) => {
+    clearTimeout(checkTimer);
+    checkTimer = setTimeout(async () => {
+      await performCheck();
+      const jitter = 1 + (Math.random() * 2 - 1) * CHECK_CONFIG.jitter;
+      scheduleNext(CHECK_CONFIG.interval * jitter);
+    }, delay);
+  };
+
   // Initial check (delayed)
-  setTimeout(performCheck, 5 * 1000); // 5 seconds after startup
-  
-  // Periodic checks in DEBUG mode
-  if(DEBUG)
-  setInterval(performCheck, checkInterval);
+  scheduleNext(CHECK_CONFIG.initialDelay + Math.random() * CHECK_CONFIG.initialJitter);
+}
+
+function stopUpdateChecks() {
+  clearTimeout(checkTimer);
+  clearTimeout(scheduleTimer);
 }
 
 module.exports = {
   setupUpdateHandlers,
   checkForUpdates,
+  stopUpdateChecks,
+  getUpdateChannel,
+  setUpdateChannel,
+  getReleaseNotes,
+  getUpdateState,
+  isUpdateBlocking,
+  remindLater,
+  scheduleInstall,
+  installOnQuit,
   simulateUpdateAvailable
 };
 
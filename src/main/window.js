@@ -1,8 +1,17 @@
 // Window management with state persistence
-const { BrowserWindow, ipcMain } = require('electron');
+const { BrowserWindow, Menu, ipcMain } = require('electron');
 const path = require('path');
 const ElectronStorage = require('../../js/storage');
 const { DEBUG } = require('./config');
+const environment = require('./environment');
+const updater = require('./updater');
+
+// Páginas permitidas com uma atualização obrigatória pendente (o index.html mostra o bloqueio)
+const SHELL_PAGES = ['index.html', 'offline.html', 'server-unavailable.html'];
+
+function isShellPage(filePath) {
+  return SHELL_PAGES.includes(path.basename(filePath));
+}
 
 // Window state persistence
 function loadWindowState() {
@@ -23,6 +32,36 @@ function saveWindowState(win) {
   ElectronStorage.setItem('window-state', state);
 }
 
+/**
+ * Menu Debug (só em modo debug): troca de ambiente da API em runtime
+ */
+function buildDebugMenu() {
+  const environments = environment.listEnvironments().map(env => ({
+    label: env.available ? `${env.label} (${env.baseUrl})` : `${env.label} (não configurado)`,
+    type: 'radio',
+    checked: env.active,
+    enabled: env.available,
+    click: () => {
+      try {
+        environment.setEnvironment(env.name);
+      } catch (e) {
+        console.error('[ENV] Erro ao mudar de ambiente:', e.message);
+      }
+      Menu.setApplicationMenu(buildDebugMenu());
+    }
+  }));
+
+  return Menu.buildFromTemplate([{
+    label: 'Debug',
+    submenu: [
+      { label: 'Ambiente da API', submenu: environments },
+      { type: 'separator' },
+      { role: 'reload', label: 'Recarregar' },
+      { role: 'toggleDevTools', label: 'Ferramentas de programador' }
+    ]
+  }]);
+}
+
 // Create main window with state persistence
 function createWindow() {
   const state = loadWindowState();
@@ -55,7 +94,28 @@ function createWindow() {
     },
   });
 
-  win.setMenu(null);
+  if (DEBUG) {
+    Menu.setApplicationMenu(buildDebugMenu());
+  } else {
+    win.setMenu(null);
+  }
+
+  // Ambiente ativo visível no título sempre que não é produção
+  win.on('page-title-updated', (event, title) => {
+    if (environment.getEnvironment().isProduction) return;
+    event.preventDefault();
+    win.setTitle(environment.decorateTitle(title));
+  });
+
+  // Com uma atualização obrigatória pendente só as páginas da shell carregam
+  win.webContents.on('will-navigate', (event, url) => {
+    if (!updater.isUpdateBlocking() || !url.startsWith('file:')) return;
+    if (!isShellPage(decodeURIComponent(new URL(url).pathname))) {
+      event.preventDefault();
+      console.warn('[NAVIGATE] Navegação recusada (atualização obrigatória pendente):', url);
+    }
+  });
+
   // Load main shell
   win.loadFile(path.join(__dirname, '../../public/index.html'));
   
@@ -105,6 +165,10 @@ function createWindow() {
 // Navigation handler - hides window when navigating
 function handleNavigate(event, filePath) {
   DEBUG && console.log('[NAVIGATE] Navigating to:', filePath);
+  if (updater.isUpdateBlocking() && !isShellPage(filePath)) {
+    console.warn('[NAVIGATE] Navegação recusada (atualização obrigatória pendente):', filePath);
+    return false;
+  }
   const win = BrowserWindow.getFocusedWindow();
   if (win) {
     win.hide();
@@ -127,12 +191,26 @@ function handleNavigate(event, filePath) {
   return true;
 }
 
+/**
+ * Atualização obrigatória: janelas fora das páginas da shell voltam ao index.html,
+ * que repõe o bloqueio através do getUpdateState
+ */
+function returnToShell() {
+  for (const win of BrowserWindow.getAllWindows()) {
+    if (win.isDestroyed()) continue;
+    const url = win.webContents.getURL();
+    if (!url || isShellPage(decodeURIComponent(new URL(url).pathname))) continue;
+    DEBUG && console.log('[NAVIGATE] Atualização obrigatória, a voltar ao index.html');
+    win.loadFile(path.join(__dirname, '../../public/index.html'));
+  }
+}
+
 // Logout handler
 function handleLogout(event) {
   DEBUG && console.log('[LOGOUT] Clearing session and returning to login');
   // Clear token and rememberMe from storage
-  ElectronStorage.removeItem('token');
-  ElectronStorage.removeItem('rememberMe');
+  ElectronStorage.removeItem(environment.storageKey('token'));
+  ElectronStorage.removeItem(environment.storageKey('rememberMe'));
   // Navigate to login page
   const win = BrowserWindow.getFocusedWindow();
   if (win) {
@@ -165,6 +243,7 @@ function toggleFullscreen() {
 module.exports = {
   createWindow,
   handleNavigate,
+  returnToShell,
   handleLogout,
   toggleFullscreen
 };
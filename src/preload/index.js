@@ -11,10 +11,20 @@ contextBridge.exposeInMainWorld("electronAPI", {
     getLocalAsset: (path) => ipcRenderer.invoke('assets:getLocal', path),
     getDebugMode: () => ipcRenderer.invoke('app:getDebugMode'),
     getVersion: () => ipcRenderer.invoke('app:getVersion'),
+    getEnvironment: () => ipcRenderer.invoke('app:getEnvironment'),
     checkServerStatus: () => ipcRenderer.invoke('app:checkServerStatus'),
     rendererReady: () => ipcRenderer.send('renderer:ready'),
+    setOnlineStatus: (online) => ipcRenderer.send('network:setOnline', online),
+    getNetworkStatus: () => ipcRenderer.invoke('network:getStatus'),
+    setConnectionInfo: (info) => ipcRenderer.send('network:setConnectionInfo', info),
+    prefetchRoute: (route) => ipcRenderer.invoke('cache:prefetchRoute', route),
     navigate: (filePath) => ipcRenderer.invoke('navigate', filePath),
     clearBrowserCache: () => ipcRenderer.invoke('cache:clearBrowser'),
+    getManifestStatus: () => ipcRenderer.invoke('cache:getManifestStatus'),
+    getFrontendRelease: () => ipcRenderer.invoke('cache:getRelease'),
+    activateStagedRelease: () => ipcRenderer.invoke('cache:activateStagedRelease'),
+    // Resultado do import/init de scripts remotos ({ route, path, ok, message }); falhas fazem rollback
+    reportScriptResult: (result) => ipcRenderer.invoke('frontend:scriptResult', result),
     
     // Metrics
     trackPageLoad: (pageName, startTime) => ipcRenderer.invoke('metrics:trackPageLoad', pageName, startTime),
@@ -23,9 +33,20 @@ contextBridge.exposeInMainWorld("electronAPI", {
     
     // Trigger updater actions in main
     downloadUpdate: () => ipcRenderer.send('download-update'),
-    // Install and update - pode receber installerPath como parâmetro
+    // Install and update - instala o que o main descarregou e verificou (o caminho é ignorado)
     InstallAndUpdate: (installerPath) => ipcRenderer.send('install-and-update', installerPath),
     installAndUpdate: (installerPath) => ipcRenderer.send('install-and-update', installerPath),
+    // Canal de atualizações ('stable' | 'beta'), guardado nas preferências
+    getUpdateChannel: () => ipcRenderer.invoke('update:getChannel'),
+    setUpdateChannel: (channel) => ipcRenderer.invoke('update:setChannel', channel),
+    // Notas de versão guardadas (todas, da mais recente para a mais antiga, ou só de uma versão)
+    getReleaseNotes: (version) => ipcRenderer.invoke('update:getReleaseNotes', version),
+    // Ordem semver de duas versões (-1, 0, 1; null se alguma for inválida)
+    compareVersions: (a, b) => ipcRenderer.invoke('update:compareVersions', a, b),
+    // Estado do update (após recarregar), adiar o aviso N horas, instalar ao sair ({ mode: 'quit' }) ou a uma hora ({ mode: 'time', at })
+    getUpdateState: () => ipcRenderer.invoke('update:getState'),
+    remindUpdateLater: (hours) => ipcRenderer.invoke('update:remindLater', hours),
+    scheduleUpdateInstall: (options) => ipcRenderer.invoke('update:scheduleInstall', options),
     // Updater event listeners
     onUpdateAvailable: (cb) => {
       ipcRenderer.on('update-available', (e, data) => cb && cb(data));
@@ -39,6 +60,30 @@ contextBridge.exposeInMainWorld("electronAPI", {
     onUpdateError: (cb) => {
       ipcRenderer.on('update-error', (e, error) => cb && cb(error));
     },
+    // Instalação entregue ao sistema (ex: gestor de pacotes no Linux)
+    onUpdateStatus: (cb) => {
+      ipcRenderer.on('update-status', (e, status) => cb && cb(status));
+    },
+    // Ficheiro da Frontend API rejeitado por falha de integridade
+    onIntegrityError: (cb) => {
+      ipcRenderer.on('cache:integrity-error', (e, info) => cb && cb(info));
+    },
+    // Ficheiros de uma rota (ou asset global) mudaram no servidor e já estão em cache
+    onContentUpdated: (cb) => {
+      ipcRenderer.on('content-updated', (e, info) => cb && cb(info));
+    },
+    // Estado da ligação decidido pelo main ({ status: 'online' | 'degraded' | 'offline', latency, reason })
+    onNetworkStatus: (cb) => {
+      ipcRenderer.on('network:status', (e, state) => cb && cb(state));
+    },
+    // Release em staging com CSS/JS global novo ({ version, css: [...], js: [...] })
+    onAssetsUpdated: (cb) => {
+      ipcRenderer.on('frontend:assets-updated', (e, info) => cb && cb(info));
+    },
+    // Manifesto sem assinatura válida (null quando o aviso deixa de se aplicar)
+    onSecurityWarning: (cb) => {
+      ipcRenderer.on('cache:security-warning', (e, warning) => cb && cb(warning));
+    },
 });
 
 contextBridge.exposeInMainWorld("electronStorage", {
@@ -48,10 +93,18 @@ contextBridge.exposeInMainWorld("electronStorage", {
 });
 
 contextBridge.exposeInMainWorld("githubCache", {
-    fetchFile: (pathRel, ttl) => ipcRenderer.invoke("github-cache:fetch", pathRel, ttl),
-    fetchAsset: (pathRel, ttl) => ipcRenderer.invoke("github-cache:fetchAsset", pathRel, ttl),
+    // options.requestId agrupa pedidos que podem ser cancelados juntos com cancel(requestId)
+    fetchFile: (pathRel, ttl, options) => ipcRenderer.invoke("github-cache:fetch", pathRel, ttl, options),
+    fetchAsset: (pathRel, ttl, options) => ipcRenderer.invoke("github-cache:fetchAsset", pathRel, ttl, options),
+    cancel: (requestId) => ipcRenderer.send("github-cache:cancel", requestId),
     clearFile: (pathRel) => ipcRenderer.invoke("github-cache:clear", pathRel),
-    clearAll: () => ipcRenderer.invoke("github-cache:clearAll")
+    clearAll: () => ipcRenderer.invoke("github-cache:clearAll"),
+    getOfflineInfo: () => ipcRenderer.invoke("github-cache:getOfflineInfo"),
+    getStats: () => ipcRenderer.invoke("cache:getStats"),
+    // Gestor de cache (public/cache-manager.html)
+    listEntries: () => ipcRenderer.invoke("cache:listEntries"),
+    refreshEntry: (pathRel) => ipcRenderer.invoke("cache:refreshEntry", pathRel),
+    resync: () => ipcRenderer.invoke("cache:resync")
 });
 
 // Testing helper (DEV ONLY)
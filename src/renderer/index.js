@@ -1,7 +1,8 @@
 // Main renderer process - loads pages and manages UI
-import { showLoading, hideLoading, showErrorPage } from './utils/ui.js';
-import { showOfflineBanner, hideOfflineBanner } from './utils/network.js';
-import { fetchWithCache, DEFAULT_TTL } from './utils/cache.js';
+import { showLoading, hideLoading, showErrorPage, showSecurityWarning, hideSecurityWarning, showToast, updateVersionBadge } from './utils/ui.js';
+import { showOfflineBanner, hideOfflineBanner, setReadOnlyMode, updateConnectionIndicator } from './utils/network.js';
+import { fetchWithCache, cancelFetches, DEFAULT_TTL } from './utils/cache.js';
+import { setupUpdateNotesPanel, showWhatsNew, showReleaseHistory } from './utils/releaseNotes.js';
 
 let Utils = null;
 let DEBUG = false; // Will be set from main process via IPC
@@ -10,6 +11,18 @@ let routes = {}; // Carregado da Frontend API via sidebar.js (window.routes)
 // 'setup' (exceto 'settings', sempre permitida). Ver checkSetupGate().
 let setupGateRoute = null;
 export let currentPage = null;
+// Modo offline: a app corre só de leitura a partir do conteúdo em cache
+let offlineMode = false;
+let offlineRoutes = new Set();
+let startedOffline = false;
+let reconnectTimer = null;
+// Página a ser renderizada: a release nova só é ativada entre páginas
+let pageRendering = false;
+// Pedidos da navegação em curso (cancelados se o utilizador mudar de rota antes de acabar)
+let pageRequestId = null;
+let pageRequestSeq = 0;
+// Rota e scroll guardados antes de recarregar a shell (JS global novo)
+const SHELL_RELOAD_KEY = 'shell-reload-state';
 
 // ============ GLOBAL ERROR BOUNDARY ============
 window.addEventListener('error', (event) => {
@@ -32,11 +45,17 @@ window.addEventListener('unhandledrejection', (event) => {
 })();
 
 
+/* True when the user already navigated away from the route being loaded (login runs outside the router) */
+function isStalePageLoad(route) {
+  return currentPage !== null && currentPage !== route && route !== 'login';
+}
+
 /* CSS injection: injects <style data-page-css> with cached content */
-async function injectCSSFromRoute(route) {
+async function injectCSSFromRoute(route, requestId) {
   const cssPath = `${route}/styles.css`;
   try {
-    const res = await fetchWithCache(cssPath);
+    const res = await fetchWithCache(cssPath, DEFAULT_TTL, { requestId });
+    if (isStalePageLoad(route)) return;
     // remove existing
     document.querySelectorAll('[data-page-css]').forEach(n => n.remove());
     const style = document.createElement('style');
@@ -98,6 +117,77 @@ async function loadAllAssetsCSS() {
   }
 }
 
+/* Swap global asset CSS in place after a release switch (only when the global CSS is loaded) */
+async function reloadAssetCss(changed = [], removed = []) {
+  if (!document.querySelector('style[data-asset-css]')) return;
+
+  removed.forEach(path => {
+    const node = document.querySelector(`style[data-asset-css="${path}"]`);
+    if (node) node.remove();
+  });
+
+  for (const path of changed) {
+    try {
+      const r = await window.githubCache.fetchAsset(path, DEFAULT_TTL);
+      if (!r || !r.content) continue;
+      let style = document.querySelector(`style[data-asset-css="${path}"]`);
+      if (!style) {
+        style = document.createElement('style');
+        style.setAttribute('data-asset-css', path);
+        document.head.insertBefore(style, document.head.firstChild);
+      }
+      style.textContent = r.content;
+      DEBUG && console.log('[HOT RELOAD] CSS atualizado:', path);
+    } catch (err) {
+      console.warn(`[HOT RELOAD] failed to reload ${path}:`, err.message);
+    }
+  }
+}
+
+/* Reload the whole shell (new global JS) keeping the current route and scroll position */
+function reloadShell() {
+  const main = document.getElementById('main-content');
+  try {
+    sessionStorage.setItem(SHELL_RELOAD_KEY, JSON.stringify({
+      route: currentPage,
+      scroll: { window: window.scrollY, main: main ? main.scrollTop : 0 }
+    }));
+  } catch (e) {
+    DEBUG && console.warn('[HOT RELOAD] Could not save scroll position:', e.message);
+  }
+  if (currentPage) window.history.replaceState({}, '', `#${currentPage}`);
+  window.location.reload();
+}
+
+/* Restore the scroll position saved by reloadShell() for the route that was open */
+function restoreShellScroll(route) {
+  let saved = null;
+  try {
+    saved = JSON.parse(sessionStorage.getItem(SHELL_RELOAD_KEY) || 'null');
+    sessionStorage.removeItem(SHELL_RELOAD_KEY);
+  } catch (e) {
+    return;
+  }
+  if (!saved || saved.route !== route || !saved.scroll) return;
+  const main = document.getElementById('main-content');
+  window.scrollTo(0, saved.scroll.window || 0);
+  if (main) main.scrollTop = saved.scroll.main || 0;
+}
+
+/* New global CSS/JS staged by main: CSS is applied now, JS asks the user to reload the shell */
+async function handleAssetsUpdated(info) {
+  if (!info) return;
+  if (info.js && info.js.length > 0) {
+    showToast('Está disponível uma nova versão da aplicação.', {
+      actionLabel: 'Recarregar',
+      onAction: reloadShell
+    });
+    return;
+  }
+  // Só CSS: ativar já a release (a meio de uma navegação, o loadPage trata disso)
+  if (!pageRendering) await activateStagedRelease();
+}
+
 /* Load all global asset JS files from assets/js/ with guaranteed order (utils.js, api.js first) */
 async function loadAllAssetsJS() {
   try {
@@ -115,57 +205,244 @@ async function loadAllAssetsJS() {
     const critical = ['utils.js', 'api.js'];
     const ordered = [...critical.filter(c => names.includes(c)), ...names.filter(n => !critical.includes(n))];
 
+    let failed = false;
     for (const name of ordered) {
       const path = `assets/js/${name}`;
+      let res;
       try {
-        const res = await window.githubCache.fetchAsset(path, DEFAULT_TTL);
-        if (!res || !res.content) {
-          console.warn('[loadAllAssetsJS] empty content for', path);
-          continue;
-        }
-        const blob = new Blob([res.content], { type: 'text/javascript' });
-        const url = URL.createObjectURL(blob);
-        try {
-          const mod = await import(/* @vite-ignore */ url);
-          if (name.toLowerCase() === 'utils.js') {
-            Utils = mod.default || mod.Utils || mod;
-            window.Utils = Utils;
-          } else if (name.toLowerCase() === 'api.js') {
-            const API = mod.default || mod.API || mod;
-            window.API = API;
-          }
-        } finally {
-          URL.revokeObjectURL(url);
-        }
+        res = await window.githubCache.fetchAsset(path, DEFAULT_TTL);
       } catch (err) {
         console.warn('[loadAllAssetsJS] failed to load', path, err.message);
+        continue;
+      }
+      if (!res || !res.content) {
+        console.warn('[loadAllAssetsJS] empty content for', path);
+        continue;
+      }
+      const blob = new Blob([res.content], { type: 'text/javascript' });
+      const url = URL.createObjectURL(blob);
+      try {
+        const mod = await import(/* @vite-ignore */ url);
+        if (name.toLowerCase() === 'utils.js') {
+          Utils = mod.default || mod.Utils || mod;
+          window.Utils = Utils;
+        } else if (name.toLowerCase() === 'api.js') {
+          const API = mod.default || mod.API || mod;
+          window.API = API;
+        }
+      } catch (err) {
+        console.warn('[loadAllAssetsJS] failed to import', path, err.message);
+        failed = true;
+        // Versão nova partida: o main volta à anterior e a janela recarrega com ela
+        const result = await reportScriptResult({ path, ok: false, message: err.message });
+        if (result && result.rolledBack) {
+          window.location.reload();
+          return;
+        }
+      } finally {
+        URL.revokeObjectURL(url);
       }
     }
+    if (!failed) reportScriptResult({ ok: true });
   } catch (err) {
     console.error('[loadAllAssetsJS] error:', err);
   }
 }
 
+/* Report import/init outcome of remote scripts to main (failures roll back to the last good version) */
+async function reportScriptResult(result) {
+  if (!window.electronAPI || typeof window.electronAPI.reportScriptResult !== 'function') return null;
+  try {
+    return await window.electronAPI.reportScriptResult(result);
+  } catch (e) {
+    DEBUG && console.warn('[ROLLBACK] Could not report script result:', e.message);
+    return null;
+  }
+}
+
 /* Execute page script: import from blob so modules work */
-async function executePageScript(route) {
+async function executePageScript(route, requestId) {
   const jsPath = `${route}/index.js`;
+  let res;
   try {
-    const res = await fetchWithCache(jsPath);
-    const content = res.content || '';
-    if (!content.trim()) return;
-    const blob = new Blob([content], { type: 'text/javascript' });
-    const url = URL.createObjectURL(blob);
-    try {
-      const mod = await import(/* @vite-ignore */ url);
-      if (mod && typeof mod.init === 'function') {
-        await mod.init();
-      }
-    } finally {
-      URL.revokeObjectURL(url);
+    res = await fetchWithCache(jsPath, DEFAULT_TTL, { requestId });
+  } catch (err) {
+    console.warn('Page script error', err);
+    return;
+  }
+  if (isStalePageLoad(route)) return;
+  const content = res.content || '';
+  if (!content.trim()) return;
+  const blob = new Blob([content], { type: 'text/javascript' });
+  const url = URL.createObjectURL(blob);
+  try {
+    const mod = await import(/* @vite-ignore */ url);
+    if (mod && typeof mod.init === 'function') {
+      await mod.init();
     }
+    reportScriptResult({ route, ok: true });
   } catch (err) {
     console.warn('Page script error', err);
+    const result = await reportScriptResult({ route, path: `pages/${jsPath}`, ok: false, message: err.message });
+    if (result && result.rolledBack) {
+      DEBUG && console.log('[ROLLBACK] A recarregar com a versão anterior:', route);
+      // Rotas da app recarregam no sítio; o login (fora do router) recarrega a janela
+      if (currentPage === route) setTimeout(reloadCurrentPage, 0);
+      else window.location.reload();
+    }
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/* Offline mode: run the cached shell and visited routes read-only */
+async function enterOfflineMode(info) {
+  if (!info) {
+    try {
+      info = await window.githubCache.getOfflineInfo();
+    } catch (e) {
+      info = null;
+    }
   }
+  offlineMode = true;
+  window.isOfflineMode = true;
+  offlineRoutes = new Set(info?.routes || []);
+  clearTimeout(reconnectTimer);
+  window.electronAPI.setOnlineStatus && window.electronAPI.setOnlineStatus(false);
+  setReadOnlyMode(true);
+  showOfflineBanner(info?.newestFetchedAt);
+  DEBUG && console.log('[OFFLINE] Modo offline ativo, rotas em cache:', [...offlineRoutes]);
+}
+
+/* Back online: confirm the server answers, then switch back to live mode */
+async function exitOfflineMode() {
+  if (!offlineMode) return;
+  clearTimeout(reconnectTimer);
+
+  let serverAvailable = true;
+  if (typeof window.electronAPI.checkServerStatus === 'function') {
+    serverAvailable = await window.electronAPI.checkServerStatus().catch(() => false);
+  }
+  if (!serverAvailable || !navigator.onLine) {
+    // Rede voltou mas o servidor ainda não responde: tentar de novo mais tarde
+    if (navigator.onLine) reconnectTimer = setTimeout(exitOfflineMode, 30000);
+    return;
+  }
+
+  offlineMode = false;
+  window.isOfflineMode = false;
+  window.electronAPI.setOnlineStatus && window.electronAPI.setOnlineStatus(true);
+  DEBUG && console.log('[OFFLINE] Ligação restabelecida, a voltar ao modo live');
+
+  // Arranque offline saltou a verificação de sessão/setup no servidor: reinicializar tudo
+  if (startedOffline) {
+    window.location.reload();
+    return;
+  }
+
+  setReadOnlyMode(false);
+  hideOfflineBanner();
+  reloadCurrentPage();
+}
+
+/* Connection state from main's connectivity monitor: indicator + offline mode */
+function handleNetworkStatus(state) {
+  if (!state) return;
+  updateConnectionIndicator(state);
+  if (state.status === 'offline' && !offlineMode) {
+    if (document.getElementById('offline-start-flag')) return;
+    enterOfflineMode();
+  } else if (state.status !== 'offline' && offlineMode) {
+    exitOfflineMode();
+  }
+}
+
+/* Re-render the current route (keeps scroll position) */
+async function reloadCurrentPage() {
+  const route = currentPage;
+  if (!route) return;
+  const main = document.getElementById('main-content');
+  const scroll = { window: window.scrollY, main: main ? main.scrollTop : 0 };
+  currentPage = null;
+  await loadPage(route);
+  window.scrollTo(0, scroll.window);
+  if (main) main.scrollTop = scroll.main;
+}
+
+/* Switch to a frontend release staged by main (only between pages, never mid-render) */
+async function activateStagedRelease() {
+  if (!window.electronAPI || typeof window.electronAPI.activateStagedRelease !== 'function') return null;
+  try {
+    const result = await window.electronAPI.activateStagedRelease();
+    if (result && result.activated) {
+      DEBUG && console.log('[RELEASE] Frontend ativo:', result.version);
+      updateVersionBadge();
+      if (!result.reloadRequired) await reloadAssetCss(result.cssChanged, result.cssRemoved);
+    }
+    return result;
+  } catch (e) {
+    console.warn('[RELEASE] Could not activate staged release:', e.message);
+    return null;
+  }
+}
+
+/* Prefetch a route's files when the user hovers its link in the sidebar */
+const PREFETCH_HOVER_DELAY = 150;
+const PREFETCH_REPEAT_INTERVAL = 60000;
+
+function routeFromLink(link) {
+  const route = link.dataset.route || link.dataset.page;
+  if (route) return route;
+  const href = link.getAttribute('href') || '';
+  if (href.startsWith('#') && href.length > 1) return href.substring(1);
+  const match = (link.getAttribute('onclick') || '').match(/navigateTo\(\s*['"]([\w-]+)['"]/);
+  return match ? match[1] : null;
+}
+
+function initSidebarPrefetch() {
+  const menu = document.getElementById('sidebar-menu');
+  if (!menu || typeof window.electronAPI.prefetchRoute !== 'function') return;
+  const lastPrefetch = new Map();
+  let hoverTimer = null;
+
+  menu.addEventListener('mouseover', (event) => {
+    const link = event.target.closest('a, [data-route], [data-page], [onclick]');
+    if (!link || !menu.contains(link)) return;
+    const route = routeFromLink(link);
+    if (!route || !routes[route] || route === currentPage || offlineMode) return;
+    if (Date.now() - (lastPrefetch.get(route) || 0) < PREFETCH_REPEAT_INTERVAL) return;
+
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(() => {
+      lastPrefetch.set(route, Date.now());
+      window.electronAPI.prefetchRoute(route).catch(() => lastPrefetch.delete(route));
+    }, PREFETCH_HOVER_DELAY);
+  });
+  menu.addEventListener('mouseleave', () => clearTimeout(hoverTimer));
+}
+
+/* Tell main about metered / data-saver connections (preloads are skipped on them) */
+function reportConnectionInfo() {
+  const conn = navigator.connection;
+  if (!conn || typeof window.electronAPI.setConnectionInfo !== 'function') return;
+  const send = () => window.electronAPI.setConnectionInfo({
+    metered: conn.type === 'cellular',
+    saveData: !!conn.saveData,
+    effectiveType: conn.effectiveType || null
+  });
+  send();
+  conn.addEventListener('change', send);
+}
+
+/* True if the user is typing or has edited a field on the current page */
+function hasPendingUserInput() {
+  const main = document.getElementById('main-content');
+  if (!main) return false;
+  const active = document.activeElement;
+  if (active && main.contains(active) && active.matches('input, textarea, select, [contenteditable]')) return true;
+  return [...main.querySelectorAll('input, textarea')].some(el =>
+    (el.type === 'checkbox' || el.type === 'radio') ? el.checked !== el.defaultChecked : el.value !== el.defaultValue
+  );
 }
 
 /* Load HTML, CSS, JS for a route */
@@ -193,21 +470,41 @@ export async function loadPage(route) {
   if (route === currentPage) return;
   if (!routes[route]) route = 'dashboard';
   currentPage = route;
+  pageRendering = true;
+
+  // Navegação anterior ainda a carregar: cancelar os pedidos dela (servem o cache, se houver)
+  cancelFetches(pageRequestId);
+  const requestId = pageRequestId = `page:${route}:${++pageRequestSeq}`;
+
+  // Nova release pronta: ativa antes de pedir os ficheiros da página. Se o JS global
+  // (utils/api) mudou, recarrega a janela para não misturar versões; CSS troca no sítio.
+  const release = await activateStagedRelease();
+  if (release && release.reloadRequired) {
+    window.history.replaceState({}, '', `#${route}`);
+    window.location.reload();
+    return;
+  }
   
   const pageLoadStart = Date.now();
   
   try {
     showLoading();
-    const htmlRes = await fetchWithCache(`${route}/index.html`);
+    if (offlineMode && !offlineRoutes.has(route)) {
+      throw new Error('Esta página ainda não foi visitada e não está disponível offline');
+    }
+    const htmlRes = await fetchWithCache(`${route}/index.html`, DEFAULT_TTL, { requestId });
+    if (isStalePageLoad(route)) return;
     const html = htmlRes.content;
     if (!html) throw new Error('HTML vazio');
+    if (offlineMode) showOfflineBanner(htmlRes.fetchedAt);
     // inject HTML
     document.getElementById('main-content').innerHTML = html;
     const meta = routes[route] || {};
     document.title = `${meta.title || route} | BCi`;
     // CSS and JS
-    await injectCSSFromRoute(route);
-    await executePageScript(route);
+    await injectCSSFromRoute(route, requestId);
+    await executePageScript(route, requestId);
+    if (isStalePageLoad(route)) return;
     if (window.updateActiveMenu) window.updateActiveMenu(route);
     window.history.pushState({}, '', `#${route}`);
     
@@ -216,10 +513,29 @@ export async function loadPage(route) {
       window.electronAPI.trackPageLoad(route, pageLoadStart);
     }
   } catch (err) {
+    // Navegação cancelada por outra: o erro já não interessa
+    if (isStalePageLoad(route)) return;
+    // A página pertence a uma release nova preparada entretanto (RELEASE_PENDING no main):
+    // ativa-a e carrega de novo, já sem misturar versões
+    const staged = await activateStagedRelease();
+    if (staged && staged.activated) {
+      if (staged.reloadRequired) {
+        window.history.replaceState({}, '', `#${route}`);
+        window.location.reload();
+        return;
+      }
+      currentPage = null;
+      return loadPage(route);
+    }
     console.error('loadPage error', err);
     showErrorPage(err, route);
   } finally {
-    await hideLoading();
+    // A navegação mais recente é dona do overlay de loading
+    if (pageRequestId === requestId) {
+      pageRequestId = null;
+      pageRendering = false;
+      await hideLoading();
+    }
   }
 }
 
@@ -376,6 +692,16 @@ function initNotificationBell() {
 
 document.addEventListener('DOMContentLoaded', async () => {
   try {
+    // Atualização obrigatória pendente: o main recusa o IPC da app e o index.html mostra o bloqueio.
+    // A shell arrancou bem, por isso o arranque conta como confirmado.
+    const updateState = await window.electronAPI.getUpdateState().catch(() => null);
+    if (updateState && updateState.available && updateState.available.mandatory) {
+      await hideLoading();
+      document.body.classList.add('ready');
+      window.electronAPI.rendererReady && window.electronAPI.rendererReady();
+      return;
+    }
+
     // Check version and clear cache if major update (1.x -> 2.x)
     const currentVersion = await window.electronAPI.getVersion();
     const lastVersion = await window.electronStorage.getItem('app-version');
@@ -399,12 +725,33 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Store version if not set
     if (!lastVersion) {
       await window.electronStorage.setItem('app-version', currentVersion);
+    } else if (lastVersion !== currentVersion) {
+      // Primeira abertura depois de atualizar: mostrar as novidades uma única vez
+      // (não depois de repor uma versão anterior ou de um downgrade)
+      await window.electronStorage.setItem('app-version', currentVersion);
+      const order = typeof window.electronAPI.compareVersions === 'function'
+        ? await window.electronAPI.compareVersions(currentVersion, lastVersion).catch(() => null)
+        : null;
+      if (order > 0) {
+        showWhatsNew(currentVersion).catch(e => DEBUG && console.warn('[VERSION] Novidades indisponíveis:', e));
+      }
+    }
+
+    // Release do frontend preparada na sessão anterior: ativar antes de carregar qualquer ficheiro
+    await activateStagedRelease();
+    updateVersionBadge();
+    setupUpdateNotesPanel();
+    const versionBadge = document.getElementById('appVersionBadge');
+    if (versionBadge) {
+      versionBadge.title = 'Ver notas de versão';
+      versionBadge.addEventListener('click', () => showReleaseHistory());
     }
+    reportConnectionInfo();
     
     // Network status banner handlers
     window.addEventListener('offline', () => {
       if (document.getElementById('offline-start-flag')) return;
-      showOfflineBanner();
+      enterOfflineMode();
       
       // Notify main process
       if (window.electronAPI && window.electronAPI.trackFeature) {
@@ -413,7 +760,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
     
     window.addEventListener('online', () => {
-      hideOfflineBanner();
+      exitOfflineMode();
       
       // Notify main process
       if (window.electronAPI && window.electronAPI.trackFeature) {
@@ -421,21 +768,76 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     });
 
-    // If we started offline, navigate to standalone offline page
+    // Estado da ligação medido no main (rede do sistema, sondas à API e pedidos)
+    if (window.electronAPI && typeof window.electronAPI.onNetworkStatus === 'function') {
+      window.electronAPI.onNetworkStatus(handleNetworkStatus);
+      window.electronAPI.getNetworkStatus()
+        .then(updateConnectionIndicator)
+        .catch(() => {});
+    }
+
+    // Ficheiros rejeitados pelo main (não correspondem ao manifesto de hashes)
+    if (window.electronAPI && typeof window.electronAPI.onIntegrityError === 'function') {
+      window.electronAPI.onIntegrityError((info) => {
+        console.error('[INTEGRITY] Ficheiro rejeitado:', info.path, info.message);
+        if (window.electronAPI.trackFeature) {
+          window.electronAPI.trackFeature('integrity-error');
+        }
+      });
+    }
+
+    // Nova versão da página atual publicada no servidor (stale-while-revalidate)
+    if (window.electronAPI && typeof window.electronAPI.onContentUpdated === 'function') {
+      window.electronAPI.onContentUpdated((info) => {
+        if (!info || !info.route || info.route !== currentPage) return;
+        if (hasPendingUserInput()) {
+          showToast('Está disponível uma nova versão desta página.', {
+            actionLabel: 'Recarregar',
+            onAction: reloadCurrentPage
+          });
+        } else {
+          DEBUG && console.log('[SWR] A recarregar página atualizada:', info.route);
+          reloadCurrentPage();
+        }
+      });
+    }
+
+    // CSS/JS global novo publicado enquanto a app está aberta (hot reload)
+    if (window.electronAPI && typeof window.electronAPI.onAssetsUpdated === 'function') {
+      window.electronAPI.onAssetsUpdated(handleAssetsUpdated);
+    }
+
+    // Manifesto de hashes sem assinatura válida: o main usa a última versão verificada
+    if (window.electronAPI && typeof window.electronAPI.onSecurityWarning === 'function') {
+      window.electronAPI.onSecurityWarning((warning) => {
+        if (warning) showSecurityWarning(warning.message);
+        else hideSecurityWarning();
+      });
+      window.electronAPI.getManifestStatus()
+        .then(status => status && status.warning && showSecurityWarning(status.warning))
+        .catch(() => {});
+    }
+
+    // Started offline: run from cache if the shell was cached before, else show offline page
     if (!navigator.onLine) {
-      hideOfflineBanner();
-      try {
-        window.location.replace('offline.html');
-      } catch (e) {
-        window.location.href = 'offline.html';
+      const info = await window.githubCache.getOfflineInfo().catch(() => null);
+      if (!info || !info.available) {
+        hideOfflineBanner();
+        try {
+          window.location.replace('offline.html');
+        } catch (e) {
+          window.location.href = 'offline.html';
+        }
+        return;
       }
-      return;
+      startedOffline = true;
+      await enterOfflineMode(info);
     }
 
     showLoading();
 
     // Check if server is available
-    if (window.electronAPI && typeof window.electronAPI.checkServerStatus === 'function') {
+    if (!offlineMode && window.electronAPI && typeof window.electronAPI.checkServerStatus === 'function') {
       try {
         const serverAvailable = await window.electronAPI.checkServerStatus();
         if (!serverAvailable) {
@@ -457,6 +859,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadAllAssetsJS().catch(e => console.warn('loadAllAssetsJS failed', e));
 
     const session = await Utils.findSession(false);
+    if (!session && offlineMode) {
+      // O login precisa do servidor
+      await hideLoading();
+      window.location.replace('offline.html');
+      return;
+    }
     if (!session) {
       // No session: load login page from GitHub repo
       try {
@@ -467,7 +875,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // Remove app chrome
         try {
-          const chromeSelectors = ['.sidebar', '.main-header', '#update-badge', '.profile-card', '#sidebar-menu'];
+          const chromeSelectors = ['.sidebar', '.main-header', '.profile-card', '#sidebar-menu'];
           chromeSelectors.forEach(sel => {
             document.querySelectorAll(sel).forEach(n => n.remove());
           });
@@ -478,8 +886,16 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Load CSS FIRST to prevent FOUC
         await injectCSSFromRoute('login');
         
-        // Then inject HTML
+        // Then inject HTML (o aviso de atualização e o bloqueio obrigatório sobrevivem à troca)
+        const updateUi = ['#update-ui-style', '#update-badge', '#mandatory-update-overlay']
+          .map(sel => document.querySelector(sel))
+          .filter(Boolean);
         document.body.innerHTML = html;
+        updateUi.forEach(node => {
+          // Sem o CSS global o badge fica visível: só aparece quando houver atualização
+          if (node.id === 'update-badge' && !node.classList.contains('show')) node.style.display = 'none';
+          document.body.appendChild(node);
+        });
         document.title = 'Login | BCi';
         
         // Execute page script
@@ -526,6 +942,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Rotas e menu lateral carregados da Frontend API via sidebar.js (fonte única, partilhada com a Website)
     routes = window.routes || {};
     if (window.generateSidebarMenu) window.generateSidebarMenu();
+    initSidebarPrefetch();
     initNotificationBell();
     if (window.initSupportChat) window.initSupportChat();
 
@@ -536,6 +953,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     const initialRoute = setupGateRoute || (window.location.hash.substring(1) || 'dashboard');
     await loadPage(initialRoute);
+    restoreShellScroll(initialRoute);
     await Utils.notification();
     
     await hideLoading();
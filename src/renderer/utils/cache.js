@@ -1,18 +1,25 @@
 // Cache wrapper utilities
 const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24h
 
-export async function fetchWithCache(pathRel, ttl = DEFAULT_TTL) {
+export async function fetchWithCache(pathRel, ttl = DEFAULT_TTL, { requestId } = {}) {
   // pathRel example: "dashboard/index.html"
   try {
-    const payload = await window.githubCache.fetchFile(pathRel, ttl);
-    // payload: { content, etag, fetchedAt }
+    const payload = await window.githubCache.fetchFile(pathRel, ttl, requestId ? { requestId } : undefined);
+    // payload: { content, etag, fetchedAt, offline?, stale? (cancelado/expirado, servido do cache) }
     if (!payload || !payload.content) throw new Error('Empty payload');
-    return { content: payload.content, etag: payload.etag || null, fromCache: false, fetchedAt: payload.fetchedAt || Date.now() };
+    return { content: payload.content, etag: payload.etag || null, fromCache: !!(payload.offline || payload.stale), fetchedAt: payload.fetchedAt || Date.now() };
   } catch (err) {
-    // No offline fallback: surface a clear error
-    const msg = navigator.onLine ? err.message || 'Fetch failed' : 'Sem ligação à internet';
+    // Offline o main já serve o que houver em cache; se falhou, a página nunca foi visitada
+    const msg = navigator.onLine ? err.message || 'Fetch failed' : 'Esta página não está disponível offline';
     throw new Error(msg);
   }
 }
 
+// Cancela no main os pedidos ainda pendentes com este requestId (o cache serve de fallback)
+export function cancelFetches(requestId) {
+  if (requestId && window.githubCache && typeof window.githubCache.cancel === 'function') {
+    window.githubCache.cancel(requestId);
+  }
+}
+
 export { DEFAULT_TTL };
@@ -0,0 +1,103 @@
+// Minimal Markdown renderer for release notes (sanitized: all text is escaped, no raw HTML)
+import { escapeHtml } from './ui.js';
+
+// Só envolve em <em> conteúdo com as tags de ênfase fechadas por ordem (nunca gera tags cruzadas)
+function isBalanced(html) {
+  let depth = 0;
+  for (const [tag] of html.matchAll(/<\/?(?:strong|em)>/g)) {
+    depth += tag[1] === '/' ? -1 : 1;
+    if (depth < 0) return false;
+  }
+  return depth === 0;
+}
+
+const emphasis = (match, before, content) =>
+  isBalanced(content) ? `${before}<em>${content}</em>` : match;
+
+// Inline: `código`, **negrito**, *itálico* / _itálico_, [texto](url)
+function renderInline(text) {
+  const codeSpans = [];
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => {
+    codeSpans.push(`<code>${code}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  html = html
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*?)\*/g, emphasis)
+    .replace(/(^|\W)_([^_\s][^_]*?)_(?=\W|$)/g, emphasis)
+    // Links não navegam dentro da app: mostra-se o texto com o URL no title
+    .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, url) =>
+      /^https?:\/\//i.test(url) ? `<span class="md-link" title="${url}">${label}</span>` : label);
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[Number(index)]);
+}
+
+/**
+ * Converte Markdown simples em HTML seguro: títulos, parágrafos, listas,
+ * blocos de código, negrito/itálico, código inline e links (não clicáveis)
+ */
+export function renderMarkdown(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let code = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+    list = null;
+  };
+
+  for (const line of lines) {
+    if (code) {
+      if (/^\s*```/.test(line)) {
+        blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      flushList();
+      code = [];
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,4})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+    if (heading) {
+      flushParagraph();
+      flushList();
+      // h1/h2 das notas ficam abaixo do título do painel
+      const level = Math.min(heading[1].length + 2, 6);
+      blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? 'ul' : 'ol';
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push((bullet || numbered)[1]);
+    } else if (!line.trim()) {
+      flushParagraph();
+      flushList();
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  }
+
+  if (code) blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+  flushParagraph();
+  flushList();
+  return blocks.join('\n');
+}
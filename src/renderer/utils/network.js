@@ -1,24 +1,121 @@
-// Network status banner utilities
-export function showOfflineBanner() {
-  if (document.getElementById('offline-banner')) return;
-  const banner = document.createElement('div');
-  banner.id = 'offline-banner';
-  banner.style.position = 'fixed';
-  banner.style.top = '0';
-  banner.style.left = '0';
-  banner.style.right = '0';
-  banner.style.zIndex = '9999';
-  banner.style.background = '#b71c1c';
-  banner.style.color = '#fff';
-  banner.style.padding = '10px 16px';
-  banner.style.fontFamily = 'system-ui, -apple-system, Segoe UI, Roboto, Ubuntu, sans-serif';
-  banner.style.fontSize = '14px';
-  banner.style.boxShadow = '0 2px 6px rgba(0,0,0,0.2)';
-  banner.textContent = 'Sem ligação à internet. Liga-te e tenta novamente.';
-  document.body.appendChild(banner);
+// Network status banner and offline (read-only) mode utilities
+
+// Elementos que precisam do servidor e ficam desativados no modo offline
+const ONLINE_ONLY_SELECTOR = [
+  '[data-requires-online]',
+  'form button[type="submit"]',
+  'form button:not([type])',
+  'form input[type="submit"]'
+].join(', ');
+
+function formatCacheAge(timestamp) {
+  if (!timestamp) return null;
+  const mins = Math.floor((Date.now() - timestamp) / 60000);
+  if (mins < 1) return 'agora mesmo';
+  if (mins < 60) return `há ${mins} min`;
+  const hours = Math.floor(mins / 60);
+  if (hours < 24) return `há ${hours} h`;
+  const days = Math.floor(hours / 24);
+  return `há ${days} ${days === 1 ? 'dia' : 'dias'}`;
+}
+
+/**
+ * Mostra o cabeçalho do modo offline com a idade do conteúdo em cache
+ */
+export function showOfflineBanner(cachedAt) {
+  let banner = document.getElementById('offline-banner');
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = 'offline-banner';
+    banner.style.position = 'fixed';
+    banner.style.top = '0';
+    banner.style.left = '0';
+    banner.style.right = '0';
+    banner.style.zIndex = '9999';
+    banner.style.background = '#b45309';
+    banner.style.color = '#fff';
+    banner.style.padding = '10px 16px';
+    banner.style.fontFamily = 'system-ui, -apple-system, Segoe UI, Roboto, Ubuntu, sans-serif';
+    banner.style.fontSize = '14px';
+    banner.style.boxShadow = '0 2px 6px rgba(0,0,0,0.2)';
+    document.body.appendChild(banner);
+  }
+  const age = formatCacheAge(cachedAt);
+  banner.textContent = `Offline – os dados podem estar desatualizados${age ? ` (conteúdo guardado ${age})` : ''}. As ações que precisam do servidor estão desativadas.`;
 }
 
 export function hideOfflineBanner() {
   const banner = document.getElementById('offline-banner');
   if (banner) banner.remove();
 }
+
+function blockOnlineOnlyAction(event) {
+  const target = event.type === 'submit'
+    ? event.target
+    : event.target.closest && event.target.closest(ONLINE_ONLY_SELECTOR);
+  if (!target) return;
+  event.preventDefault();
+  event.stopImmediatePropagation();
+}
+
+/**
+ * Ativa/desativa o modo só de leitura: bloqueia submissões de formulários e
+ * elementos marcados com data-requires-online enquanto não houver ligação
+ */
+export function setReadOnlyMode(enabled) {
+  document.body.classList.toggle('offline-mode', enabled);
+
+  if (enabled) {
+    if (!document.getElementById('offline-mode-style')) {
+      const style = document.createElement('style');
+      style.id = 'offline-mode-style';
+      style.textContent = `body.offline-mode ${ONLINE_ONLY_SELECTOR.split(', ').join(', body.offline-mode ')} { opacity: 0.5; cursor: not-allowed; }`;
+      document.head.appendChild(style);
+    }
+    document.addEventListener('submit', blockOnlineOnlyAction, true);
+    document.addEventListener('click', blockOnlineOnlyAction, true);
+  } else {
+    document.removeEventListener('submit', blockOnlineOnlyAction, true);
+    document.removeEventListener('click', blockOnlineOnlyAction, true);
+  }
+}
+
+const CONNECTION_INDICATOR = {
+  online: { color: '#16a34a', label: 'Ligado' },
+  degraded: { color: '#f59e0b', label: 'Ligação instável' },
+  offline: { color: '#dc2626', label: 'Sem ligação' }
+};
+
+/**
+ * Ponto de estado da ligação no .main-header (verde/amarelo/vermelho) com a
+ * latência medida pelo main no tooltip
+ */
+export function updateConnectionIndicator(state) {
+  const header = document.querySelector('.main-header .header-right') || document.querySelector('.main-header');
+  if (!header || !state) return;
+
+  let dot = document.getElementById('connection-indicator');
+  if (!dot) {
+    dot = document.createElement('span');
+    dot.id = 'connection-indicator';
+    dot.setAttribute('role', 'status');
+    dot.style.display = 'inline-block';
+    dot.style.width = '10px';
+    dot.style.height = '10px';
+    dot.style.borderRadius = '50%';
+    dot.style.marginRight = '12px';
+    dot.style.flexShrink = '0';
+    dot.style.transition = 'background-color 0.3s';
+    header.prepend(dot);
+  }
+
+  const info = CONNECTION_INDICATOR[state.status] || CONNECTION_INDICATOR.online;
+  const details = [
+    typeof state.latency === 'number' ? `${state.latency} ms` : null,
+    state.status !== 'online' ? state.reason : null
+  ].filter(Boolean).join(' · ');
+  dot.style.backgroundColor = info.color;
+  dot.dataset.status = state.status;
+  dot.title = details ? `${info.label} (${details})` : info.label;
+  dot.setAttribute('aria-label', dot.title);
+}
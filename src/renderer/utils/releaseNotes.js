@@ -0,0 +1,119 @@
+// Release notes: expandable panel in the update badge, "What's new" after updating and history
+import { escapeHtml } from './ui.js';
+import { renderMarkdown } from './markdown.js';
+
+function formatReleaseDate(date) {
+  const parsed = date ? new Date(date) : null;
+  return parsed && !isNaN(parsed) ? parsed.toLocaleDateString('pt-PT') : '';
+}
+
+function renderEntry(entry) {
+  const date = formatReleaseDate(entry.releaseDate);
+  return `
+    <section class="release-notes-entry">
+      <h3>v${escapeHtml(entry.version)}${entry.name ? ` · ${escapeHtml(entry.name)}` : ''}</h3>
+      ${date ? `<div class="release-notes-date">${escapeHtml(date)}</div>` : ''}
+      <div class="release-notes-body">${renderMarkdown(entry.notes)}</div>
+    </section>`;
+}
+
+function closeReleaseNotesDialog() {
+  const overlay = document.getElementById('release-notes-overlay');
+  if (overlay) overlay.remove();
+  document.removeEventListener('keydown', onDialogKeydown);
+}
+
+function onDialogKeydown(event) {
+  if (event.key === 'Escape') closeReleaseNotesDialog();
+}
+
+/**
+ * Janela modal com uma ou mais notas de versão
+ */
+export function showReleaseNotesDialog(title, entries) {
+  closeReleaseNotesDialog();
+
+  const overlay = document.createElement('div');
+  overlay.id = 'release-notes-overlay';
+  overlay.className = 'release-notes-overlay';
+  overlay.innerHTML = `
+    <div class="release-notes-dialog" role="dialog" aria-modal="true" aria-labelledby="release-notes-title">
+      <header>
+        <h2 id="release-notes-title">${escapeHtml(title)}</h2>
+        <button class="release-notes-close" aria-label="Fechar"><i class="fas fa-times"></i></button>
+      </header>
+      <div class="release-notes-content">
+        ${entries.length > 0
+          ? entries.map(renderEntry).join('')
+          : '<p class="release-notes-empty">Ainda não há notas de versão guardadas nesta instalação.</p>'}
+      </div>
+    </div>`;
+
+  overlay.addEventListener('click', (event) => {
+    if (event.target === overlay || event.target.closest('.release-notes-close')) closeReleaseNotesDialog();
+  });
+  document.addEventListener('keydown', onDialogKeydown);
+  document.body.appendChild(overlay);
+}
+
+/**
+ * "Novidades" depois de atualizar: as notas da versão agora instalada (se foram guardadas)
+ */
+export async function showWhatsNew(version) {
+  if (typeof window.electronAPI.getReleaseNotes !== 'function') return false;
+  const entry = await window.electronAPI.getReleaseNotes(version);
+  if (!entry) return false;
+  showReleaseNotesDialog(`Novidades da versão ${version}`, [entry]);
+  return true;
+}
+
+/**
+ * Histórico das notas de versão (aberto a partir do badge da versão)
+ */
+export async function showReleaseHistory() {
+  const entries = typeof window.electronAPI.getReleaseNotes === 'function'
+    ? await window.electronAPI.getReleaseNotes()
+    : [];
+  showReleaseNotesDialog('Notas de versão', entries || []);
+}
+
+/**
+ * Painel expansível com as notas no aviso de atualização, antes de descarregar.
+ * Segue o showUpdateAvailable do index.html (aviso novo ou reposto depois de recarregar).
+ */
+export function setupUpdateNotesPanel() {
+  const badge = document.getElementById('update-badge');
+  if (!badge) return;
+
+  const renderNotes = (data) => {
+    badge.querySelectorAll('.update-notes-toggle, .update-notes-panel').forEach(el => el.remove());
+    if (!data || !data.description) return;
+
+    const toggle = document.createElement('button');
+    toggle.className = 'update-notes-toggle';
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.innerHTML = '<i class="fas fa-chevron-down"></i> <span>Ver novidades</span>';
+
+    const panel = document.createElement('div');
+    panel.className = 'update-notes-panel';
+    panel.hidden = true;
+    panel.innerHTML = `
+      ${data.name ? `<h3>${escapeHtml(data.name)}</h3>` : ''}
+      <div class="release-notes-body">${renderMarkdown(data.description)}</div>`;
+
+    toggle.addEventListener('click', () => {
+      panel.hidden = !panel.hidden;
+      toggle.setAttribute('aria-expanded', String(!panel.hidden));
+      toggle.querySelector('span').textContent = panel.hidden ? 'Ver novidades' : 'Esconder novidades';
+      toggle.querySelector('i').className = `fas fa-chevron-${panel.hidden ? 'down' : 'up'}`;
+    });
+
+    const content = badge.querySelector('.notification-content');
+    if (content) content.after(toggle, panel);
+    else badge.append(toggle, panel);
+  };
+
+  window.addEventListener('bci:update-available', (event) => renderNotes(event.detail));
+  // Aviso já mostrado antes de este módulo arrancar (estado reposto pelo getUpdateState)
+  if (window.currentUpdateInfo) renderNotes(window.currentUpdateInfo);
+}
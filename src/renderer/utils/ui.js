@@ -13,18 +13,121 @@ export async function hideLoading() {
   setTimeout(() => loading.remove(), 200);
 }
 
+// Mostrar a versão da app e a release do frontend discretamente no canto da sidebar
+export async function updateVersionBadge() {
+  const badge = document.getElementById('appVersionBadge');
+  if (!badge) return;
+  try {
+    const version = await window.electronAPI.getVersion();
+    let frontend = null;
+    if (typeof window.electronAPI.getFrontendRelease === 'function') {
+      const release = await window.electronAPI.getFrontendRelease();
+      frontend = release && release.active && release.active.version;
+    }
+    if (version) badge.textContent = `v${version}${frontend ? ` · web ${frontend}` : ''}`;
+  } catch (e) {
+    console.warn('Could not load app version');
+  }
+}
+
+export function showSecurityWarning(message) {
+  let banner = document.getElementById('security-warning-banner');
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = 'security-warning-banner';
+    banner.style.position = 'fixed';
+    banner.style.bottom = '0';
+    banner.style.left = '0';
+    banner.style.right = '0';
+    banner.style.zIndex = '9999';
+    banner.style.background = '#e65100';
+    banner.style.color = '#fff';
+    banner.style.padding = '10px 16px';
+    banner.style.fontFamily = 'system-ui, -apple-system, Segoe UI, Roboto, Ubuntu, sans-serif';
+    banner.style.fontSize = '14px';
+    banner.style.boxShadow = '0 -2px 6px rgba(0,0,0,0.2)';
+    document.body.appendChild(banner);
+  }
+  banner.textContent = `Aviso de segurança: ${message}`;
+}
+
+export function hideSecurityWarning() {
+  const banner = document.getElementById('security-warning-banner');
+  if (banner) banner.remove();
+}
+
+export function showToast(message, { actionLabel, onAction } = {}) {
+  const existing = document.getElementById('app-toast');
+  if (existing) existing.remove();
+
+  const toast = document.createElement('div');
+  toast.id = 'app-toast';
+  toast.style.position = 'fixed';
+  toast.style.right = '20px';
+  toast.style.bottom = '20px';
+  toast.style.zIndex = '10000';
+  toast.style.display = 'flex';
+  toast.style.alignItems = 'center';
+  toast.style.gap = '12px';
+  toast.style.background = '#13005A';
+  toast.style.color = '#fff';
+  toast.style.padding = '12px 16px';
+  toast.style.borderRadius = '8px';
+  toast.style.fontFamily = 'system-ui, -apple-system, Segoe UI, Roboto, Ubuntu, sans-serif';
+  toast.style.fontSize = '14px';
+  toast.style.boxShadow = '0 4px 12px rgba(0,0,0,0.25)';
+
+  const text = document.createElement('span');
+  text.textContent = message;
+  toast.appendChild(text);
+
+  if (actionLabel && typeof onAction === 'function') {
+    const action = document.createElement('button');
+    action.textContent = actionLabel;
+    action.style.background = '#fff';
+    action.style.color = '#13005A';
+    action.style.border = 'none';
+    action.style.borderRadius = '6px';
+    action.style.padding = '6px 10px';
+    action.style.cursor = 'pointer';
+    action.addEventListener('click', () => {
+      toast.remove();
+      onAction();
+    });
+    toast.appendChild(action);
+  }
+
+  const close = document.createElement('button');
+  close.innerHTML = '<i class="fas fa-times"></i>';
+  close.style.background = 'transparent';
+  close.style.color = '#fff';
+  close.style.border = 'none';
+  close.style.cursor = 'pointer';
+  close.addEventListener('click', () => toast.remove());
+  toast.appendChild(close);
+
+  document.body.appendChild(toast);
+  return toast;
+}
+
 export function escapeHtml(s) {
   return (s || '').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#039;');
 }
 
 export function showErrorPage(err, route) {
   const message = escapeHtml(err.message || String(err));
+  const isIntegrityError = /Falha de integridade/.test(err.message || '');
+  const description = isIntegrityError
+    ? 'O conteúdo recebido do servidor não passou a verificação de segurança e foi bloqueado. Tenta novamente dentro de alguns minutos.'
+    : navigator.onLine
+      ? 'Não foi possível carregar a página. Verifica a tua ligação ou tenta novamente.'
+      : 'Sem ligação à internet. Liga-te à internet e tenta novamente.';
   const html = `
   <div class="error-container">
     <div class="error-card">
       <div class="error-icon"><i class="fas fa-exclamation-circle"></i></div>
       <h2 class="error-title">Oops! Algo deu errado</h2>
-      <p class="error-description">${navigator.onLine ? 'Não foi possível carregar a página. Verifica a tua ligação ou tenta novamente.' : 'Sem ligação à internet. Liga-te à internet e tenta novamente.'}</p>
+      <p class="error-description">${description}</p>
       <div class="error-actions">
         <button id="reloadBtn" class="error-btn error-btn-primary"><i class="fas fa-sync-alt"></i> Recarregar</button>
         <button id="homeBtn" class="error-btn"><i class="fas fa-home"></i> Ir para Início</button>
@@ -0,0 +1,49 @@
+// Troca de ambiente da API: trabalho iniciado no ambiente anterior nunca escreve no novo
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { server, response, sha256, signed, loadCache, getCacheStore, getUserData } = require('./helpers/main');
+
+test('troca de ambiente durante o staging: a release anterior não é escrita no ambiente novo', async (t) => {
+  // A troca de ambiente só existe no modo debug
+  const debug = process.env.DEBUG;
+  process.env.DEBUG = 'true';
+  t.after(() => { process.env.DEBUG = debug; });
+  t.mock.method(console, 'log', () => {});
+
+  const OLD = 'window.version = 1;';
+  const NEW = 'window.version = 2;';
+  server.manifest = signed({ version: '1', assets: { 'assets/js/utils.js': sha256(OLD) } });
+  server.files = { 'assets/js/utils.js': OLD };
+  const cache = loadCache();
+  const environment = require('../src/main/environment');
+  assert.strictEqual((await cache.handleFetchAsset(null, 'assets/js/utils.js')).content, OLD);
+
+  // Deploy novo em produção: o download de utils.js fica pendurado até à troca de ambiente
+  server.manifest = signed({ version: '2', assets: { 'assets/js/utils.js': sha256(NEW) } });
+  let release;
+  const requested = new Promise(resolve => {
+    server.files['assets/js/utils.js'] = () => {
+      resolve();
+      return new Promise(done => { release = () => done(response(200, NEW)); });
+    };
+  });
+  const realNow = Date.now;
+  t.mock.method(Date, 'now', () => realNow() + 10 * 60 * 1000);
+
+  const sync = cache.syncFromManifest();
+  await requested;
+  environment.setEnvironment('local');
+  release();
+
+  await assert.rejects(sync, { code: 'CANCELLED' });
+  const store = getCacheStore();
+  assert.strictEqual(store.getRelease('staged'), null);
+  assert.strictEqual(store.hasObject(sha256(NEW)), false);
+  assert.deepStrictEqual(store.entries(), []);
+
+  // Nem o objeto nem a release entram no diretório de produção
+  const productionObjects = path.join(getUserData(), 'frontend-cache', 'objects');
+  assert.ok(!fs.readdirSync(productionObjects).some(file => file.startsWith(sha256(NEW))));
+});
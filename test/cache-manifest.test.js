@@ -0,0 +1,123 @@
+// Manifesto de ficheiros assinado: conteúdo remoto sem hash verificado nunca é guardado nem servido
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { stubs, server, sha256, sign, signed, loadCache, getCacheStore, savedIndex } = require('./helpers/main');
+
+const SCRIPT = 'window.compromised = true;';
+
+// Ficheiros fora de server.files são sempre SCRIPT
+beforeEach(() => {
+  server.fallback = SCRIPT;
+});
+
+async function assertRejected(cache) {
+  await assert.rejects(cache.handleFetchAsset(null, 'assets/js/utils.js'), { code: 'INTEGRITY_ERROR' });
+  assert.deepStrictEqual(cache.getCacheEntries(), []);
+}
+
+test('manifesto sem assinatura: o script não é guardado nem servido', async () => {
+  server.manifest = { success: true, data: { version: '1', assets: { 'assets/js/utils.js': sha256(SCRIPT) } } };
+  await assertRejected(loadCache());
+});
+
+test('manifesto com assinatura inválida: o script não é guardado nem servido', async () => {
+  const data = { version: '1', assets: { 'assets/js/utils.js': sha256(SCRIPT) } };
+  server.manifest = { success: true, data, signature: sign({ ...data, version: '2' }), keyId: 'test' };
+  await assertRejected(loadCache());
+});
+
+test('caminho fora do manifesto assinado: o script não é guardado nem servido', async () => {
+  const data = { version: '1', assets: { 'assets/js/api.js': sha256('outro') } };
+  server.manifest = { success: true, data, signature: sign(data), keyId: 'test' };
+  await assertRejected(loadCache());
+});
+
+test('sem chave pública na app: manifesto sem assinatura aceite, hashes continuam verificados', async (t) => {
+  const key = process.env.MANIFEST_PUBLIC_KEY;
+  delete process.env.MANIFEST_PUBLIC_KEY;
+  t.after(() => { process.env.MANIFEST_PUBLIC_KEY = key; });
+  server.manifest = { success: true, data: { version: '1', assets: { 'assets/js/utils.js': sha256(SCRIPT) } } };
+  const warn = t.mock.method(stubs['electron-log'], 'warn', () => {});
+  const cache = loadCache();
+  assert.strictEqual((await cache.handleFetchAsset(null, 'assets/js/utils.js')).content, SCRIPT);
+  assert.match(warn.mock.calls[0].arguments[0], /aceite sem verificação de assinatura/);
+
+  server.files = { 'assets/js/api.js': 'window.tampered = true;' };
+  await assert.rejects(cache.handleFetchAsset(null, 'assets/js/api.js'), { code: 'INTEGRITY_ERROR' });
+});
+
+test('caminho no manifesto assinado com o hash certo: servido e guardado', async () => {
+  const data = { version: '1', assets: { 'assets/js/utils.js': sha256(SCRIPT) } };
+  server.manifest = { success: true, data, signature: sign(data), keyId: 'test' };
+  const cache = loadCache();
+  const payload = await cache.handleFetchAsset(null, 'assets/js/utils.js');
+  assert.strictEqual(payload.content, SCRIPT);
+  assert.deepStrictEqual(cache.getCacheEntries().map(entry => entry.path), ['assets/js/utils.js']);
+  assert.strictEqual(savedIndex().entries['assets/js/utils.js'].hash, sha256(SCRIPT));
+});
+
+test('release nova por ativar: a versão nova só é servida depois de ativada', async (t) => {
+  const OLD = 'window.version = 1;';
+  const NEW = 'window.version = 2;';
+  const PAGE = '<h1>Página nova</h1>';
+  server.manifest = signed({ version: '1', assets: { 'assets/js/utils.js': sha256(OLD) } });
+  server.files = { 'assets/js/utils.js': OLD };
+  const cache = loadCache();
+  assert.strictEqual((await cache.handleFetchAsset(null, 'assets/js/utils.js')).content, OLD);
+
+  // Deploy com utils.js alterado e uma página nova; o manifesto em cache expira
+  server.manifest = signed({ version: '2', assets: { 'assets/js/utils.js': sha256(NEW), 'pages/nova/index.html': sha256(PAGE) } });
+  server.files = { 'assets/js/utils.js': null, 'pages/nova/index.html': PAGE };
+  const realNow = Date.now;
+  t.mock.method(Date, 'now', () => realNow() + 10 * 60 * 1000);
+
+  // Staging a falhar: o JS global antigo continua a ser servido e a página nova não
+  assert.strictEqual((await cache.syncFromManifest()).staged, false);
+  assert.strictEqual((await cache.handleFetchAsset(null, 'assets/js/utils.js')).content, OLD);
+  await assert.rejects(cache.handleFetch(null, 'nova/index.html'), { code: 'RELEASE_PENDING' });
+
+  // Staging completo: continua por ativar até o renderer ativar a release
+  server.files['assets/js/utils.js'] = NEW;
+  await assert.rejects(cache.handleFetch(null, 'nova/index.html'), { code: 'RELEASE_PENDING' });
+  assert.strictEqual(cache.activateStagedRelease().version, '2');
+  assert.strictEqual((await cache.handleFetch(null, 'nova/index.html')).content, PAGE);
+  assert.strictEqual((await cache.handleFetchAsset(null, 'assets/js/utils.js')).content, NEW);
+});
+
+test('cópia em cache fora da release ativa: não é servida pelo SWR nem offline', async () => {
+  const data = { version: '1', assets: { 'assets/js/utils.js': sha256(SCRIPT) } };
+  server.manifest = signed(data);
+  const cache = loadCache();
+  await cache.handleFetchAsset(null, 'assets/js/utils.js');
+  await getCacheStore().set('assets/js/utils.js', { content: 'window.tampered = true;' });
+
+  // Online: a cópia é descartada em favor do ficheiro verificado do servidor
+  assert.strictEqual((await cache.handleFetchAsset(null, 'assets/js/utils.js')).content, SCRIPT);
+
+  await getCacheStore().set('assets/js/utils.js', { content: 'window.tampered = true;' });
+  cache.setOnlineStatus(false);
+  await assert.rejects(cache.handleFetchAsset(null, 'assets/js/utils.js'), /não disponível offline/);
+});
+
+test('entradas migradas do storage antigo: só as confirmadas pelo manifesto são servidas', async () => {
+  const API = 'window.api = 1;';
+  server.manifest = signed({ version: '1', assets: { 'assets/js/utils.js': sha256(SCRIPT), 'assets/js/api.js': sha256(API) } });
+  server.files = { 'assets/js/api.js': API };
+  loadCache();
+  const storage = require('../js/storage');
+  storage.setItem('api-cache:assets/js/utils.js', { content: SCRIPT, fetchedAt: Date.now() });
+  storage.setItem('api-cache:assets/js/api.js', { content: 'window.tampered = true;', fetchedAt: Date.now() });
+  const cache = loadCache();
+
+  // Sem manifesto verificado nenhuma entrada migrada é servida
+  cache.setOnlineStatus(false);
+  await assert.rejects(cache.handleFetchAsset(null, 'assets/js/utils.js'), /não disponível offline/);
+  assert.strictEqual(cache.getOfflineInfo().routes.length, 0);
+
+  // Primeiro manifesto verificado: a entrada adulterada é apagada, a outra fica
+  cache.setOnlineStatus(true);
+  await cache.syncFromManifest();
+  assert.deepStrictEqual(cache.getCacheEntries().map(entry => entry.path), ['assets/js/utils.js']);
+  assert.strictEqual((await cache.handleFetchAsset(null, 'assets/js/api.js')).content, API);
+  assert.strictEqual((await cache.handleFetchAsset(null, 'assets/js/utils.js')).content, SCRIPT);
+});
@@ -0,0 +1,108 @@
+// Políticas de cache por ficheiro no manifesto assinado (data.policies)
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { server, response, sha256, signed, loadCache, getCacheStore } = require('./helpers/main');
+
+const FILES = {
+  'assets/js/vendor/lib.js': 'window.lib = 1;',
+  'assets/js/vendor/sub/deep.js': 'window.deep = 1;',
+  'assets/js/utils.js': 'window.utils = 1;',
+  'assets/css/main.css': 'body { margin: 0; }',
+  'pages/withdraw/index.html': '<form>Levantamento</form>',
+  'pages/dashboard/index.html': '<h1>Dashboard</h1>'
+};
+
+const POLICIES = {
+  'assets/js/vendor/*': 'immutable',
+  'assets/js/**': 'max-age=60',
+  'assets/js/utils.js': 'revalidate-on-open',
+  'assets/css/main.css': 'no-store',
+  'pages/withdraw/**': 'revalidate-on-open'
+};
+
+// Pedidos ao servidor por ficheiro, com os headers enviados
+let fileRequests;
+
+beforeEach(() => {
+  server.manifest = signed({
+    version: '1',
+    assets: Object.fromEntries(Object.entries(FILES).map(([filePath, content]) => [filePath, sha256(content)])),
+    policies: POLICIES
+  });
+  fileRequests = [];
+  // ETag por conteúdo: um pedido condicional com o ETag certo recebe 304
+  server.files = Object.fromEntries(Object.keys(FILES).map(filePath => [filePath, (url, options = {}) => {
+    const headers = options.headers || {};
+    fileRequests.push({ filePath, ifNoneMatch: headers['If-None-Match'] || null });
+    const etag = `"${sha256(FILES[filePath]).slice(0, 8)}"`;
+    return headers['If-None-Match'] === etag ? response(304, '') : response(200, FILES[filePath], { ETag: etag });
+  }]));
+});
+
+const requestsFor = (filePath) => fileRequests.filter(request => request.filePath === filePath);
+
+test('immutable: depois do primeiro download nunca volta ao servidor', async () => {
+  const cache = loadCache();
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await cache.handleFetchAsset(null, 'assets/js/vendor/lib.js')).content, FILES['assets/js/vendor/lib.js']);
+  }
+  assert.strictEqual(requestsFor('assets/js/vendor/lib.js').length, 1);
+});
+
+test('padrões: caminho exato primeiro, depois o mais específico; "*" não atravessa pastas', async () => {
+  const cache = loadCache();
+  await cache.handleFetchAsset(null, 'assets/js/utils.js');
+  await cache.handleFetchAsset(null, 'assets/js/utils.js');
+  await cache.handleFetchAsset(null, 'assets/js/vendor/sub/deep.js');
+  await cache.handleFetchAsset(null, 'assets/js/vendor/sub/deep.js');
+
+  // utils.js segue a política exata (revalida), não o 'assets/js/**' (max-age)
+  assert.strictEqual(requestsFor('assets/js/utils.js').length, 2);
+  // deep.js não é apanhado por 'assets/js/vendor/*' e fica com o max-age
+  assert.strictEqual(requestsFor('assets/js/vendor/sub/deep.js').length, 1);
+});
+
+test('revalidate-on-open: cada abertura faz um pedido condicional, mesmo com o hash válido', async () => {
+  const cache = loadCache();
+  const first = await cache.handleFetch(null, 'withdraw/index.html');
+  const second = await cache.handleFetch(null, 'withdraw/index.html');
+
+  assert.strictEqual(second.content, first.content);
+  assert.deepStrictEqual(requestsFor('pages/withdraw/index.html').map(request => request.ifNoneMatch), [null, first.etag]);
+
+  // Páginas sem política continuam com stale-while-revalidate a partir do cache
+  await cache.handleFetch(null, 'dashboard/index.html');
+  await cache.handleFetch(null, 'dashboard/index.html');
+  assert.strictEqual(requestsFor('pages/dashboard/index.html')[0].ifNoneMatch, null);
+});
+
+test('max-age: servido do cache enquanto válido, revalidado depois de expirar', async (t) => {
+  const cache = loadCache();
+  await cache.handleFetchAsset(null, 'assets/js/vendor/sub/deep.js');
+  await cache.handleFetchAsset(null, 'assets/js/vendor/sub/deep.js');
+  assert.strictEqual(requestsFor('assets/js/vendor/sub/deep.js').length, 1);
+
+  const realNow = Date.now;
+  t.mock.method(Date, 'now', () => realNow() + 61 * 1000);
+  assert.strictEqual((await cache.handleFetchAsset(null, 'assets/js/vendor/sub/deep.js')).content, FILES['assets/js/vendor/sub/deep.js']);
+  const requests = requestsFor('assets/js/vendor/sub/deep.js');
+  assert.strictEqual(requests.length, 2);
+  assert.ok(requests[1].ifNoneMatch);
+});
+
+test('no-store: sempre pedido ao servidor, nunca guardado, e cópias antigas são apagadas', async () => {
+  const cache = loadCache();
+  // Cópia guardada antes de o manifesto passar a marcar o ficheiro como no-store
+  await cache.handleFetchAsset(null, 'assets/js/vendor/lib.js');
+  await getCacheStore().set('assets/css/main.css', { content: FILES['assets/css/main.css'], fetchedAt: Date.now() });
+
+  assert.strictEqual((await cache.handleFetchAsset(null, 'assets/css/main.css')).content, FILES['assets/css/main.css']);
+  assert.strictEqual((await cache.handleFetchAsset(null, 'assets/css/main.css')).content, FILES['assets/css/main.css']);
+  assert.deepStrictEqual(requestsFor('assets/css/main.css').map(request => request.ifNoneMatch), [null, null]);
+  assert.strictEqual(getCacheStore().getEntry('assets/css/main.css'), null);
+  assert.ok(!cache.getCacheEntries().some(entry => entry.path === 'assets/css/main.css'));
+
+  // Offline não há cópia para servir
+  cache.setOnlineStatus(false);
+  await assert.rejects(cache.handleFetchAsset(null, 'assets/css/main.css'), /não disponível offline/);
+});
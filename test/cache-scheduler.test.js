@@ -0,0 +1,145 @@
+// Scheduler dos pedidos da cache: limite de pedidos em paralelo, prioridades, pausa em 429 e coalescing
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { server, response, sha256, signed, loadCache } = require('./helpers/main');
+
+const FILES = {
+  'assets/js/a.js': 'window.a = 1;',
+  'assets/js/b.js': 'window.b = 1;',
+  'assets/js/c.js': 'window.c = 1;',
+  'assets/js/d.js': 'window.d = 1;',
+  'assets/js/e.js': 'window.e = 1;',
+  'assets/js/f.js': 'window.f = 1;',
+  'pages/dashboard/index.html': '<h1>Dashboard</h1>',
+  'pages/dashboard/styles.css': 'h1 { color: red; }',
+  'pages/dashboard/index.js': 'window.dashboard = 1;'
+};
+
+beforeEach(() => {
+  server.manifest = signed({
+    version: '1',
+    assets: Object.fromEntries(Object.entries(FILES).map(([filePath, content]) => [filePath, sha256(content)]))
+  });
+  server.files = { ...FILES };
+});
+
+// Pedidos de ficheiros pela ordem em que chegaram ao servidor
+const fileRequests = () => server.requests
+  .filter(url => url.includes('/files/'))
+  .map(url => new URL(url).pathname.replace(/^.*?\/files\//, ''));
+
+// Deixa correr o que já está pendente (leituras do store, arranque da fila)
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+/**
+ * O servidor só responde a este ficheiro quando o teste o libertar
+ */
+function holdFile(filePath) {
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  server.files[filePath] = async () => {
+    await held;
+    return response(200, FILES[filePath]);
+  };
+  return release;
+}
+
+test('429: a fila inteira pausa durante o Retry-After e o pedido é repetido', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const cache = loadCache();
+  await cache.handleFetchAsset(null, 'assets/js/e.js');
+
+  let limited = null;
+  server.files['assets/js/a.js'] = () => {
+    if (limited) return response(200, FILES['assets/js/a.js']);
+    limited = Date.now();
+    return response(429, '', { 'Retry-After': '0.3' });
+  };
+  const first = cache.handleFetchAsset(null, 'assets/js/a.js');
+  await settle();
+  assert.ok(limited);
+
+  // Outro pedido durante a pausa espera na fila em vez de ir ao servidor
+  const second = cache.handleFetchAsset(null, 'assets/js/b.js');
+  await settle();
+  assert.ok(!fileRequests().includes('assets/js/b.js'));
+
+  assert.strictEqual((await first).content, FILES['assets/js/a.js']);
+  assert.strictEqual((await second).content, FILES['assets/js/b.js']);
+  assert.ok(Date.now() - limited >= 300);
+  assert.deepStrictEqual(fileRequests().slice(1), ['assets/js/a.js', 'assets/js/a.js', 'assets/js/b.js']);
+  assert.match(warn.mock.calls[0].arguments[0], /429 recebido, fila pausada/);
+});
+
+test('429 com Retry-After 0 ou uma data já passada: o pedido é repetido logo', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const cache = loadCache();
+  const retryAfter = { 'assets/js/a.js': '0', 'assets/js/b.js': new Date(Date.now() - 60 * 1000).toUTCString() };
+  for (const [filePath, value] of Object.entries(retryAfter)) {
+    let limited = false;
+    server.files[filePath] = () => {
+      if (limited) return response(200, FILES[filePath]);
+      limited = true;
+      return response(429, '', { 'Retry-After': value });
+    };
+  }
+
+  const started = Date.now();
+  const payloads = await Promise.all(Object.keys(retryAfter).map(filePath => cache.handleFetchAsset(null, filePath)));
+  assert.deepStrictEqual(payloads.map(payload => payload.content), [FILES['assets/js/a.js'], FILES['assets/js/b.js']]);
+  // Muito abaixo dos 10s usados sem Retry-After
+  assert.ok(Date.now() - started < 1000);
+  assert.strictEqual(fileRequests().length, 4);
+});
+
+test('429 repetido: RATE_LIMITED ao fim de maxRateLimitRequeues, sem retries extra', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const cache = loadCache();
+  server.files['assets/js/a.js'] = () => response(429, '', { 'Retry-After': '0.01' });
+
+  await assert.rejects(cache.handleFetchAsset(null, 'assets/js/a.js'), { code: 'RATE_LIMITED' });
+  assert.strictEqual(fileRequests().length, 4);
+  assert.deepStrictEqual(cache.getCacheEntries(), []);
+});
+
+test('fila cheia: navegação passa à frente do preload, preload coalescido sobe de prioridade', async () => {
+  const cache = loadCache();
+  await cache.handleFetchAsset(null, 'assets/js/e.js');
+
+  // Os 4 lugares do scheduler ocupados com pedidos parados
+  const releases = ['a', 'b', 'c', 'd'].map(name => holdFile(`assets/js/${name}.js`));
+  const busy = ['a', 'b', 'c', 'd'].map(name => cache.handleFetchAsset(null, `assets/js/${name}.js`));
+  await settle();
+
+  const preload = cache.preloadRoute('dashboard');
+  await settle();
+  const navigation = cache.handleFetchAsset(null, 'assets/js/f.js');
+  // O renderer pede o index.js da rota enquanto o preload dele espera na fila
+  const page = cache.handleFetch(null, 'dashboard/index.js');
+  await settle();
+  assert.deepStrictEqual(fileRequests().slice(5), []);
+
+  releases.forEach(release => release());
+  await Promise.all([...busy, navigation, page]);
+  assert.strictEqual(await preload, 3);
+  // index.js passou a navegação e já estava na fila antes de f.js (FIFO na mesma prioridade)
+  assert.deepStrictEqual(fileRequests().slice(5), [
+    'pages/dashboard/index.js',
+    'assets/js/f.js',
+    'pages/dashboard/index.html',
+    'pages/dashboard/styles.css'
+  ]);
+});
+
+test('pedidos idênticos em simultâneo partilham um único pedido ao servidor', async () => {
+  const cache = loadCache();
+  await cache.handleFetchAsset(null, 'assets/js/e.js');
+  const release = holdFile('assets/js/a.js');
+
+  const requests = [1, 2, 3].map(() => cache.handleFetchAsset(null, 'assets/js/a.js'));
+  await settle();
+  release();
+  const payloads = await Promise.all(requests);
+  payloads.forEach(payload => assert.strictEqual(payload.content, FILES['assets/js/a.js']));
+  assert.deepStrictEqual(fileRequests(), ['assets/js/e.js', 'assets/js/a.js']);
+});
@@ -0,0 +1,73 @@
+// Store em disco do cache: objetos partilhados por conteúdo, quota e LRU
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { sha256, loadMain, getUserData } = require('./helpers/main');
+
+test('entrada removida enquanto outra guarda o mesmo conteúdo: o objeto partilhado não é apagado', async () => {
+  const store = loadMain('cacheStore');
+  const CONTENT = '<h1>Igual</h1>';
+  await store.set('pages/a/index.html', { content: CONTENT });
+
+  const saving = store.set('pages/b/index.html', { content: CONTENT });
+  store.remove('pages/a/index.html');
+  await saving;
+
+  assert.strictEqual((await store.get('pages/b/index.html')).content, CONTENT);
+});
+
+test('quota: conta todos os objetos referenciados e larga os fallbacks antes das entradas (LRU)', async () => {
+  const store = loadMain('cacheStore');
+  const text = () => crypto.randomBytes(2048).toString('hex');
+  const [A, B, C] = ['pages/a/index.html', 'pages/b/index.html', 'pages/c/index.html'];
+  const [a1, a2, b, c] = [text(), text(), text(), text()];
+  const sizeOf = (content) => fs.statSync(path.join(getUserData(), 'frontend-cache', 'objects', `${sha256(content)}.gz`)).size;
+
+  // Release 1 com a versão boa de A; release 2 troca A (a1 fica só como fallback)
+  store.adoptRelease({ version: '1', files: { [A]: sha256(a1) }, sizes: {} });
+  await store.set(A, { content: a1 });
+  store.markKnownGood([A]);
+  await store.putObject(a2);
+  store.stageRelease({ version: '2', files: { [A]: sha256(a2) }, sizes: {} });
+  store.switchRelease('staged');
+  await store.set(B, { content: b });
+  await store.set(C, { content: c });
+  store.touch(B, { lastAccessedAt: 1 });
+  store.touch(A, { lastAccessedAt: 2 });
+  store.touch(C, { lastAccessedAt: 3 });
+
+  const total = [a1, a2, b, c].reduce((sum, content) => sum + sizeOf(content), 0);
+  assert.strictEqual(store.usage().totalSize, total);
+
+  // Acima da quota: primeiro a release anterior e a versão boa antiga, sem tocar nas entradas
+  assert.deepStrictEqual(store.enforceQuota(total - 1), []);
+  assert.strictEqual(store.getRelease('previous'), null);
+  assert.strictEqual(store.getKnownGood(A), null);
+  assert.strictEqual(store.hasObject(sha256(a1)), false);
+  assert.strictEqual(store.usage().totalSize, sizeOf(a2) + sizeOf(b) + sizeOf(c));
+
+  // Ainda acima: entradas usadas há mais tempo primeiro
+  assert.deepStrictEqual(store.enforceQuota(sizeOf(a2) + sizeOf(c)), [B]);
+  assert.deepStrictEqual(store.entries().map(entry => entry.path).sort(), [A, C]);
+});
+
+test('quota: remover uma entrada com versão boa igual à atual liberta o objeto', async () => {
+  const store = loadMain('cacheStore');
+  const text = () => crypto.randomBytes(2048).toString('hex');
+  const [A, B] = ['pages/a/index.html', 'pages/b/index.html'];
+  const [a, b] = [text(), text()];
+  await store.set(A, { content: a });
+  await store.set(B, { content: b });
+  store.markKnownGood([A, B]);
+  store.touch(A, { lastAccessedAt: 1 });
+  store.touch(B, { lastAccessedAt: 2 });
+  const before = store.usage().totalSize;
+
+  assert.deepStrictEqual(store.enforceQuota(before - 1), [A]);
+  assert.strictEqual(store.getKnownGood(A), null);
+  assert.strictEqual(store.hasObject(sha256(a)), false);
+  assert.ok(store.usage().totalSize < before);
+  assert.deepStrictEqual(store.entries().map(entry => entry.path), [B]);
+});
@@ -0,0 +1,92 @@
+// Monitor de ligação: transições online / degradado / offline a partir dos pedidos e das sondas
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { stubs, server, response, loadMain, openWindow } = require('./helpers/main');
+
+/**
+ * Monitor novo (estado online) com uma janela e um listener a registar as transições
+ */
+function monitor() {
+  const connectivity = loadMain('connectivity');
+  const win = openWindow();
+  const changes = [];
+  connectivity.onChange((state, previous) => changes.push(`${previous} -> ${state.status}`));
+  const broadcasts = () => win.events.filter(e => e.channel === 'network:status').map(e => e.payload.status);
+  return { connectivity, changes, broadcasts };
+}
+
+test('falhas de rede seguidas: degradado, depois offline; um pedido com resposta volta a online', () => {
+  const { connectivity, changes, broadcasts } = monitor();
+
+  connectivity.recordRequest(false);
+  assert.strictEqual(connectivity.getState().reason, 'Pedidos a falhar');
+  connectivity.recordRequest(false);
+  assert.strictEqual(connectivity.getState().reason, 'Servidor inacessível');
+  // Mais falhas não voltam a notificar
+  connectivity.recordRequest(false);
+  connectivity.recordRequest(true, { latency: 50, status: 200 });
+
+  assert.deepStrictEqual(changes, ['online -> degraded', 'degraded -> offline', 'offline -> online']);
+  assert.deepStrictEqual(broadcasts(), ['degraded', 'offline', 'online']);
+});
+
+test('erros 5xx degradam a ligação até uma resposta sem erro', () => {
+  const { connectivity, changes } = monitor();
+
+  connectivity.recordRequest(true, { latency: 50, status: 503 });
+  assert.strictEqual(connectivity.getState().reason, 'Erros no servidor');
+  // 4xx é uma resposta normal do servidor
+  connectivity.recordRequest(true, { latency: 50, status: 404 });
+  assert.deepStrictEqual(changes, ['online -> degraded', 'degraded -> online']);
+});
+
+test('latência: degradado pela mediana das últimas amostras, não por um pedido lento isolado', () => {
+  const { connectivity, changes } = monitor();
+
+  [100, 100, 3000, 100].forEach(latency => connectivity.recordRequest(true, { latency, status: 200 }));
+  assert.deepStrictEqual(changes, []);
+
+  [3000, 3000].forEach(latency => connectivity.recordRequest(true, { latency, status: 200 }));
+  const { status, reason, latency } = connectivity.getState();
+  assert.deepStrictEqual({ status, reason, latency }, { status: 'degraded', reason: 'Ligação lenta', latency: 3000 });
+
+  // Só as últimas 5 amostras contam
+  [100, 100, 100].forEach(latency => connectivity.recordRequest(true, { latency, status: 200 }));
+  assert.deepStrictEqual(changes, ['online -> degraded', 'degraded -> online']);
+});
+
+test('sem rede no sistema: offline sem sondar o servidor; com rede a sonda decide', async (t) => {
+  const { connectivity, changes } = monitor();
+  const isOnline = t.mock.method(stubs.electron.net, 'isOnline', () => false);
+
+  assert.strictEqual((await connectivity.checkNow()).reason, 'Sem rede');
+  assert.deepStrictEqual(server.requests, []);
+
+  isOnline.mock.mockImplementation(() => true);
+  server.handle = (url, options) => {
+    assert.strictEqual(options.method, 'HEAD');
+    if (url.endsWith('/api/list')) return response(200, '');
+  };
+  // Sondas seguidas dentro de minCheckInterval reutilizam o último resultado
+  const realNow = Date.now;
+  t.mock.method(Date, 'now', () => realNow() + 5000);
+  const [first, second] = await Promise.all([connectivity.checkNow(), connectivity.checkNow()]);
+  assert.strictEqual(first.status, 'online');
+  assert.strictEqual(second.status, 'online');
+  assert.strictEqual((await connectivity.checkNow()).status, 'online');
+  assert.strictEqual(server.requests.length, 1);
+  assert.deepStrictEqual(changes, ['online -> offline', 'offline -> online']);
+});
+
+test('sonda sem resposta conta como falha de rede', async (t) => {
+  const { connectivity } = monitor();
+  server.handle = () => { throw new TypeError('fetch failed'); };
+  const realNow = Date.now;
+  let now = realNow();
+  t.mock.method(Date, 'now', () => now);
+
+  assert.strictEqual((await connectivity.checkNow()).status, 'degraded');
+  now += 5000;
+  assert.strictEqual((await connectivity.checkNow()).status, 'offline');
+  assert.strictEqual(server.requests.length, 2);
+});
@@ -0,0 +1,139 @@
+// Updates diferenciais: só os blocos alterados são descarregados; qualquer falha = download completo
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { server, loadMain, getUserData } = require('./helpers/main');
+const { installerAsset, downloadPath, announceUpdate, downloadUpdate } = require('./helpers/updates');
+
+const BLOCK = 1024;
+const oldBlocks = Array.from({ length: 8 }, () => crypto.randomBytes(BLOCK));
+const changed = crypto.randomBytes(BLOCK);
+// Versão nova: bloco 2 alterado e os blocos 5 e 2 antigos trocados de sítio
+const newBlocks = [oldBlocks[0], oldBlocks[1], changed, oldBlocks[3], oldBlocks[4], oldBlocks[2], oldBlocks[6], oldBlocks[7]];
+const OLD = Buffer.concat(oldBlocks);
+const NEW = Buffer.concat(newBlocks);
+
+// Blockmap do electron-builder: JSON em gzip com checksum e tamanho de cada bloco
+function blockmap(blocks) {
+  return zlib.gzipSync(JSON.stringify({
+    version: '2',
+    files: [{
+      name: 'file',
+      offset: 0,
+      checksums: blocks.map(block => crypto.createHash('sha256').update(block).digest('base64')),
+      sizes: blocks.map(block => block.length)
+    }]
+  }));
+}
+
+/**
+ * Servidor de instaladores: blockmap e ficheiro novos, com ou sem suporte para Range.
+ * Devolve a lista de intervalos pedidos (null = pedido sem Range).
+ */
+function serveRelease(asset, { newBlockmap = blockmap(newBlocks), rangeSupport = true } = {}) {
+  const ranges = [];
+  server.handle = (url, options = {}) => {
+    if (url === `${asset.downloadUrl}.blockmap`) return new Response(newBlockmap);
+    if (url !== asset.downloadUrl) return undefined;
+    const range = options.headers && options.headers.Range;
+    ranges.push(range || null);
+    const match = range && range.match(/^bytes=(\d+)-(\d*)$/);
+    if (!rangeSupport || !match) return new Response(NEW, { headers: { 'content-length': String(NEW.length) } });
+    const start = Number(match[1]);
+    const end = match[2] ? Number(match[2]) : NEW.length - 1;
+    return new Response(NEW.subarray(start, end + 1), {
+      status: 206,
+      headers: { 'content-range': `bytes ${start}-${end}/${NEW.length}` }
+    });
+  };
+  return ranges;
+}
+
+// Instalador da versão atual e o seu blockmap guardados em disco
+function installedBase() {
+  const base = { path: path.join(getUserData(), 'BCI-0.0.0.installer'), blockmap: path.join(getUserData(), 'BCI-0.0.0.installer.blockmap') };
+  fs.writeFileSync(base.path, OLD);
+  fs.writeFileSync(base.blockmap, blockmap(oldBlocks));
+  return base;
+}
+
+function differential(asset, base) {
+  const destPath = path.join(getUserData(), 'diff.part');
+  const blockmapAsset = { name: `${asset.name}.blockmap`, downloadUrl: `${asset.downloadUrl}.blockmap` };
+  return { destPath, run: () => loadMain('differentialDownload').downloadDifferential({ asset, blockmapAsset, base, destPath }) };
+}
+
+test('blocos iguais (também mudados de sítio) vêm do instalador atual, só os alterados com Range', async () => {
+  const asset = installerAsset('1.1.0', NEW);
+  const ranges = serveRelease(asset);
+  const { destPath, run } = differential(asset, installedBase());
+
+  const result = await run();
+  assert.deepStrictEqual(ranges, [`bytes=${2 * BLOCK}-${3 * BLOCK - 1}`]);
+  assert.strictEqual(result.downloaded, BLOCK);
+  assert.strictEqual(result.total, NEW.length);
+  assert.ok(fs.readFileSync(destPath).equals(NEW));
+});
+
+test('blockmap corrompido: falha sem pedir intervalos', async () => {
+  const asset = installerAsset('1.1.0', NEW);
+  const broken = [
+    Buffer.from('não é gzip'),
+    zlib.gzipSync('{ não é json'),
+    zlib.gzipSync(JSON.stringify({ files: [] })),
+    zlib.gzipSync(JSON.stringify({ files: [{ offset: 0, checksums: ['a', 'b'], sizes: [BLOCK] }] }))
+  ];
+  for (const newBlockmap of broken) {
+    const ranges = serveRelease(asset, { newBlockmap });
+    await assert.rejects(differential(asset, installedBase()).run());
+    assert.deepStrictEqual(ranges, []);
+  }
+});
+
+test('poupança insuficiente ou servidor sem Range: DIFFERENTIAL_FAILED', async () => {
+  const asset = installerAsset('1.1.0', NEW);
+  serveRelease(asset, { newBlockmap: blockmap(newBlocks.map(() => crypto.randomBytes(BLOCK))) });
+  await assert.rejects(differential(asset, installedBase()).run(), { code: 'DIFFERENTIAL_FAILED', message: /Poupança insuficiente/ });
+
+  serveRelease(asset, { rangeSupport: false });
+  await assert.rejects(differential(asset, installedBase()).run(), { code: 'DIFFERENTIAL_FAILED', message: /Range não suportado/ });
+});
+
+test('diferencial falhado: o updater descarrega o instalador completo e verifica-o', async () => {
+  const asset = installerAsset('1.1.0', NEW);
+  const ranges = serveRelease(asset, { rangeSupport: false });
+  const blockmapAsset = { name: `${asset.name}.blockmap`, downloadUrl: `${asset.downloadUrl}.blockmap` };
+  const { win } = await announceUpdate('1.1.0', [asset, blockmapAsset]);
+  const base = installedBase();
+  require('../js/storage').setItem('installed-installer', { version: '0.0.0', type: asset.name.split('.').pop(), ...base });
+
+  const { channel } = await downloadUpdate(win);
+  assert.strictEqual(channel, 'update-downloaded');
+  assert.deepStrictEqual(ranges, [`bytes=${2 * BLOCK}-${3 * BLOCK - 1}`, null]);
+  assert.ok(fs.readFileSync(downloadPath(asset)).equals(NEW));
+  assert.ok(!fs.existsSync(`${downloadPath(asset)}.diff.part`));
+});
+
+test('destino impossível de abrir: o instalador atual não fica aberto', async (t) => {
+  const asset = installerAsset('1.1.0', NEW);
+  serveRelease(asset);
+  const base = installedBase();
+  const open = fs.promises.open;
+  const handles = [];
+  t.mock.method(fs.promises, 'open', async (...args) => {
+    const handle = await open(...args);
+    const close = handle.close.bind(handle);
+    const record = { path: args[0], closed: false };
+    handle.close = () => { record.closed = true; return close(); };
+    handles.push(record);
+    return handle;
+  });
+
+  const destPath = path.join(getUserData(), 'sem-pasta', 'diff.part');
+  const blockmapAsset = { name: `${asset.name}.blockmap`, downloadUrl: `${asset.downloadUrl}.blockmap` };
+  await assert.rejects(loadMain('differentialDownload').downloadDifferential({ asset, blockmapAsset, base, destPath }), { code: 'ENOENT' });
+  assert.deepStrictEqual(handles, [{ path: base.path, closed: true }]);
+});
@@ -0,0 +1,117 @@
+// Download do instalador retomável: Range/If-Range a partir da parte em disco
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { server, response } = require('./helpers/main');
+const { installerAsset, downloadPath, announceUpdate, downloadUpdate } = require('./helpers/updates');
+
+const NEW = crypto.randomBytes(64 * 1024);
+const HALF = NEW.length / 2;
+const ETAG = '"v2"';
+
+/**
+ * Servidor do instalador: `answer(range, ifRange, attempt)` devolve a Response.
+ * Devolve os headers de cada pedido ao instalador.
+ */
+function serveInstaller(asset, answer) {
+  const requests = [];
+  server.handle = (url, options = {}) => {
+    if (url !== asset.downloadUrl) return undefined;
+    const headers = options.headers || {};
+    requests.push({ range: headers.Range || null, ifRange: headers['If-Range'] || null });
+    return answer(headers.Range || null, headers['If-Range'] || null, requests.length);
+  };
+  return requests;
+}
+
+const full = () => new Response(NEW, { headers: { ETag: ETAG, 'Content-Length': String(NEW.length) } });
+const rest = (from) => new Response(NEW.subarray(from), {
+  status: 206,
+  headers: { ETag: ETAG, 'Content-Range': `bytes ${from}-${NEW.length - 1}/${NEW.length}` }
+});
+
+// Parte de um download anterior interrompido, com os validadores da resposta de então
+function leavePartial(asset, content, etag) {
+  const partPath = `${downloadPath(asset)}.part`;
+  fs.mkdirSync(path.dirname(partPath), { recursive: true });
+  fs.writeFileSync(partPath, content);
+  fs.writeFileSync(`${partPath}.json`, JSON.stringify({ url: asset.downloadUrl, etag, lastModified: null, total: NEW.length }));
+}
+
+async function assertDownloaded(win, asset) {
+  const { channel, payload } = await downloadUpdate(win);
+  assert.strictEqual(channel, 'update-downloaded', payload && payload.message);
+  assert.ok(fs.readFileSync(downloadPath(asset)).equals(NEW));
+  assert.ok(!fs.existsSync(`${downloadPath(asset)}.part`));
+  assert.ok(!fs.existsSync(`${downloadPath(asset)}.part.json`));
+}
+
+test('parte em disco: pede só o resto com Range e If-Range e junta ao que já tinha', async () => {
+  const asset = installerAsset('1.1.0', NEW);
+  const requests = serveInstaller(asset, (range) => range ? rest(Number(range.match(/\d+/)[0])) : full());
+  const { win } = await announceUpdate('1.1.0', [asset]);
+  leavePartial(asset, NEW.subarray(0, HALF), ETAG);
+
+  await assertDownloaded(win, asset);
+  assert.deepStrictEqual(requests, [{ range: `bytes=${HALF}-`, ifRange: ETAG }]);
+});
+
+test('200 a um pedido com Range (ficheiro mudou no servidor): o download recomeça do zero', async () => {
+  const asset = installerAsset('1.1.0', NEW);
+  // If-Range com um ETag antigo: o servidor ignora o Range e manda o ficheiro inteiro
+  const requests = serveInstaller(asset, () => full());
+  const { win } = await announceUpdate('1.1.0', [asset]);
+  leavePartial(asset, crypto.randomBytes(HALF), '"v1"');
+
+  await assertDownloaded(win, asset);
+  assert.deepStrictEqual(requests, [{ range: `bytes=${HALF}-`, ifRange: '"v1"' }]);
+});
+
+test('ligação cai a meio: a tentativa seguinte retoma a partir do que foi escrito', async () => {
+  const asset = installerAsset('1.1.0', NEW);
+  const requests = serveInstaller(asset, (range, ifRange, attempt) => {
+    if (attempt > 1) return rest(Number(range.match(/\d+/)[0]));
+    // Primeira metade entregue, depois o corpo falha
+    const body = new ReadableStream({
+      start(controller) { controller.enqueue(NEW.subarray(0, HALF)); },
+      pull(controller) { controller.error(new TypeError('terminated')); }
+    });
+    return new Response(body, { headers: { ETag: ETAG, 'Content-Length': String(NEW.length) } });
+  });
+  const { win } = await announceUpdate('1.1.0', [asset]);
+
+  await assertDownloaded(win, asset);
+  assert.deepStrictEqual(requests, [
+    { range: null, ifRange: null },
+    { range: `bytes=${HALF}-`, ifRange: ETAG }
+  ]);
+});
+
+test('nova verificação durante o download: o instalador descarregado mantém a versão pedida', async () => {
+  const asset = installerAsset('1.1.0', NEW);
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  serveInstaller(asset, async () => {
+    await held;
+    return full();
+  });
+  const { updater, win } = await announceUpdate('1.1.0', [asset]);
+  const done = downloadUpdate(win);
+
+  // Troca de canal a meio: o servidor já anuncia outra versão
+  const serveInstallerOrCheck = server.handle;
+  server.handle = (url, options) => url.includes('/check-update')
+    ? response(200, { success: true, latestVersion: '1.2.0', assets: [installerAsset('1.2.0', NEW)] })
+    : serveInstallerOrCheck(url, options);
+  const announced = win.nextEvent('update-available');
+  updater.setUpdateChannel('stable');
+  assert.strictEqual((await announced).payload.version, '1.2.0');
+
+  release();
+  const { channel, payload } = await done;
+  assert.strictEqual(channel, 'update-downloaded');
+  assert.strictEqual(payload.version, '1.1.0');
+  assert.ok(fs.readFileSync(downloadPath(asset)).equals(NEW));
+});
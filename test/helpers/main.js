@@ -0,0 +1,187 @@
+// Ambiente partilhado pelos testes do processo principal: stubs do Electron, servidor falso
+// (fetch global), manifesto assinado com uma chave de teste e userData temporário por teste
+const { beforeEach, afterEach, after } = require('node:test');
+const Module = require('module');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+process.env.MANIFEST_PUBLIC_KEY = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+process.env.MANIFEST_KEY_ID = 'test';
+process.env.ENCRYPTION_KEY = 'test-encryption-key-0123456789';
+
+// Electron e dependências nativas substituídas por stubs mínimos. Os handlers de IPC ficam
+// em `ipcHandlers` e as janelas abertas com openWindow() recebem os eventos do main.
+let userData = null;
+const ipcHandlers = new Map();
+const windows = [];
+const stubs = {
+  electron: {
+    app: { isPackaged: false, getPath: () => userData, getVersion: () => '0.0.0', on() {} },
+    net: { isOnline: () => true },
+    BrowserWindow: { getAllWindows: () => windows },
+    dialog: { showMessageBox: async () => ({ response: 0 }), showErrorBox() {} },
+    ipcMain: {
+      handle(channel, handler) { ipcHandlers.set(channel, handler); },
+      on(channel, handler) { ipcHandlers.set(channel, handler); },
+      once() {}
+    }
+  },
+  dotenv: { config() {} },
+  'electron-log': { info() {}, warn() {}, error() {}, transports: { file: {} } },
+  'electron-updater': { autoUpdater: { currentVersion: null } }
+};
+const originalLoad = Module._load;
+Module._load = function (request, ...args) {
+  return Object.prototype.hasOwnProperty.call(stubs, request) ? stubs[request] : originalLoad.call(this, request, ...args);
+};
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Mesmo formato canónico que o servidor assina (ver canonicalJSON em cache.js)
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+const sign = (data) => crypto.sign(null, Buffer.from(canonicalJSON(data)), privateKey).toString('base64');
+const signed = (data) => ({ success: true, data, signature: sign(data), keyId: 'test' });
+
+function response(status, body, headers = {}) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)]));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    headers: { get: (name) => lower[name.toLowerCase()] ?? null },
+    text: async () => text,
+    json: async () => JSON.parse(text)
+  };
+}
+
+// Servidor falso: /api/hashes devolve `manifest`; os ficheiros vêm de `files` (null = erro 500,
+// função = resposta própria) ou, fora dele, são sempre `fallback`. Sem endpoint de bundles.
+// `handle(url, options)` responde primeiro a tudo o que quiser (devolve undefined para seguir).
+const server = { manifest: null, files: {}, fallback: '', handle: null, requests: [] };
+global.fetch = (url, options = {}) => {
+  const { signal } = options;
+  if (!signal) return respond(String(url), options);
+  // Como o fetch real: um signal abortado rejeita logo, mesmo com a resposta ainda pendente
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    respond(String(url), options)
+      .finally(() => signal.removeEventListener('abort', onAbort))
+      .then(resolve, reject);
+  });
+};
+
+async function respond(url, options) {
+  server.requests.push(url);
+  if (server.handle) {
+    const handled = await server.handle(url, options);
+    if (handled) return handled;
+  }
+  if (url.includes('/api/hashes')) return response(200, server.manifest);
+  if (url.includes('/api/bundle')) return response(404, '');
+  const filePath = new URL(url).pathname.replace(/^.*?\/files\//, '');
+  if (!(filePath in server.files)) return response(200, server.fallback);
+  const file = server.files[filePath];
+  if (file === null) return response(500, '');
+  if (typeof file === 'function') return file(url, options);
+  return response(200, file);
+}
+
+// Módulos do main carregados de novo (estado em memória limpo); o store de cada carga é fechado no fim
+const loadedStores = [];
+let cacheStore = null;
+function loadMain(name) {
+  Object.keys(require.cache)
+    .filter(file => file.startsWith(path.join(ROOT, 'src')) || file.startsWith(path.join(ROOT, 'js')))
+    .forEach(file => delete require.cache[file]);
+  cacheStore = require(path.join(ROOT, 'src/main/cacheStore'));
+  loadedStores.push(cacheStore);
+  return require(path.join(ROOT, 'src/main', name));
+}
+
+const loadCache = () => loadMain('cache');
+
+/**
+ * Janela falsa: guarda os eventos enviados pelo main; nextEvent(canais) espera pelo próximo.
+ * `url` é a página mostrada (loadFile muda-a)
+ */
+function openWindow(url = '') {
+  const events = [];
+  const waiting = [];
+  const win = {
+    events,
+    url,
+    isDestroyed: () => false,
+    loadFile(file) { win.url = `file://${file}`; },
+    webContents: {
+      getURL: () => win.url,
+      send(channel, payload) {
+        events.push({ channel, payload });
+        waiting.filter(w => w.channels.includes(channel)).forEach(w => {
+          waiting.splice(waiting.indexOf(w), 1);
+          w.resolve({ channel, payload });
+        });
+      },
+      reload() {}
+    },
+    nextEvent: (...channels) => new Promise(resolve => waiting.push({ channels, resolve }))
+  };
+  windows.push(win);
+  return win;
+}
+const getCacheStore = () => cacheStore;
+const getUserData = () => userData;
+
+// Índice guardado em disco (o save com debounce é forçado antes de ler)
+function savedIndex() {
+  cacheStore.flushSync();
+  const environment = require(path.join(ROOT, 'src/main/environment'));
+  return JSON.parse(fs.readFileSync(path.join(userData, environment.cacheDir(), 'index.json'), 'utf-8'));
+}
+
+const userDataDirs = [];
+beforeEach(() => {
+  userData = fs.mkdtempSync(path.join(os.tmpdir(), 'bci-test-'));
+  userDataDirs.push(userData);
+  Object.assign(server, { manifest: null, files: {}, fallback: '', handle: null, requests: [] });
+  windows.length = 0;
+  ipcHandlers.clear();
+});
+// O save do índice pendente corre antes de os diretórios temporários serem apagados
+// (também o de revalidações em background que acabaram depois do seu teste)
+afterEach(() => {
+  if (cacheStore) cacheStore.unload();
+  cacheStore = null;
+});
+after(() => {
+  loadedStores.forEach(store => store.unload());
+  userDataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+module.exports = {
+  stubs,
+  ipcHandlers,
+  openWindow,
+  server,
+  response,
+  sha256,
+  sign,
+  signed,
+  loadMain,
+  loadCache,
+  getCacheStore,
+  getUserData,
+  savedIndex
+};
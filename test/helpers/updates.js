@@ -0,0 +1,61 @@
+// Updater a correr contra o servidor falso: anuncia uma versão e descarrega-a pelo IPC
+const crypto = require('crypto');
+const path = require('path');
+const { stubs, server, response, loadMain, openWindow, ipcHandlers, getUserData } = require('./main');
+
+// Instalador que o updater escolhe nesta plataforma (Linux sem AppImage = .deb)
+const INSTALLER_EXT = { win32: 'exe', darwin: 'dmg' }[process.platform] || 'deb';
+
+function installerAsset(version, content, fields = {}) {
+  const name = `BCI-${version}.${INSTALLER_EXT}`;
+  return {
+    name,
+    downloadUrl: `https://downloads.test/${name}`,
+    sha512: crypto.createHash('sha512').update(content).digest('base64'),
+    size: content.length,
+    ...fields
+  };
+}
+
+// Pasta onde o updater descarrega (app.getPath('temp') é o userData do teste)
+const downloadPath = (asset) => path.join(getUserData(), 'bci-update', asset.name);
+
+/**
+ * Carrega o updater (versão instalada 0.0.0) e espera que anuncie `version` com estes assets.
+ * `release` acrescenta campos à resposta do /check-update (ex: minimumVersion).
+ * Os pedidos que não são /check-update seguem para o server.handle já definido.
+ */
+async function announceUpdate(version, assets, release = {}) {
+  delete process.env.APPIMAGE;
+  stubs['electron-updater'].autoUpdater.currentVersion = { version: '0.0.0', toString: () => '0.0.0' };
+  const updater = loadMain('updater');
+  const win = openWindow();
+  updater.setupUpdateHandlers();
+
+  const serveAssets = server.handle;
+  server.handle = (url, options) => url.includes('/check-update')
+    ? response(200, { success: true, latestVersion: version, assets, ...release })
+    : serveAssets && serveAssets(url, options);
+
+  const announced = win.nextEvent('update-available');
+  // Mudar de canal verifica logo (sem esperar pelo primeiro check agendado)
+  updater.setUpdateChannel('beta');
+  await announced;
+  return { updater, win };
+}
+
+/**
+ * Pede o download pelo IPC e devolve o evento final ('update-downloaded' ou 'update-error')
+ */
+function downloadUpdate(win) {
+  const done = win.nextEvent('update-downloaded', 'update-error');
+  ipcHandlers.get('download-update')();
+  return done;
+}
+
+module.exports = {
+  installerAsset,
+  downloadPath,
+  announceUpdate,
+  downloadUpdate
+};
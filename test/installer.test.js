@@ -0,0 +1,58 @@
+// Escolha do instalador da release por tipo de pacote e arquitetura
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadMain } = require('./helpers/main');
+
+// Artefactos de uma release do electron-builder, com blockmaps, assinaturas e metadados ao lado
+const ASSETS = [
+  'latest.yml',
+  'BCI-Setup-1.1.0.exe', 'BCI-Setup-1.1.0.exe.blockmap', 'BCI-Setup-1.1.0.exe.sig',
+  'BCI-Setup-1.1.0-ia32.exe', 'BCI-Setup-1.1.0-ia32.exe.blockmap',
+  'BCI-1.1.0-x86_64.AppImage', 'BCI-1.1.0-x86_64.AppImage.blockmap',
+  'BCI-1.1.0-arm64.AppImage', 'BCI-1.1.0-arm64.AppImage.sig',
+  'bci_1.1.0_amd64.deb.blockmap', 'bci_1.1.0_amd64.deb', 'bci_1.1.0_amd64.deb.sig',
+  'bci_1.1.0_arm64.deb',
+  'BCI-1.1.0.dmg.blockmap', 'BCI-1.1.0.dmg', 'BCI-1.1.0-arm64.dmg', 'BCI-1.1.0-arm64.dmg.sig'
+].map(name => ({ name, downloadUrl: `https://downloads.test/${name}` }));
+
+const CASES = [
+  // [tipo, arquitetura, instalador esperado]
+  ['nsis', 'x64', 'BCI-Setup-1.1.0.exe'],
+  ['nsis', 'ia32', 'BCI-Setup-1.1.0-ia32.exe'],
+  ['nsis', 'arm64', 'BCI-Setup-1.1.0.exe'],
+  ['appimage', 'x64', 'BCI-1.1.0-x86_64.AppImage'],
+  ['appimage', 'arm64', 'BCI-1.1.0-arm64.AppImage'],
+  ['appimage', 'armv7l', null],
+  ['deb', 'x64', 'bci_1.1.0_amd64.deb'],
+  ['deb', 'arm64', 'bci_1.1.0_arm64.deb'],
+  ['deb', 'ia32', null],
+  ['dmg', 'x64', 'BCI-1.1.0.dmg'],
+  ['dmg', 'arm64', 'BCI-1.1.0-arm64.dmg'],
+  ['msi', 'x64', null]
+];
+
+test('selectAsset: instalador certo por tipo e arquitetura, nunca o blockmap ou a assinatura', () => {
+  const { selectAsset } = loadMain('installer');
+  for (const [type, arch, expected] of CASES) {
+    const asset = selectAsset(ASSETS, { type, arch });
+    assert.strictEqual(asset && asset.name, expected, `${type}/${arch}`);
+    if (asset) assert.strictEqual(asset.type, type);
+  }
+});
+
+test('selectAsset: sem blockmap nem assinatura ao lado a escolha é a mesma', () => {
+  const { selectAsset } = loadMain('installer');
+  const installersOnly = ASSETS.filter(asset => !/\.(blockmap|sig)$/.test(asset.name));
+  for (const [type, arch, expected] of CASES) {
+    const asset = selectAsset(installersOnly, { type, arch });
+    assert.strictEqual(asset && asset.name, expected, `${type}/${arch}`);
+  }
+});
+
+test('selectAsset: assets inválidos ou sem URL são ignorados', () => {
+  const { selectAsset } = loadMain('installer');
+  assert.strictEqual(selectAsset(null, { type: 'deb', arch: 'x64' }), null);
+  assert.strictEqual(selectAsset([null, { name: 42 }, { name: 'bci_1.1.0_amd64.deb' }], { type: 'deb', arch: 'x64' }), null);
+  // "x86_64" não conta como "x86": o AppImage de 64 bits não é escolhido para ia32
+  assert.strictEqual(selectAsset(ASSETS, { type: 'appimage', arch: 'ia32' }), null);
+});
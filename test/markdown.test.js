@@ -0,0 +1,70 @@
+// Markdown das notas de versão: o HTML gerado a partir do texto do servidor nunca executa nada
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+let renderMarkdown;
+before(async () => {
+  ({ renderMarkdown } = await import('../src/renderer/utils/markdown.js'));
+});
+
+// Todas as tags geradas são do conjunto permitido e fecham pela ordem em que abrem
+function assertWellFormed(html) {
+  const stack = [];
+  for (const [, closing, name] of html.matchAll(/<(\/?)([a-z0-9]+)[^>]*>/g)) {
+    assert.ok(['p', 'br', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'pre', 'code', 'strong', 'em', 'span'].includes(name), `tag inesperada: ${name}`);
+    if (name === 'br') continue;
+    if (closing) assert.strictEqual(stack.pop(), name, `tags cruzadas em ${html}`);
+    else stack.push(name);
+  }
+  assert.deepStrictEqual(stack, []);
+}
+
+test('HTML no texto é escapado, também em títulos, listas e código', () => {
+  const html = renderMarkdown([
+    '# <img src=x onerror=alert(1)>',
+    '<script>alert(1)</script>',
+    '- <iframe src="https://x.pt"></iframe>',
+    '`<svg onload=alert(1)>`',
+    '```',
+    '<script>alert(2)</script>',
+    '```'
+  ].join('\n'));
+  assert.doesNotMatch(html, /<(script|img|iframe|svg)/i);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.match(html, /<pre><code>&lt;script&gt;alert\(2\)&lt;\/script&gt;<\/code><\/pre>/);
+  assertWellFormed(html);
+});
+
+test('links javascript:, data: e relativos ficam só com o texto', () => {
+  for (const url of ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html,alert(1)', '/pages/login']) {
+    const html = renderMarkdown(`[clica](${url})`);
+    assert.strictEqual(html, '<p>clica</p>');
+  }
+});
+
+test('links http(s) não são clicáveis e o URL não sai do atributo title', () => {
+  assert.strictEqual(
+    renderMarkdown('[site](https://bcibizz.pt)'),
+    '<p><span class="md-link" title="https://bcibizz.pt">site</span></p>'
+  );
+  for (const url of ['https://x.pt/"onmouseover="alert(1)', "https://x.pt/'onmouseover='alert(1)"]) {
+    const html = renderMarkdown(`[site](${url})`);
+    assert.doesNotMatch(html, /["']onmouseover/);
+    assert.match(html, /title="https:\/\/x\.pt\/(&quot;|&#039;)onmouseover=/);
+    assertWellFormed(html);
+  }
+  // Aspas no texto do link também são escapadas
+  assert.strictEqual(
+    renderMarkdown('[a" onclick="x](https://x.pt)'),
+    '<p><span class="md-link" title="https://x.pt">a&quot; onclick=&quot;x</span></p>'
+  );
+});
+
+test('ênfase encaixada gera tags bem encaixadas (nunca cruzadas)', () => {
+  assert.strictEqual(renderMarkdown('**negrito *itálico* fim**'), '<p><strong>negrito <em>itálico</em> fim</strong></p>');
+  assert.strictEqual(renderMarkdown('_a **b** c_'), '<p><em>a <strong>b</strong> c</em></p>');
+  assert.strictEqual(renderMarkdown('[**novo**](https://x.pt)'), '<p><span class="md-link" title="https://x.pt"><strong>novo</strong></span></p>');
+  for (const text of ['*a **b* c**', '**a *b**', '_a *b_ c*', '***a***', '**`<b>`**']) {
+    assertWellFormed(renderMarkdown(text));
+  }
+});
@@ -0,0 +1,69 @@
+// Versões semver e canais de atualização: só versões mais recentes do canal escolhido são propostas
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { stubs, server, response, loadMain } = require('./helpers/main');
+
+test('compare: prereleases antes da versão final, identificadores numéricos por valor', () => {
+  const { compare } = loadMain('semver');
+  const ordered = ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0', '1.0.1', '1.1.0', '2.0.0'];
+  for (let i = 0; i < ordered.length - 1; i++) {
+    assert.strictEqual(compare(ordered[i], ordered[i + 1]), -1, `${ordered[i]} < ${ordered[i + 1]}`);
+    assert.strictEqual(compare(ordered[i + 1], ordered[i]), 1, `${ordered[i + 1]} > ${ordered[i]}`);
+  }
+  assert.strictEqual(compare('1.0.0-beta.2', '1.0.0'), -1);
+  assert.strictEqual(compare('v2.1.0', '2.1.0+build5'), 0);
+  assert.strictEqual(compare('2.10.0', '2.9.0'), 1);
+});
+
+test('compare: versões inválidas lançam INVALID_VERSION', () => {
+  const { compare } = loadMain('semver');
+  for (const version of ['', '1.0', '1.0.0.0', 'latest', '1.0.0-']) {
+    assert.throws(() => compare(version, '1.0.0'), { code: 'INVALID_VERSION' }, version);
+  }
+});
+
+/**
+ * Corre uma verificação de updates contra um servidor que anuncia `latestVersion`
+ * (o primeiro check é agendado com atraso: os timers são avançados)
+ */
+async function checkUpdates(t, { current, channel, latestVersion, minimumVersion = null }) {
+  stubs['electron-updater'].autoUpdater.currentVersion = { version: current, toString: () => current };
+  const updater = loadMain('updater');
+  require('../js/storage').setItem('update-channel', channel);
+  server.handle = (url) => url.includes('/check-update')
+    ? response(200, { success: true, latestVersion, minimumVersion, assets: [], description: 'Notas' })
+    : undefined;
+
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  updater.checkForUpdates();
+  t.mock.timers.tick(60 * 1000);
+  t.mock.timers.reset();
+  await new Promise(resolve => setImmediate(resolve));
+  updater.stopUpdateChecks();
+  return updater.getUpdateState().available;
+}
+
+test('canal estável: prereleases nunca são propostas', async (t) => {
+  assert.strictEqual(await checkUpdates(t, { current: '1.0.0', channel: 'stable', latestVersion: '1.1.0-beta.1' }), null);
+  const offered = await checkUpdates(t, { current: '1.0.0', channel: 'stable', latestVersion: 'v1.1.0' });
+  assert.strictEqual(offered.version, '1.1.0');
+  assert.strictEqual(offered.channel, 'stable');
+});
+
+test('canal beta: prereleases mais recentes propostas, nunca versões anteriores', async (t) => {
+  assert.strictEqual((await checkUpdates(t, { current: '1.0.0', channel: 'beta', latestVersion: '1.1.0-beta.1' })).version, '1.1.0-beta.1');
+  assert.strictEqual((await checkUpdates(t, { current: '1.1.0-beta.1', channel: 'beta', latestVersion: '1.1.0-beta.2' })).version, '1.1.0-beta.2');
+  // 1.0.0-beta.5 < 1.0.0: não é atualização
+  assert.strictEqual(await checkUpdates(t, { current: '1.0.0', channel: 'beta', latestVersion: '1.0.0-beta.5' }), null);
+});
+
+test('prerelease instalada: a versão final da mesma versão é proposta no canal estável', async (t) => {
+  const offered = await checkUpdates(t, { current: '1.0.0-beta.2', channel: 'stable', latestVersion: '1.0.0' });
+  assert.strictEqual(offered.version, '1.0.0');
+  assert.strictEqual(offered.mandatory, false);
+});
+
+test('abaixo da versão mínima: a atualização é obrigatória', async (t) => {
+  const offered = await checkUpdates(t, { current: '1.0.0', channel: 'stable', latestVersion: '1.2.0', minimumVersion: '1.1.0' });
+  assert.strictEqual(offered.mandatory, true);
+});
@@ -0,0 +1,108 @@
+// Health check depois de uma atualização: arranques por confirmar, reposição da versão anterior
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { stubs, loadMain, getUserData } = require('./helpers/main');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Instalador da versão anterior guardado em bci-installers
+function previousInstaller(content = crypto.randomBytes(2048)) {
+  const dir = path.join(getUserData(), 'bci-installers');
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, 'BCI-0.9.0.deb');
+  fs.writeFileSync(filePath, content);
+  return {
+    version: '0.9.0',
+    path: filePath,
+    type: 'deb',
+    sha512: crypto.createHash('sha512').update(content).digest('base64'),
+    size: content.length
+  };
+}
+
+/**
+ * Update 0.9.0 -> 0.0.0 (a versão da app nos testes) instalado e por confirmar;
+ * dialog e installer.installUpdate substituídos
+ */
+function pendingUpdate(t, { previous = previousInstaller(), answer = 0, toVersion = '0.0.0' } = {}) {
+  const health = loadMain('updateHealth');
+  const storage = require('../js/storage');
+  storage.setItem('pending-update', { fromVersion: '0.9.0', toVersion, previous, launches: 0, createdAt: Date.now() });
+  const dialog = t.mock.method(stubs.electron.dialog, 'showMessageBox', async () => ({ response: answer }));
+  const errorBox = t.mock.method(stubs.electron.dialog, 'showErrorBox', () => {});
+  const install = t.mock.method(require('../src/main/installer'), 'installUpdate', async () => ({ installed: true }));
+  return { health, storage, dialog, errorBox, install };
+}
+
+test('arranques por confirmar: contados, a reposição só é proposta depois do terceiro', async (t) => {
+  const { health, storage, dialog, install } = pendingUpdate(t, { answer: 1 });
+
+  for (let launch = 1; launch <= 3; launch++) {
+    assert.strictEqual(await health.checkPendingUpdate(), false);
+    assert.strictEqual(storage.getItem('pending-update').launches, launch);
+  }
+  assert.strictEqual(dialog.mock.callCount(), 0);
+
+  // "Continuar com esta versão": o contador recomeça e volta a perguntar mais tarde
+  assert.strictEqual(await health.checkPendingUpdate(), false);
+  assert.strictEqual(dialog.mock.callCount(), 1);
+  assert.deepStrictEqual(dialog.mock.calls[0].arguments[0].buttons, ['Repor versão anterior', 'Continuar com esta versão']);
+  assert.strictEqual(storage.getItem('pending-update').launches, 0);
+  assert.strictEqual(install.mock.callCount(), 0);
+});
+
+test('repor: instala a versão anterior e não volta a propor a versão falhada durante 7 dias', async (t) => {
+  const previous = previousInstaller();
+  const { health, storage, install } = pendingUpdate(t, { previous });
+  for (let launch = 1; launch <= 3; launch++) await health.checkPendingUpdate();
+
+  assert.strictEqual(await health.checkPendingUpdate(), true);
+  assert.deepStrictEqual(install.mock.calls[0].arguments, [previous.path, 'deb']);
+  assert.strictEqual(storage.getItem('pending-update'), null);
+  assert.deepStrictEqual(storage.getItem('installed-installer'), previous);
+  assert.strictEqual(health.isRolledBackVersion('0.0.0'), true);
+
+  const realNow = Date.now;
+  t.mock.method(Date, 'now', () => realNow() + 7 * DAY + 1000);
+  assert.strictEqual(health.isRolledBackVersion('0.0.0'), false);
+});
+
+test('instalador anterior alterado ou inexistente: nada é instalado', async (t) => {
+  const previous = previousInstaller();
+  fs.writeFileSync(previous.path, 'alterado');
+  const { health, storage, errorBox, install } = pendingUpdate(t, { previous });
+  for (let launch = 1; launch <= 4; launch++) await health.checkPendingUpdate();
+
+  assert.strictEqual(install.mock.callCount(), 0);
+  assert.match(errorBox.mock.calls[0].arguments[1], /Não foi possível repor/);
+  assert.strictEqual(health.isRolledBackVersion('0.0.0'), false);
+  assert.ok(storage.getItem('pending-update'));
+
+  // Sem cópia para repor: só o aviso, e o contador recomeça
+  const missing = pendingUpdate(t, { previous: null });
+  for (let launch = 1; launch <= 4; launch++) await missing.health.checkPendingUpdate();
+  assert.match(missing.dialog.mock.calls[0].arguments[0].detail, /Não existe uma cópia/);
+  assert.strictEqual(missing.storage.getItem('pending-update').launches, 0);
+  assert.strictEqual(missing.install.mock.callCount(), 0);
+});
+
+test('marcador removido: no primeiro arranque bom ou se a versão nova não chegou a ser instalada', async (t) => {
+  const { health, storage } = pendingUpdate(t);
+  const stale = path.join(getUserData(), 'bci-installers', 'BCI-0.8.0.deb');
+  fs.writeFileSync(stale, 'antigo');
+  storage.setItem('installed-installer', { version: '0.0.0', path: path.join(getUserData(), 'bci-installers', 'BCI-0.0.0.deb') });
+
+  health.confirmBoot();
+  assert.strictEqual(storage.getItem('pending-update'), null);
+  // Ficam só o instalador atual e o anterior
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepStrictEqual(fs.readdirSync(path.join(getUserData(), 'bci-installers')), ['BCI-0.9.0.deb']);
+
+  const notInstalled = pendingUpdate(t, { toVersion: '1.0.0' });
+  assert.strictEqual(await notInstalled.health.checkPendingUpdate(), false);
+  assert.strictEqual(notInstalled.storage.getItem('pending-update'), null);
+  assert.strictEqual(notInstalled.dialog.mock.callCount(), 0);
+});
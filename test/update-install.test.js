@@ -0,0 +1,125 @@
+// Instalação adiada (ao sair / hora marcada), "lembrar mais tarde" e atualizações obrigatórias
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+const { stubs, server, loadMain, openWindow, getUserData } = require('./helpers/main');
+const { installerAsset, announceUpdate, downloadUpdate } = require('./helpers/updates');
+
+const NEW = crypto.randomBytes(4096);
+const HOUR = 60 * 60 * 1000;
+
+function serveInstaller(asset) {
+  server.handle = (url) => url === asset.downloadUrl ? new Response(NEW) : undefined;
+}
+
+/**
+ * installer.installUpdate substituído: `installed` resolve com os argumentos da instalação
+ */
+function mockInstall(t) {
+  const installer = require('../src/main/installer');
+  let resolve;
+  const installed = new Promise(r => { resolve = r; });
+  const install = t.mock.method(installer, 'installUpdate', async (...args) => {
+    resolve(args);
+    return { installed: true };
+  });
+  return { install, installed };
+}
+
+// Versão 1.1.0 anunciada e já descarregada
+async function downloaded(t) {
+  const asset = installerAsset('1.1.0', NEW);
+  serveInstaller(asset);
+  const { updater, win } = await announceUpdate('1.1.0', [asset]);
+  t.after(() => updater.stopUpdateChecks());
+  assert.strictEqual((await downloadUpdate(win)).channel, 'update-downloaded');
+  return { updater, win, asset, ...mockInstall(t) };
+}
+
+test('instalar ao sair: só com a saída agendada, sem reiniciar a app e uma única vez', async (t) => {
+  const { updater, asset, install, installed } = await downloaded(t);
+  assert.strictEqual(updater.installOnQuit(), false);
+
+  assert.deepStrictEqual(updater.scheduleInstall({ mode: 'quit' }), { version: '1.1.0', mode: 'quit', at: null });
+  assert.deepStrictEqual(updater.getUpdateState().downloaded, { version: '1.1.0', schedule: { version: '1.1.0', mode: 'quit', at: null } });
+  assert.strictEqual(updater.installOnQuit(), true);
+  assert.strictEqual(updater.installOnQuit(), false);
+
+  // Corre a partir da cópia guardada para a reposição (bci-installers)
+  const [runPath, type, options] = await installed;
+  assert.strictEqual(runPath, path.join(getUserData(), 'bci-installers', asset.name));
+  assert.strictEqual(type, require('../src/main/installer').detectPackageType());
+  assert.deepStrictEqual(options, { relaunch: false });
+  assert.strictEqual(install.mock.callCount(), 1);
+  assert.strictEqual(require('../js/storage').getItem('update-install-schedule'), null);
+});
+
+test('hora marcada: instala a essa hora; horas no passado são recusadas', async (t) => {
+  const { updater, installed } = await downloaded(t);
+  assert.throws(() => updater.scheduleInstall({ mode: 'time', at: Date.now() - 1000 }), /tem de ser no futuro/);
+  assert.throws(() => updater.scheduleInstall({ mode: 'now' }), /Modo de instalação desconhecido/);
+
+  updater.scheduleInstall({ mode: 'time', at: Date.now() + 50 });
+  const [, , options] = await installed;
+  assert.deepStrictEqual(options, { relaunch: true });
+});
+
+test('hora marcada passada com a app fechada: instala na saída seguinte', async (t) => {
+  const { updater } = await downloaded(t);
+  const at = Date.now() + HOUR;
+  updater.scheduleInstall({ mode: 'time', at });
+  updater.stopUpdateChecks();
+
+  // Próximo arranque, duas horas depois
+  const realNow = Date.now;
+  t.mock.method(Date, 'now', () => realNow() + 2 * HOUR);
+  const relaunched = loadMain('updater');
+  const { installed } = mockInstall(t);
+  relaunched.checkForUpdates();
+  relaunched.stopUpdateChecks();
+
+  assert.deepStrictEqual(require('../js/storage').getItem('update-install-schedule'), { version: '1.1.0', mode: 'quit', at });
+  assert.strictEqual(relaunched.installOnQuit(), true);
+  assert.deepStrictEqual((await installed)[2], { relaunch: false });
+});
+
+test('lembrar mais tarde: o aviso desaparece até ao fim do prazo', async (t) => {
+  const asset = installerAsset('1.1.0', NEW);
+  const { updater } = await announceUpdate('1.1.0', [asset]);
+  t.after(() => updater.stopUpdateChecks());
+
+  const until = updater.remindLater(2);
+  assert.ok(until >= Date.now() + 2 * HOUR - 1000);
+  assert.strictEqual(updater.getUpdateState().available, null);
+
+  t.mock.method(Date, 'now', () => until + 1);
+  assert.strictEqual(updater.getUpdateState().available.version, '1.1.0');
+});
+
+test('atualização obrigatória: bloqueia, não pode ser adiada e volta a bloquear no arranque seguinte', async (t) => {
+  const asset = installerAsset('1.1.0', NEW);
+  const page = openWindow(`file://${path.join(__dirname, '..', 'public', 'cache-manager.html')}`);
+  const shell = openWindow(`file://${path.join(__dirname, '..', 'public', 'index.html')}`);
+  const { updater } = await announceUpdate('1.1.0', [asset], { minimumVersion: '1.0.0' });
+  t.after(() => updater.stopUpdateChecks());
+
+  assert.strictEqual(updater.isUpdateBlocking(), true);
+  assert.throws(() => updater.remindLater(2), /obrigatória/);
+  // Janelas fora da shell (gestor de cache) voltam ao index.html, onde fica o bloqueio
+  assert.strictEqual(page.url, `file://${path.join(__dirname, '..', 'public', 'index.html')}`);
+  assert.strictEqual(shell.url, `file://${path.join(__dirname, '..', 'public', 'index.html')}`);
+
+  // Arranque seguinte: bloqueado antes da primeira verificação
+  const relaunched = loadMain('updater');
+  relaunched.setupUpdateHandlers();
+  assert.strictEqual(relaunched.isUpdateBlocking(), true);
+  assert.strictEqual(relaunched.getUpdateState().available.version, '1.1.0');
+
+  // Já com a versão mínima instalada o bloqueio guardado é descartado
+  stubs['electron-updater'].autoUpdater.currentVersion = { version: '1.0.0', toString: () => '1.0.0' };
+  const updated = loadMain('updater');
+  updated.setupUpdateHandlers();
+  assert.strictEqual(updated.isUpdateBlocking(), false);
+  assert.strictEqual(require('../js/storage').getItem('update-mandatory'), null);
+});
@@ -0,0 +1,114 @@
+// Integridade dos instaladores: tamanho, sha512 e assinatura têm de bater antes de instalar
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { server, response, loadMain, getUserData } = require('./helpers/main');
+
+const INSTALLER = Buffer.from('MZ instalador de teste '.repeat(64));
+const DIGEST = crypto.createHash('sha512').update(INSTALLER).digest();
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const signDigest = (digest) => crypto.sign(null, digest, privateKey).toString('base64');
+
+let installerPath;
+beforeEach(() => {
+  installerPath = path.join(getUserData(), 'BCI-Setup-9.9.9.exe');
+  fs.writeFileSync(installerPath, INSTALLER);
+});
+
+// Chave de atualizações de teste só enquanto o teste corre (config lido de novo em cada loadMain)
+function withUpdateKey(t, extra = {}) {
+  const env = { UPDATE_PUBLIC_KEY: publicKey.export({ format: 'der', type: 'spki' }).toString('base64'), UPDATE_KEY_ID: 'test', ...extra };
+  Object.assign(process.env, env);
+  t.after(() => Object.keys(env).forEach(key => delete process.env[key]));
+}
+
+const asset = (fields = {}) => ({ name: 'BCI-Setup-9.9.9.exe', downloadUrl: 'https://x.pt/BCI-Setup-9.9.9.exe', ...fields });
+const latestYml = (body) => ({ name: 'latest.yml', downloadUrl: 'https://x.pt/latest.yml', body });
+
+// latest*.yml servidos pelo servidor falso a partir do `body` de cada asset
+function serveAssets(assets) {
+  server.handle = (url) => {
+    const found = assets.find(a => a.downloadUrl === url);
+    return found ? response(200, found.body) : undefined;
+  };
+  return assets;
+}
+
+test('instalador com o tamanho e o sha512 publicados: aceite', async () => {
+  const integrity = loadMain('updateIntegrity');
+  const expected = await integrity.resolveIntegrity(asset({ sha512: DIGEST.toString('base64'), size: INSTALLER.length }));
+  assert.deepStrictEqual(await integrity.verifyInstaller(installerPath, expected), { size: INSTALLER.length, keyId: null });
+});
+
+test('tamanho ou sha512 diferentes: instalador recusado', async () => {
+  const integrity = loadMain('updateIntegrity');
+  const wrongSize = await integrity.resolveIntegrity(asset({ sha512: DIGEST.toString('hex'), size: INSTALLER.length + 1 }));
+  await assert.rejects(integrity.verifyInstaller(installerPath, wrongSize), { code: 'UPDATE_INTEGRITY', message: /Tamanho inesperado/ });
+
+  // Mesmo tamanho, conteúdo trocado
+  const otherDigest = crypto.createHash('sha512').update('outro').digest('base64');
+  const wrongHash = await integrity.resolveIntegrity(asset({ sha512: otherDigest, size: INSTALLER.length }));
+  await assert.rejects(integrity.verifyInstaller(installerPath, wrongHash), { code: 'UPDATE_INTEGRITY', message: /checksum/ });
+});
+
+test('sem sha512 e tamanho no asset: lidos do latest.yml da release', async () => {
+  const integrity = loadMain('updateIntegrity');
+  const assets = serveAssets([latestYml([
+    'version: 9.9.9',
+    'files:',
+    `  - url: BCI-Setup-9.9.9.exe`,
+    `    sha512: ${DIGEST.toString('base64')}`,
+    `    size: ${INSTALLER.length}`,
+    `path: BCI-Setup-9.9.9.exe`
+  ].join('\n'))]);
+  const expected = await integrity.resolveIntegrity(asset(), assets);
+  assert.strictEqual(expected.size, INSTALLER.length);
+  await integrity.verifyInstaller(installerPath, expected);
+});
+
+test('latest.yml mal formado ou incompleto: atualização recusada', async () => {
+  const integrity = loadMain('updateIntegrity');
+  const bodies = [
+    'isto não é yaml: [',
+    'version: 9.9.9\npath: BCI-Setup-9.9.9.exe\nsha512: abc',
+    `files:\n  - url: BCI-Setup-9.9.9.exe\n    size: ${INSTALLER.length}`,
+    `files:\n  - url: BCI-Setup-9.9.9.exe\n    sha512: curto\n    size: ${INSTALLER.length}`,
+    `files:\n  - url: Outro-Setup.exe\n    sha512: ${DIGEST.toString('base64')}\n    size: ${INSTALLER.length}`
+  ];
+  for (const body of bodies) {
+    const assets = serveAssets([latestYml(body)]);
+    await assert.rejects(integrity.resolveIntegrity(asset(), assets), { code: 'UPDATE_INTEGRITY' }, body);
+  }
+});
+
+test('assinatura: válida aceite, inválida recusada', async (t) => {
+  withUpdateKey(t);
+  const integrity = loadMain('updateIntegrity');
+  const fields = { sha512: DIGEST.toString('base64'), size: INSTALLER.length, signatureKeyId: 'test' };
+
+  const good = await integrity.resolveIntegrity(asset({ ...fields, signature: signDigest(DIGEST) }));
+  assert.strictEqual((await integrity.verifyInstaller(installerPath, good)).keyId, 'test');
+
+  const forged = crypto.createHash('sha512').update('outro').digest();
+  const bad = await integrity.resolveIntegrity(asset({ ...fields, signature: signDigest(forged) }));
+  await assert.rejects(integrity.verifyInstaller(installerPath, bad), { code: 'UPDATE_INTEGRITY', message: /assinatura/ });
+});
+
+test('sem chave de atualizações na app: a assinatura não é verificada nem exigida', async (t) => {
+  t.after(() => { delete process.env.UPDATE_REQUIRE_SIGNATURE; });
+  process.env.UPDATE_REQUIRE_SIGNATURE = 'true';
+  const integrity = loadMain('updateIntegrity');
+  const expected = await integrity.resolveIntegrity(asset({ sha512: DIGEST.toString('base64'), size: INSTALLER.length, signature: 'desconhecida' }));
+  assert.strictEqual((await integrity.verifyInstaller(installerPath, expected)).keyId, null);
+});
+
+test('assinatura exigida: instalador sem assinatura recusado', async (t) => {
+  withUpdateKey(t, { UPDATE_REQUIRE_SIGNATURE: 'true' });
+  const integrity = loadMain('updateIntegrity');
+  await assert.rejects(
+    integrity.resolveIntegrity(asset({ sha512: DIGEST.toString('base64'), size: INSTALLER.length })),
+    { code: 'UPDATE_INTEGRITY', message: /não tem assinatura/ }
+  );
+});